@@ -1,22 +1,107 @@
 // YouTube Head Tilt Controller
 // Main Application Logic
 
+// Browser dependencies can be swapped out (the tests in test/ pass fakes):
+//   createFaceMesh(options)         MediaPipe FaceMesh, in a worker where possible (see face-tracker.js)
+//   createCamera(video, options)    frame loop that feeds Face Mesh (CameraFrameLoop)
+//   storage                         localStorage for settings, gesture profiles and the queue
+//   indexedDB                       watch history and usage stats databases
 class HeadTiltController {
-  constructor() {
-    // YouTube player
+  constructor({
+    createFaceMesh = (options) => createFaceTracker(options),
+    createCamera = (video, options) => new CameraFrameLoop(video, options),
+    storage = window.localStorage,
+    indexedDB = window.indexedDB,
+  } = {}) {
+    this.createFaceMesh = createFaceMesh;
+    this.createCamera = createCamera;
+
+    // Playback backend (see players.js)
     this.player = null;
     this.playerReady = false;
+    this.playerHost = document.getElementById('player');
 
     // MediaPipe Face Mesh
     this.faceMesh = null;
     this.camera = null;
     this.cameraActive = false;
+    this.cameraLost = false; // The stream ended without stopCamera(); reconnecting
+    this.cameraRestartTimer = null;
+    this.cameras = []; // Video inputs for the camera picker (see camera-source.js)
 
     // Camera elements
     this.videoElement = document.getElementById('cameraFeed');
     this.canvasElement = document.getElementById('overlay');
     this.canvasCtx = this.canvasElement.getContext('2d');
 
+    // Head pose (see head-pose.js): roll drives speed/skip, yaw and pitch feed gestures
+    this.headPose = new HeadPoseEstimator();
+    this.poseGestures = new PoseGestureDetector({
+      onGesture: (gesture) => this.onGesture(gesture),
+    });
+    this.blinkDetector = new BlinkDetector({
+      onGesture: (gesture) => this.onGesture(gesture),
+    });
+    this.mouthGestures = new MouthGestureDetector({
+      onGesture: (gesture) => this.onGesture(gesture),
+    });
+    this.currentPose = { yaw: 0, pitch: 0, roll: 0 };
+
+    // Landmark recording and replay in place of the camera (see session-recorder.js)
+    this.recorder = new SessionRecorder();
+    this.replay = new SessionReplay({
+      onFrame: (results) => this.onFaceResults(results),
+      onEnd: () => this.stopReplay('Replay finished'),
+    });
+
+    // Which face is in control when several are in view (see face-lock.js)
+    this.faceLock = new FaceLock();
+
+    // Eyes closed / looking away (see attention.js); pauses like a lost face, each after its own delay
+    this.attention = new AttentionMonitor();
+    this.gestureStatusTimer = null;
+
+    // Frame rates, inference time and latency for the diagnostics HUD and report (see diagnostics.js)
+    this.diagnostics = new DiagnosticsMonitor();
+    this.lastDiagnosticsDraw = 0;
+
+    // Videos to play in order (see queue.js)
+    this.queue = new VideoQueue({
+      onChange: () => this.renderQueue(),
+      storage,
+    });
+
+    // Watch history (see history.js): resume position and time spent at each speed
+    this.history = new WatchHistory({ indexedDB });
+    this.watchSession = null; // WatchSession of the video that is playing
+    this.watchTicks = 0;
+
+    // Usage stats (see usage-stats.js): time at each speed, skips, auto-pauses and sessions per day and video
+    this.usageStats = new UsageStats({ indexedDB });
+    this.usage = new UsageRecorder();
+
+    // Gesture-to-action bindings (see gesture-mapping.js)
+    this.gestureMapper = new GestureMapper({
+      onAction: (action, param, gesture) => this.performAction(action, param, gesture),
+      storage,
+    });
+
+    // Keyboard, gamepad and switch scanning, alongside or instead of head tilt (see input-sources.js)
+    this.keyboardInput = new KeyboardInput({ onCommand: (command) => this.handleInputCommand(command) });
+    this.gamepadInput = new GamepadInput({
+      onCommand: (command) => this.handleInputCommand(command),
+      onAxis: (value) => this.handleInputAxis(value),
+    });
+    this.switchScanner = new SwitchScanner({
+      onCommand: (command) => this.handleInputCommand(command),
+      onHighlight: (command) => this.highlightScanCommand(command),
+    });
+    this.axisTilt = null; // Virtual tilt from a gamepad stick while it is pushed
+
+    // Pairing with another device (see remote-control.js): { role: 'sensor' | 'screen', code, link, ... }
+    this.remote = null;
+    this.cameraUnavailable = false; // getUserMedia failed: show the on-screen controls
+
     // State
     this.currentTilt = 0;
     this.currentSpeed = 1.0;
@@ -24,25 +109,88 @@ class HeadTiltController {
     // Face detection state
     this.faceDetected = false;
     this.lastFaceDetectedTime = Date.now();
-    this.pauseTimer = null;
-    this.isPausing = false;
+    this.isPausing = false; // Paused by auto-pause (see startPause)
+    this.pauseGrace = null; // { since, speed, levelIndex, volume, rate } while counting down to an auto-pause
+    this.speedHold = false; // Speed set on resume or by another input: keep it until the head tilts
     this.lastSkipTime = 0; // Debounce for skip
+    this.skipIndicatorTimer = null;
+    this.skipZone = null; // { side, since, holdFired } while in the extreme tilt zone
+    this.faceLostTriggered = false; // faceLost gesture already fired for this absence
 
     // Settings
     this.settings = {
       sensitivity: 1.0,
       deadZone: 3, // degrees (idle zone)
       maxTilt: 25, // degrees - beyond this triggers skip
-      pauseDelay: 1.0, // seconds (fixed)
+      tiltOffset: 0, // degrees - neutral head roll recorded by calibration
+      calibratedRange: null, // { left, right } comfortable tilt in degrees from neutral, set by calibration
+      speedMode: 'discrete', // 'discrete' (speedLevels) or 'continuous' (speed curve)
+      normalSpeed: 1.0, // discrete mode: the level at neutral tilt, where playback starts and resumes
+      speedCurve: 'exponential', // continuous mode: 'linear', 'exponential' or 'custom'
+      minRate: 0.5, // continuous mode: rate at full left tilt
+      maxRate: 2.0, // continuous mode: rate at full right tilt
+      customCurve: [
+        [-1, 0.5],
+        [0, 1.0],
+        [1, 2.0],
+      ], // continuous mode: [normalized tilt, rate] points for the custom curve
+      skipMode: 'jump', // skip zone seeks: 'jump' (the bound amount every time) or 'scrub' (grows while held)
+      skipInterval: 500, // ms between repeated seeks while in the skip zone
+      scrubSteps: [10, 30, 60], // scrub mode: seconds per seek, stepping up the longer the zone is held
+      scrubStepTime: 1500, // scrub mode: ms held before moving to the next step
+      tiltFilter: 'none', // smoothing between pose estimation and speed control, see TILT_FILTERS
+      filterParams: defaultFilterParams(), // { [filter]: { [param]: value } }
+      pauseDelay: 1.0, // seconds without a face before pausing
+      pauseGrace: 1, // seconds of 'Pausing...' countdown before an auto-pause (0 = pause at once)
+      pauseFade: 'none', // during the countdown: 'none', 'volume' (fade out) or 'rate' (slow down)
+      resumeSpeed: 'normal', // after an auto-pause: 'normal' level or the 'previous' speed
+      resumeRewind: 0, // seconds to rewind on resume, so nothing is missed
+      pauseOnEyesClosed: true,
+      eyesClosedDelay: 3, // seconds with eyes closed before pausing (longer than a deliberate blink gesture)
+      pauseOnLookAway: true,
+      lookAwayDelay: 2, // seconds looking away before pausing
+      maxFaces: 2, // faces tracked at once; control stays locked to one of them
+      otherFacePolicy: 'pause', // when the controlling face leaves and another remains, see FaceLock
+      keyboardInput: true, // shortcuts, see DEFAULT_KEY_BINDINGS
+      gamepadInput: true,
+      switchScanning: false, // single-switch scanning through the on-screen controls
+      scanInterval: 1500, // ms the scan highlight stays on each control
       showCamera: true,
+      showDiagnostics: false, // HUD with frame rates, inference time and tilt charts over the video
+      remoteRelay: '', // WebSocket relay for remote screens (wss://...); empty: the server this page came from
+      cameraId: '', // deviceId of the camera to use; '' for the default (front) camera
+      cameraPreset: 'standard', // resolution and frame rate, see CAMERA_PRESETS
+      processingFps: 0, // camera frames sent to Face Mesh per second (0 = every frame); lower saves battery
     };
 
-    // Discrete speed levels (0.5x to 4x)
-    this.speedLevels = [0.5, 0.75, 1.0, 1.5, 2.0, 3.0, 4.0];
-    this.currentLevelIndex = 2; // Start at 1.0x
-    this.previousLevelIndex = 2; // For hysteresis
+    // Discrete speed levels, editable (see speed-ladder.js)
+    this.speedLevels = [...DEFAULT_SPEED_LEVELS];
+    this.currentLevelIndex = this.normalIndex; // Start at normal speed
+    this.previousLevelIndex = this.normalIndex; // For hysteresis
     this.skipThreshold = 0.9; // 90% of maxTilt to trigger skip
     this.hysteresisMargin = 0.15; // 15% hysteresis to prevent jitter
+    this.rateLimiter = new RateLimiter(); // Continuous mode: throttles setPlaybackRate calls
+
+    // Tilt smoothing (see filters.js); rebuilt whenever the filter settings change
+    this.tiltFilter = new NoFilter();
+    this.filterMetrics = new FilterMetrics();
+    this.lastFilterMetricsUpdate = 0;
+
+    // Neutral-pose calibration (see calibration.js)
+    this.calibrationWizard = new CalibrationWizard({
+      onUpdate: (wizard) => this.onCalibrationUpdate(wizard),
+      onComplete: (samples) => this.applyCalibration(samples),
+    });
+
+    // Persisted settings profiles (see settings-store.js); the values above are the defaults
+    this.settingsStore = new SettingsStore(
+      {
+        settings: this.settings,
+        speedLevels: this.speedLevels,
+        gestureProfile: this.gestureMapper.activeName,
+      },
+      { storage },
+    );
 
     // Wake Lock (to keep app active)
     this.wakeLock = null;
@@ -52,8 +200,19 @@ class HeadTiltController {
 
   init() {
     this.setupEventListeners();
+    this.renderInputPanel();
+    this.applyProfile(this.settingsStore.getProfile());
+    this.renderQueue();
+    this.renderHistory();
+    setInterval(() => this.tickWatchSession(), 1000);
+    setInterval(() => this.sampleDiagnostics(), 1000);
     this.initializeFaceMesh();
+    this.renderCameraList();
     this.updateStatus('Ready - Load a video and start camera');
+
+    // Opened from a remote screen's QR code
+    const pairCode = normalizePairingCode(new URLSearchParams(location.search).get('pair') || '');
+    if (pairCode) this.joinRemoteScreen(pairCode);
   }
 
   setupEventListeners() {
@@ -62,118 +221,1069 @@ class HeadTiltController {
       this.toggleCamera();
     });
 
-    // Load video
+    // Load video (replaces the queue) or add to the queue
     document.getElementById('loadVideo').addEventListener('click', () => {
-      this.loadYouTubeVideo();
+      this.loadVideo();
+    });
+
+    document.getElementById('queueVideo').addEventListener('click', () => {
+      this.loadVideo({ append: true });
+    });
+
+    // Queue navigation
+    document.getElementById('queuePrevious').addEventListener('click', () => this.playPrevious());
+    document.getElementById('queueNext').addEventListener('click', () => this.playNext());
+    document.getElementById('queueClear').addEventListener('click', () => this.queue.clear());
+
+    // Local files: file picker and drag-and-drop onto the video area
+    document.getElementById('videoFile').addEventListener('change', (e) => {
+      this.loadLocalFiles(e.target.files);
+      e.target.value = '';
+    });
+
+    const videoContainer = document.getElementById('videoContainer');
+    videoContainer.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      videoContainer.classList.add('drop-target');
+    });
+    videoContainer.addEventListener('dragleave', () => {
+      videoContainer.classList.remove('drop-target');
+    });
+    videoContainer.addEventListener('drop', (e) => {
+      e.preventDefault();
+      videoContainer.classList.remove('drop-target');
+      this.loadLocalFiles(e.dataTransfer.files);
     });
 
     // Settings
     document.getElementById('sensitivity').addEventListener('input', (e) => {
       this.settings.sensitivity = parseFloat(e.target.value);
       document.getElementById('sensitivityValue').textContent = e.target.value;
+      this.saveSettings();
     });
 
     document.getElementById('deadZone').addEventListener('input', (e) => {
       this.settings.deadZone = parseFloat(e.target.value);
       document.getElementById('deadZoneValue').textContent = e.target.value + '°';
       this.updateCalibrationDisplay();
+      this.saveSettings();
     });
 
     document.getElementById('maxTilt').addEventListener('input', (e) => {
       this.settings.maxTilt = parseFloat(e.target.value);
       document.getElementById('maxTiltValue').textContent = e.target.value + '°';
       this.updateCalibrationDisplay();
+      this.saveSettings();
     });
 
     document.getElementById('pauseDelay').addEventListener('input', (e) => {
       this.settings.pauseDelay = parseFloat(e.target.value);
       document.getElementById('pauseDelayValue').textContent = e.target.value + 's';
+      this.saveSettings();
+    });
+
+    // Pausing on closed eyes / looking away
+    document.getElementById('pauseOnEyesClosed').addEventListener('change', (e) => {
+      this.settings.pauseOnEyesClosed = e.target.checked;
+      this.saveSettings();
+    });
+
+    document.getElementById('eyesClosedDelay').addEventListener('input', (e) => {
+      this.settings.eyesClosedDelay = parseFloat(e.target.value);
+      document.getElementById('eyesClosedDelayValue').textContent = e.target.value + 's';
+      this.saveSettings();
+    });
+
+    document.getElementById('pauseOnLookAway').addEventListener('change', (e) => {
+      this.settings.pauseOnLookAway = e.target.checked;
+      this.saveSettings();
+    });
+
+    document.getElementById('lookAwayDelay').addEventListener('input', (e) => {
+      this.settings.lookAwayDelay = parseFloat(e.target.value);
+      document.getElementById('lookAwayDelayValue').textContent = e.target.value + 's';
+      this.saveSettings();
+    });
+
+    // Pausing countdown and resuming
+    document.getElementById('pauseGrace').addEventListener('input', (e) => {
+      this.settings.pauseGrace = parseFloat(e.target.value);
+      document.getElementById('pauseGraceValue').textContent = e.target.value + 's';
+      this.saveSettings();
+    });
+
+    document.getElementById('pauseFade').addEventListener('change', (e) => {
+      this.settings.pauseFade = e.target.value;
+      this.saveSettings();
+    });
+
+    document.getElementById('resumeSpeed').addEventListener('change', (e) => {
+      this.settings.resumeSpeed = e.target.value;
+      this.saveSettings();
+    });
+
+    document.getElementById('resumeRewind').addEventListener('input', (e) => {
+      this.settings.resumeRewind = parseFloat(e.target.value);
+      document.getElementById('resumeRewindValue').textContent = e.target.value + 's';
+      this.saveSettings();
+    });
+
+    // Other inputs
+    this.keyboardInput.attach(document);
+    this.gamepadInput.attach(window);
+
+    for (const id of ['keyboardInput', 'gamepadInput', 'switchScanning']) {
+      document.getElementById(id).addEventListener('change', (e) => {
+        this.settings[id] = e.target.checked;
+        this.applyInputSettings();
+        this.saveSettings();
+      });
+    }
+
+    document.getElementById('scanInterval').addEventListener('input', (e) => {
+      this.settings.scanInterval = parseInt(e.target.value);
+      document.getElementById('scanIntervalValue').textContent = e.target.value / 1000 + 's';
+      this.applyInputSettings();
+      this.saveSettings();
+    });
+
+    // Several faces in view
+    document.getElementById('maxFaces').addEventListener('input', (e) => {
+      this.settings.maxFaces = parseInt(e.target.value);
+      document.getElementById('maxFacesValue').textContent = e.target.value;
+      this.applyFaceMeshOptions();
+      this.saveSettings();
+    });
+
+    document.getElementById('otherFacePolicy').addEventListener('change', (e) => {
+      this.settings.otherFacePolicy = e.target.value;
+      this.faceLock.policy = e.target.value;
+      this.saveSettings();
+    });
+
+    // Session recording and replay
+    document.getElementById('recordSession').addEventListener('click', () => {
+      this.toggleRecording();
+    });
+
+    document.getElementById('replaySession').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) {
+        await this.startReplay(file);
+      }
+    });
+
+    document.getElementById('stopReplay').addEventListener('click', () => {
+      this.stopReplay('Replay stopped');
+    });
+
+    // Remote screen
+    document.getElementById('remoteScreen').addEventListener('click', () => {
+      this.startRemoteScreen();
+    });
+
+    document.getElementById('remoteJoin').addEventListener('click', () => {
+      const code = normalizePairingCode(document.getElementById('remoteCode').value);
+      if (!code) {
+        alert(`Enter the ${REMOTE_CODE_LENGTH}-character code shown on the screen`);
+        return;
+      }
+      this.joinRemoteScreen(code);
+    });
+
+    document.getElementById('remoteStop').addEventListener('click', () => {
+      this.stopRemote();
+    });
+
+    document.getElementById('remoteRelay').addEventListener('change', (e) => {
+      this.settings.remoteRelay = e.target.value.trim();
+      this.saveSettings();
+    });
+
+    // Diagnostics HUD and report
+    document.getElementById('showDiagnostics').addEventListener('change', (e) => {
+      this.settings.showDiagnostics = e.target.checked;
+      document.getElementById('diagnosticsHud').classList.toggle('hidden', !e.target.checked);
+      this.saveSettings();
+    });
+
+    document.getElementById('copyDiagnostics').addEventListener('click', () => {
+      this.copyDiagnosticsReport();
+    });
+
+    document.getElementById('switchFace').addEventListener('click', () => {
+      if (!this.faceLock.switchFace()) {
+        this.updateStatus('No other face to switch to');
+      }
     });
 
     document.getElementById('showCamera').addEventListener('change', (e) => {
       this.settings.showCamera = e.target.checked;
       document.getElementById('cameraContainer').classList.toggle('hidden', !e.target.checked);
+      this.saveSettings();
+    });
+
+    // Camera device, resolution and how often frames are tracked
+    document.getElementById('cameraDevice').addEventListener('change', (e) => {
+      this.settings.cameraId = e.target.value;
+      this.saveSettings();
+      this.restartCamera();
+    });
+
+    document.getElementById('cameraPreset').addEventListener('change', (e) => {
+      this.settings.cameraPreset = e.target.value;
+      this.saveSettings();
+      this.restartCamera();
+    });
+
+    document.getElementById('processingFps').addEventListener('change', (e) => {
+      this.settings.processingFps = parseInt(e.target.value);
+      if (this.camera) this.camera.maxFps = this.settings.processingFps;
+      this.saveSettings();
+    });
+
+    // Cameras plugged in or out: update the picker, and reconnect if the camera was lost
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.onCameraDevicesChanged());
+    }
+
+    // Speed mode (levels or continuous curve)
+    document.getElementById('speedMode').addEventListener('change', (e) => {
+      this.settings.speedMode = e.target.value;
+      this.syncSettingsControls();
+      this.saveSettings();
+    });
+
+    document.getElementById('speedCurve').addEventListener('change', (e) => {
+      this.settings.speedCurve = e.target.value;
+      this.syncSettingsControls();
+      this.saveSettings();
+    });
+
+    document.getElementById('minRate').addEventListener('input', (e) => {
+      this.settings.minRate = parseFloat(e.target.value);
+      document.getElementById('minRateValue').textContent = e.target.value + 'x';
+      this.saveSettings();
+    });
+
+    document.getElementById('maxRate').addEventListener('input', (e) => {
+      this.settings.maxRate = parseFloat(e.target.value);
+      document.getElementById('maxRateValue').textContent = e.target.value + 'x';
+      this.saveSettings();
+    });
+
+    // Skip zone
+    document.getElementById('skipMode').addEventListener('change', (e) => {
+      this.settings.skipMode = e.target.value;
+      this.syncSettingsControls();
+      this.saveSettings();
+    });
+
+    document.getElementById('skipInterval').addEventListener('input', (e) => {
+      this.settings.skipInterval = parseInt(e.target.value);
+      document.getElementById('skipIntervalValue').textContent = e.target.value / 1000 + 's';
+      this.saveSettings();
+    });
+
+    document.getElementById('scrubStepTime').addEventListener('input', (e) => {
+      this.settings.scrubStepTime = parseInt(e.target.value);
+      document.getElementById('scrubStepTimeValue').textContent = e.target.value / 1000 + 's';
+      this.saveSettings();
+    });
+
+    document.getElementById('scrubSteps').addEventListener('change', (e) => {
+      const steps = e.target.value.split(',').map((step) => parseFloat(step));
+      if (steps.length === 0 || steps.some((step) => !(step > 0))) {
+        e.target.setCustomValidity('Enter seconds per step, e.g. 10, 30, 60');
+        e.target.reportValidity();
+        return;
+      }
+
+      this.settings.scrubSteps = steps;
+      e.target.setCustomValidity('');
+      this.saveSettings();
+    });
+
+    // Tilt filter
+    document.getElementById('tiltFilter').addEventListener('change', (e) => {
+      this.settings.tiltFilter = e.target.value;
+      this.setupTiltFilter();
+      this.syncSettingsControls();
+      this.saveSettings();
+    });
+
+    // Speed ladder (levels mode)
+    document.getElementById('speedLevels').addEventListener('change', (e) => {
+      try {
+        this.setSpeedLadder(parseSpeedLadder(e.target.value), this.settings.normalSpeed);
+        e.target.setCustomValidity('');
+      } catch (error) {
+        e.target.setCustomValidity(error.message);
+        e.target.reportValidity();
+      }
+    });
+
+    document.getElementById('normalSpeed').addEventListener('change', (e) => {
+      this.setSpeedLadder(this.speedLevels, parseFloat(e.target.value));
+    });
+
+    document.getElementById('customCurve').addEventListener('change', (e) => {
+      try {
+        this.settings.customCurve = parseSpeedCurve(e.target.value);
+        e.target.setCustomValidity('');
+        this.saveSettings();
+      } catch (error) {
+        e.target.setCustomValidity(error.message);
+        e.target.reportValidity();
+      }
+    });
+
+    // Calibration
+    document.getElementById('calibrate').addEventListener('click', () => {
+      if (this.calibrationWizard.active) {
+        this.calibrationWizard.cancel();
+      } else {
+        this.startCalibration();
+      }
+    });
+
+    document.getElementById('resetCalibration').addEventListener('click', () => {
+      this.settings.tiltOffset = 0;
+      this.settings.calibratedRange = null;
+      this.updateCalibrationDisplay();
+      this.saveSettings();
+    });
+
+    this.setupSettingsProfileControls();
+    this.setupGestureMappingControls();
+
+    // Watch history
+    document.getElementById('clearHistory').addEventListener('click', () => {
+      if (!confirm('Clear the watch history?')) return;
+      this.history
+        .clear()
+        .then(() => this.renderHistory())
+        .catch((error) => console.error('Could not clear history:', error));
+    });
+
+    // Usage stats
+    document.getElementById('statsPanel').addEventListener('toggle', () => this.renderUsageStats());
+    document.getElementById('statsGroup').addEventListener('change', () => this.renderUsageStats());
+    document.getElementById('exportStats').addEventListener('click', () => this.exportUsageStats());
+    document.getElementById('clearStats').addEventListener('click', () => {
+      if (!confirm('Clear the usage stats?')) return;
+      this.usageStats
+        .clear()
+        .then(() => this.renderUsageStats())
+        .catch((error) => console.error('Could not clear usage stats:', error));
     });
 
-    // Handle visibility change (wake lock)
+    // Handle visibility change (wake lock); save the watch position and usage stats when the page is hidden
+    // Mobile browsers may end the camera in the background; reconnect on return
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'visible' && this.cameraActive) {
         this.requestWakeLock();
+      } else if (document.visibilityState === 'visible' && this.cameraLost) {
+        this.startCamera({ reconnect: true });
+      } else if (document.visibilityState === 'hidden') {
+        this.saveWatchSession();
+        this.saveUsage();
+      }
+    });
+  }
+
+  // Settings profiles: switch, save as, delete, export and import
+  setupSettingsProfileControls() {
+    const store = this.settingsStore;
+
+    document.getElementById('settingsProfile').addEventListener('change', (e) => {
+      this.applyProfile(store.selectProfile(e.target.value));
+    });
+
+    document.getElementById('saveSettingsProfile').addEventListener('click', () => {
+      const name = prompt('Save settings profile as:', store.uniqueName(store.activeName));
+      if (!name || !name.trim()) return;
+
+      store.saveProfile(name.trim(), this.snapshotProfile());
+      store.selectProfile(name.trim());
+      this.renderSettingsProfiles();
+    });
+
+    document.getElementById('deleteSettingsProfile').addEventListener('click', () => {
+      const name = store.activeName;
+      if (!confirm(`Delete settings profile "${name}"?`)) return;
+
+      if (store.deleteProfile(name)) {
+        this.applyProfile(store.getProfile());
+      }
+    });
+
+    document.getElementById('exportSettingsProfile').addEventListener('click', () => {
+      const name = store.activeName;
+      const gestureProfile = this.gestureMapper.activeName;
+      const json = store.exportProfile(name, {
+        gestureMapping: { name: gestureProfile, definition: this.gestureMapper.getProfileDefinition(gestureProfile) },
+      });
+      this.downloadFile(name.replace(/[^\w-]+/g, '_') + '.headtilt.json', json, 'application/json');
+    });
+
+    document.getElementById('importSettingsProfile').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) {
+        await this.importSettingsProfile(file);
+      }
+    });
+  }
+
+  async importSettingsProfile(file) {
+    try {
+      const { name, profile, gestureMapping } = this.settingsStore.parseExport(await file.text());
+
+      // Bring the mapping along if this device doesn't have it
+      if (gestureMapping && gestureMapping.definition) {
+        profile.gestureProfile = this.gestureMapper.importProfile(gestureMapping.name, gestureMapping.definition);
+      }
+
+      const storedName = this.settingsStore.uniqueName(name);
+      this.settingsStore.saveProfile(storedName, profile);
+      this.applyProfile(this.settingsStore.selectProfile(storedName));
+      this.updateStatus(`Imported profile "${storedName}"`);
+    } catch (error) {
+      console.error('Profile import error:', error);
+      alert('Could not import profile: ' + error.message);
+    }
+  }
+
+  // Load a stored profile into the controller and the controls
+  applyProfile(profile) {
+    this.settings = { ...profile.settings };
+    this.speedLevels = [...profile.speedLevels];
+    this.currentLevelIndex = this.previousLevelIndex = this.normalIndex;
+    this.gestureMapper.selectProfile(profile.gestureProfile);
+    this.setupTiltFilter();
+    this.faceLock.policy = this.settings.otherFacePolicy;
+    this.applyFaceMeshOptions();
+    this.applyInputSettings();
+    if (this.camera) this.camera.maxFps = this.settings.processingFps;
+
+    this.syncSettingsControls();
+    this.renderSettingsProfiles();
+    this.renderGestureMapping();
+    this.updateCalibrationDisplay();
+  }
+
+  snapshotProfile() {
+    return {
+      settings: { ...this.settings },
+      speedLevels: [...this.speedLevels],
+      gestureProfile: this.gestureMapper.activeName,
+    };
+  }
+
+  // Persist the current settings into the active profile
+  saveSettings() {
+    this.settingsStore.saveProfile(this.settingsStore.activeName, this.snapshotProfile());
+  }
+
+  // Push this.settings into the sliders, checkboxes and their value labels
+  syncSettingsControls() {
+    const setControl = (id, value, label) => {
+      document.getElementById(id).value = value;
+      document.getElementById(id + 'Value').textContent = label;
+    };
+
+    setControl('sensitivity', this.settings.sensitivity, String(this.settings.sensitivity));
+    setControl('deadZone', this.settings.deadZone, this.settings.deadZone + '°');
+    setControl('maxTilt', this.settings.maxTilt, this.settings.maxTilt + '°');
+    setControl('pauseDelay', this.settings.pauseDelay, this.settings.pauseDelay + 's');
+    setControl('eyesClosedDelay', this.settings.eyesClosedDelay, this.settings.eyesClosedDelay + 's');
+    setControl('lookAwayDelay', this.settings.lookAwayDelay, this.settings.lookAwayDelay + 's');
+    document.getElementById('pauseOnEyesClosed').checked = this.settings.pauseOnEyesClosed;
+    document.getElementById('pauseOnLookAway').checked = this.settings.pauseOnLookAway;
+    setControl('pauseGrace', this.settings.pauseGrace, this.settings.pauseGrace + 's');
+    document.getElementById('pauseFade').value = this.settings.pauseFade;
+    document.getElementById('resumeSpeed').value = this.settings.resumeSpeed;
+    setControl('resumeRewind', this.settings.resumeRewind, this.settings.resumeRewind + 's');
+
+    document.getElementById('keyboardInput').checked = this.settings.keyboardInput;
+    document.getElementById('gamepadInput').checked = this.settings.gamepadInput;
+    document.getElementById('switchScanning').checked = this.settings.switchScanning;
+    setControl('scanInterval', this.settings.scanInterval, this.settings.scanInterval / 1000 + 's');
+
+    setControl('maxFaces', this.settings.maxFaces, String(this.settings.maxFaces));
+    document.getElementById('otherFacePolicy').value = this.settings.otherFacePolicy;
+
+    document.getElementById('showCamera').checked = this.settings.showCamera;
+    document.getElementById('cameraContainer').classList.toggle('hidden', !this.settings.showCamera);
+    document.getElementById('showDiagnostics').checked = this.settings.showDiagnostics;
+    document.getElementById('remoteRelay').value = this.settings.remoteRelay;
+    document.getElementById('diagnosticsHud').classList.toggle('hidden', !this.settings.showDiagnostics);
+    document.getElementById('cameraDevice').value = this.settings.cameraId;
+    document.getElementById('cameraPreset').value = this.settings.cameraPreset;
+    document.getElementById('processingFps').value = this.settings.processingFps;
+
+    const continuous = this.settings.speedMode === 'continuous';
+    document.getElementById('speedMode').value = this.settings.speedMode;
+    document.getElementById('speedCurve').value = this.settings.speedCurve;
+    setControl('minRate', this.settings.minRate, this.settings.minRate + 'x');
+    setControl('maxRate', this.settings.maxRate, this.settings.maxRate + 'x');
+    document.getElementById('customCurve').value = formatSpeedCurve(this.settings.customCurve);
+    document.getElementById('continuousSettings').classList.toggle('hidden', !continuous);
+    document.getElementById('ladderSettings').classList.toggle('hidden', continuous);
+    this.renderSpeedLadder();
+    document.getElementById('customCurveSetting').classList.toggle('hidden', this.settings.speedCurve !== 'custom');
+
+    document.getElementById('skipMode').value = this.settings.skipMode;
+    setControl('skipInterval', this.settings.skipInterval, this.settings.skipInterval / 1000 + 's');
+    setControl('scrubStepTime', this.settings.scrubStepTime, this.settings.scrubStepTime / 1000 + 's');
+    document.getElementById('scrubSteps').value = this.settings.scrubSteps.join(', ');
+    document.getElementById('scrubSettings').classList.toggle('hidden', this.settings.skipMode !== 'scrub');
+
+    document.getElementById('tiltFilter').value = this.settings.tiltFilter;
+    this.renderFilterParams();
+  }
+
+  // Rebuild the tilt filter from the current settings
+  setupTiltFilter() {
+    const type = TILT_FILTERS[this.settings.tiltFilter] ? this.settings.tiltFilter : 'none';
+    this.settings.tiltFilter = type;
+    this.settings.filterParams = { ...defaultFilterParams(), ...this.settings.filterParams };
+
+    this.tiltFilter = TILT_FILTERS[type].create({ ...this.settings.filterParams[type] });
+    this.filterMetrics.reset();
+  }
+
+  // One slider per parameter of the selected tilt filter
+  renderFilterParams() {
+    const type = this.settings.tiltFilter;
+    const values = this.settings.filterParams[type] || {};
+
+    const rows = Object.entries(TILT_FILTERS[type].params).map(([name, param]) => {
+      const id = 'filter-' + name;
+      const row = document.createElement('div');
+      row.className = 'setting';
+
+      const label = document.createElement('label');
+      label.textContent = param.label + ':';
+      label.htmlFor = id;
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = id;
+      slider.min = param.min;
+      slider.max = param.max;
+      slider.step = param.step;
+      slider.value = values[name] ?? param.default;
+
+      const value = document.createElement('span');
+      value.textContent = slider.value + param.unit;
+
+      slider.addEventListener('input', () => {
+        this.settings.filterParams[type] = { ...this.settings.filterParams[type], [name]: parseFloat(slider.value) };
+        value.textContent = slider.value + param.unit;
+        this.setupTiltFilter();
+        this.saveSettings();
+      });
+
+      row.append(label, slider, value);
+      return row;
+    });
+
+    document.getElementById('filterParams').replaceChildren(...rows);
+  }
+
+  renderSettingsProfiles() {
+    const store = this.settingsStore;
+    document
+      .getElementById('settingsProfile')
+      .replaceChildren(...store.listProfiles().map((name) => new Option(name, name, false, name === store.activeName)));
+    document.getElementById('deleteSettingsProfile').disabled = store.listProfiles().length === 1;
+  }
+
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Gesture mapping panel: profile picker, hold time and one row per gesture
+  setupGestureMappingControls() {
+    const profileSelect = document.getElementById('gestureProfile');
+
+    profileSelect.addEventListener('change', (e) => {
+      this.gestureMapper.selectProfile(e.target.value);
+      this.renderGestureMapping();
+      this.saveSettings();
+    });
+
+    document.getElementById('saveGestureProfile').addEventListener('click', () => {
+      const name = prompt(
+        'Save gesture profile as:',
+        this.gestureMapper.isPreset(profileSelect.value) ? '' : profileSelect.value,
+      );
+      if (name === null) return;
+
+      try {
+        this.gestureMapper.saveProfileAs(name);
+        this.renderGestureMapping();
+        this.saveSettings();
+      } catch (error) {
+        alert(error.message);
       }
     });
+
+    document.getElementById('deleteGestureProfile').addEventListener('click', () => {
+      const name = this.gestureMapper.activeName;
+      if (this.gestureMapper.isPreset(name) || !confirm(`Delete gesture profile "${name}"?`)) return;
+
+      this.gestureMapper.deleteProfile(name);
+      this.renderGestureMapping();
+      this.saveSettings();
+    });
+
+    document.getElementById('holdTime').addEventListener('input', (e) => {
+      this.gestureMapper.holdTime = parseInt(e.target.value, 10);
+      document.getElementById('holdTimeValue').textContent = e.target.value / 1000 + 's';
+      this.updateGestureProfileLabel();
+    });
   }
 
-  // YouTube Player initialization
-  initYouTubePlayer(videoId) {
+  renderGestureMapping() {
+    const mapper = this.gestureMapper;
+
+    // Profile list
+    const profileSelect = document.getElementById('gestureProfile');
+    profileSelect.replaceChildren(
+      ...mapper.listProfiles().map((name) => new Option(name, name, false, name === mapper.activeName)),
+    );
+    document.getElementById('deleteGestureProfile').disabled = mapper.isPreset(mapper.activeName);
+    this.updateGestureProfileLabel();
+
+    document.getElementById('holdTime').value = mapper.holdTime;
+    document.getElementById('holdTimeValue').textContent = mapper.holdTime / 1000 + 's';
+
+    // Binding rows
+    const rows = GESTURES.map((gesture) => {
+      const binding = mapper.getBinding(gesture.id);
+      const row = document.createElement('div');
+      row.className = 'gesture-binding';
+
+      const label = document.createElement('label');
+      label.textContent = gesture.label;
+      label.htmlFor = 'binding-' + gesture.id;
+
+      const actionSelect = document.createElement('select');
+      actionSelect.id = 'binding-' + gesture.id;
+      for (const [id, action] of Object.entries(ACTIONS)) {
+        if (action.kinds.includes(gesture.kind)) {
+          actionSelect.add(new Option(action.label, id, false, id === binding.action));
+        }
+      }
+
+      row.append(label, actionSelect);
+
+      const paramDefinition = ACTIONS[binding.action].param;
+      let paramInput = null;
+      if (paramDefinition) {
+        paramInput = document.createElement('input');
+        paramInput.type = 'number';
+        paramInput.min = paramDefinition.min;
+        paramInput.max = paramDefinition.max;
+        paramInput.step = paramDefinition.step;
+        paramInput.value = binding.param;
+        paramInput.title = paramDefinition.unit;
+        paramInput.addEventListener('change', () => {
+          mapper.setBinding(gesture.id, binding.action, parseFloat(paramInput.value));
+          this.updateGestureProfileLabel();
+        });
+
+        const unit = document.createElement('span');
+        unit.textContent = paramDefinition.unit;
+        row.append(paramInput, unit);
+      }
+
+      actionSelect.addEventListener('change', () => {
+        mapper.setBinding(gesture.id, actionSelect.value);
+        this.renderGestureMapping();
+      });
+
+      return row;
+    });
+
+    document.getElementById('gestureBindings').replaceChildren(...rows);
+  }
+
+  // Mark unsaved edits to a built-in profile
+  updateGestureProfileLabel() {
+    const mapper = this.gestureMapper;
+    const option = document.getElementById('gestureProfile').selectedOptions[0];
+    if (option) {
+      option.textContent = mapper.activeName + (mapper.modified ? ' (modified)' : '');
+    }
+  }
+
+  // Playback backend selection: reuse the current adapter if it is of the right type
+  usePlayer(AdapterClass, options = {}) {
+    if (this.player instanceof AdapterClass) {
+      return this.player;
+    }
+
     if (this.player) {
-      this.player.loadVideoById(videoId);
-      return;
+      this.player.destroy();
     }
+    this.playerReady = false;
 
-    this.player = new YT.Player('player', {
-      height: '100%',
-      width: '100%',
-      videoId: videoId,
-      playerVars: {
-        playsinline: 1,
-        controls: 1,
-        modestbranding: 1,
-      },
-      events: {
-        onReady: (event) => {
-          this.playerReady = true;
-          this.updateStatus('Video loaded - Ready to control');
-          event.target.playVideo();
-        },
-        onStateChange: (event) => {
-          // Monitor playback state if needed
-        },
+    this.player = new AdapterClass(this.playerHost, {
+      ...options,
+      onReady: () => {
+        this.playerReady = true;
+        this.updateStatus('Video loaded - Ready to control');
+        this.renderSpeedLadder(); // Now the supported rates are known
       },
+      onStateChange: (state) => this.onPlayerStateChange(state),
     });
+    return this.player;
   }
 
-  loadYouTubeVideo() {
-    const url = document.getElementById('youtubeUrl').value;
-    const videoId = this.extractVideoId(url);
+  onPlayerStateChange(state) {
+    // A remote screen only plays; the sensor keeps the queue, history and stats
+    if (this.remote && this.remote.role === 'screen') {
+      this.remote.playerState = state;
+      this.sendRemoteState();
+      return;
+    }
 
-    if (!videoId) {
-      alert('Please enter a valid YouTube URL');
+    if (state === PlayerState.PLAYING) {
+      // Remember the title and where we are in a playlist
+      const details = {};
+      const title = this.player.getTitle();
+      const position = this.player.getPlaylistPosition();
+      if (title) details.title = title;
+      if (position) {
+        details.index = position.index;
+        details.videoId = this.player.getVideoId(); // Reopening the item continues here
+      }
+      this.queue.updateCurrent(details);
+      this.startWatchSession();
       return;
     }
 
-    this.initYouTubePlayer(videoId);
+    // Time is only counted while playing
+    this.usage.pause();
+    if (this.watchSession) {
+      this.watchSession.pause();
+      if (state === PlayerState.ENDED) this.watchSession.entry.finished = true;
+      this.saveWatchSession();
+    }
+
+    if (state === PlayerState.ENDED) {
+      // Inside a playlist YouTube moves on by itself; after its last entry, go to the next queue item
+      const position = this.player.getPlaylistPosition();
+      if (!position || position.index + 1 >= position.length) {
+        this.playNext();
+      }
+    }
   }
 
-  extractVideoId(url) {
-    // Support various YouTube URL formats
-    const patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
-      /^([a-zA-Z0-9_-]{11})$/,
-    ];
+  // Track the playing video in the watch history; the first time it plays, resume where it was left off
+  async startWatchSession() {
+    const item = this.queue.current;
+    const videoId = this.player.getVideoId();
+    const key = item && WatchHistory.keyFor(item, videoId);
+    if (!key || (this.watchSession && this.watchSession.entry.key === key)) return;
+
+    this.usage.startVideo(key, this.player.getTitle() || VideoQueue.describe(item));
+    this.saveWatchSession();
+    this.watchSession = null;
+
+    let entry;
+    try {
+      entry = await this.history.get(key);
+    } catch (error) {
+      console.warn('Watch history is not available:', error);
+      return;
+    }
+    if (this.queue.current !== item || this.watchSession) return; // Moved on while reading
+
+    const title = this.player.getTitle() || VideoQueue.describe(item);
+    this.watchSession = new WatchSession(
+      entry || WatchSession.createEntry(key, WatchHistory.reopenItem(item, videoId), title),
+    );
+    this.watchSession.entry.title = title;
+
+    if (entry && !entry.finished && entry.position > 5 && this.player.getCurrentTime() < entry.position) {
+      this.player.seekTo(entry.position);
+      this.showSkipIndicator('Resumed at ' + this.formatTime(entry.position));
+    }
+  }
+
+  tickWatchSession() {
+    const session = this.watchSession;
+    if (!this.playerReady || !this.player.isPlaying()) return;
+
+    this.usage.tick(this.currentSpeed);
+    if (session) {
+      session.tick(this.player.getPlaybackRate(), this.player.getCurrentTime(), this.player.getDuration());
+    }
+
+    // Save every few seconds so closing the tab loses little
+    if (++this.watchTicks % 5 === 0) {
+      this.saveWatchSession();
+      this.saveUsage();
+    }
+  }
+
+  saveWatchSession() {
+    if (!this.watchSession) return;
+
+    this.history
+      .put(this.watchSession.entry)
+      .then(() => this.renderHistory())
+      .catch((error) => console.warn('Could not save watch history:', error));
+  }
+
+  async renderHistory() {
+    let entries;
+    try {
+      entries = await this.history.list();
+    } catch (error) {
+      document.getElementById('historyPanel').classList.add('hidden');
+      return;
+    }
+
+    document.getElementById('historyPanel').classList.toggle('hidden', entries.length === 0);
+    const rows = entries.map((entry) => {
+      const row = document.createElement('li');
+      row.className = 'history-item';
+
+      const title = document.createElement('button');
+      title.className = 'history-title';
+      title.textContent = entry.title;
+      title.disabled = !entry.item;
+      title.title = entry.item ? 'Play' : 'Open the file again to resume it';
+      title.addEventListener('click', () => {
+        this.queue.add([JSON.parse(JSON.stringify(entry.item))]);
+        this.playQueueItem(this.queue.jumpTo(this.queue.items.length - 1));
+      });
 
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) return match[1];
+      const speeds = Object.entries(entry.speedTime)
+        .sort(([a], [b]) => a - b)
+        .map(([rate, seconds]) => `${rate}x ${this.formatWatchTime(seconds)}`);
+      const details = document.createElement('span');
+      details.className = 'history-details';
+      details.textContent = [
+        entry.finished ? 'Finished' : `${this.formatTime(entry.position)} / ${this.formatTime(entry.duration)}`,
+        `last ${entry.speed}x`,
+        ...speeds,
+      ].join(' · ');
+
+      const remove = document.createElement('button');
+      remove.className = 'history-remove';
+      remove.textContent = '✕';
+      remove.title = 'Remove from history';
+      remove.addEventListener('click', () => {
+        this.history
+          .remove(entry.key)
+          .then(() => this.renderHistory())
+          .catch((error) => console.error('Could not remove history entry:', error));
+      });
+
+      row.append(title, remove, details);
+      return row;
+    });
+    document.getElementById('historyList').replaceChildren(...rows);
+  }
+
+  // Resolves once the tallies are stored (or failed to be)
+  saveUsage() {
+    return this.usageStats
+      .add(this.usage.take())
+      .then(() => this.renderUsageStats())
+      .catch((error) => console.warn('Could not save usage stats:', error));
+  }
+
+  // Usage stats panel: a table per day or per video, filled in while the panel is open
+  async renderUsageStats() {
+    const panel = document.getElementById('statsPanel');
+    if (!panel.open) return;
+
+    let records;
+    try {
+      records = await this.usageStats.list();
+    } catch (error) {
+      document.getElementById('statsEmpty').textContent = 'Usage stats are not available in this browser.';
+      return;
+    }
+
+    const by = document.getElementById('statsGroup').value;
+    const rows = UsageStats.summarize(records, by).map((row) => {
+      const speeds = Object.entries(row.speedTime)
+        .sort(([a], [b]) => a - b)
+        .map(([rate, seconds]) => `${rate}x ${this.formatWatchTime(seconds)}`);
+      const average = row.sessions ? row.sessionTime / row.sessions : 0;
+      const cells = [
+        row.label,
+        this.formatWatchTime(row.sessionTime),
+        `${row.sessions} (avg ${this.formatWatchTime(average)}, longest ${this.formatWatchTime(row.longestSession)})`,
+        speeds.join(' · '),
+        `+${row.skipsForward} / -${row.skipsBack}`,
+        String(row.pauses),
+      ];
+
+      const tr = document.createElement('tr');
+      tr.append(
+        ...cells.map((text) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          return td;
+        }),
+      );
+      return tr;
+    });
+
+    const header = document.createElement('tr');
+    header.append(
+      ...[by === 'video' ? 'Video' : 'Day', 'Watched', 'Sessions', 'Time at each speed', 'Skips', 'Auto-pauses'].map(
+        (text) => {
+          const th = document.createElement('th');
+          th.textContent = text;
+          return th;
+        },
+      ),
+    );
+
+    document.getElementById('statsTable').replaceChildren(...(rows.length ? [header, ...rows] : []));
+    document.getElementById('statsEmpty').textContent = rows.length ? '' : 'Nothing recorded yet.';
+  }
+
+  // Every day and video, saved tallies included
+  async exportUsageStats() {
+    await this.saveUsage(); // Include the tallies since the last save
+    try {
+      const records = await this.usageStats.list();
+      this.downloadFile(`usage-stats-${UsageStats.dayOf(Date.now())}.csv`, UsageStats.toCSV(records), 'text/csv');
+    } catch (error) {
+      console.error('Could not export usage stats:', error);
+      this.updateStatus('Usage stats are not available in this browser');
+    }
+  }
+
+  // Links in the URL box: replace the queue and play, or append to it
+  loadVideo({ append = false } = {}) {
+    const { items, invalid } = VideoQueue.parse(document.getElementById('youtubeUrl').value);
+
+    if (items.length === 0 || invalid.length > 0) {
+      const which = invalid.length > 0 ? `Not recognized: ${invalid.join(', ')}\n\n` : '';
+      alert(which + 'Please enter YouTube video or playlist links, video IDs, or direct MP4/WebM/HLS links');
+      return;
+    }
+
+    const item = append ? this.queue.add(items) : this.queue.replace(items);
+    if (item) this.playQueueItem(item);
+    if (append) this.updateStatus(`Added ${items.length} to the queue`);
+  }
+
+  loadLocalFiles(fileList) {
+    const files = Array.from(fileList).filter((file) => /^(video|audio)\//.test(file.type));
+    if (files.length === 0) {
+      if (fileList.length > 0) alert('Please choose a video or audio file');
+      return;
+    }
+
+    this.playQueueItem(this.queue.replace(files.map((file) => ({ type: 'file', file }))));
+  }
+
+  playQueueItem(item) {
+    // Paired with a remote screen: play it there
+    if (this.player instanceof RemotePlayer) {
+      if (item.type === 'file') {
+        this.updateStatus('Open local files on the screen itself');
+        return;
+      }
+      this.player.load(item);
+      this.updateStatus('Loading ' + VideoQueue.describe(item) + ' on the screen');
+      return;
+    }
+
+    switch (item.type) {
+      case 'youtube':
+        this.usePlayer(YouTubePlayerAdapter).load(item.videoId);
+        break;
+      case 'playlist':
+        this.usePlayer(YouTubePlayerAdapter).load({
+          playlistId: item.playlistId,
+          index: item.index,
+          videoId: item.videoId,
+        });
+        break;
+      case 'media':
+        this.usePlayer(MediaElementPlayerAdapter).load(item.url);
+        break;
+      case 'file':
+        this.usePlayer(MediaElementPlayerAdapter).load(item.file);
+        break;
     }
-    return null;
+    this.updateStatus('Loading ' + VideoQueue.describe(item));
+  }
+
+  renderQueue() {
+    const queue = this.queue;
+    document.getElementById('queuePanel').classList.toggle('hidden', queue.items.length === 0);
+    document.getElementById('queuePrevious').disabled = !queue.hasPrevious;
+    document.getElementById('queueNext').disabled = !queue.hasNext;
+
+    const rows = queue.items.map((item, index) => {
+      const row = document.createElement('li');
+      row.className = index === queue.position ? 'queue-item current' : 'queue-item';
+
+      const title = document.createElement('button');
+      title.className = 'queue-title';
+      title.textContent = VideoQueue.describe(item);
+      title.addEventListener('click', () => this.playQueueItem(queue.jumpTo(index)));
+
+      const remove = document.createElement('button');
+      remove.className = 'queue-remove';
+      remove.textContent = '✕';
+      remove.title = 'Remove from queue';
+      remove.addEventListener('click', () => {
+        const next = queue.remove(index);
+        if (next) this.playQueueItem(next);
+      });
+
+      row.append(title, remove);
+      return row;
+    });
+    document.getElementById('queueList').replaceChildren(...rows);
   }
 
   // MediaPipe Face Mesh initialization
   async initializeFaceMesh() {
-    this.faceMesh = new FaceMesh({
+    this.faceMesh = this.createFaceMesh({
+      // wasm, model and graph files are vendored next to face_mesh.js (see scripts/vendor-mediapipe.js)
       locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+        return `vendor/mediapipe/face_mesh/${file}`;
       },
     });
 
+    this.applyFaceMeshOptions();
+    this.faceMesh.onResults((results) => this.onFaceResults(results));
+  }
+
+  // Also called when the number of faces changes
+  applyFaceMeshOptions() {
+    if (!this.faceMesh) return;
+
     this.faceMesh.setOptions({
-      maxNumFaces: 1,
+      maxNumFaces: this.settings.maxFaces,
       refineLandmarks: true,
       minDetectionConfidence: 0.5,
       minTrackingConfidence: 0.5,
     });
-
-    this.faceMesh.onResults((results) => this.onFaceResults(results));
   }
 
   // Camera control
@@ -185,52 +1295,80 @@ class HeadTiltController {
     }
   }
 
-  async startCamera() {
-    try {
-      this.updateStatus('Starting camera...');
+  // reconnect: after the camera was lost; failures are reported in the status instead of an alert
+  async startCamera({ reconnect = false } = {}) {
+    if (this.replay.active) {
+      this.stopReplay('Replay stopped');
+    }
+    clearTimeout(this.cameraRestartTimer);
 
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          facingMode: 'user',
-          width: { ideal: 640 },
-          height: { ideal: 480 },
-        },
-      });
+    try {
+      this.updateStatus(reconnect ? 'Reconnecting camera...' : 'Starting camera...');
 
+      const stream = await this.openCameraStream();
+      const [track] = stream.getVideoTracks();
+      track.addEventListener('ended', () => this.onCameraEnded());
       this.videoElement.srcObject = stream;
-
-      // Wait for video to be ready
-      await new Promise((resolve) => {
-        this.videoElement.onloadedmetadata = () => {
-          resolve();
-        };
-      });
+      await waitForVideoMetadata(this.videoElement);
 
       // Set canvas size
       this.canvasElement.width = this.videoElement.videoWidth;
       this.canvasElement.height = this.videoElement.videoHeight;
 
-      // Start MediaPipe camera
-      this.camera = new Camera(this.videoElement, {
-        onFrame: async () => {
-          await this.faceMesh.send({ image: this.videoElement });
-        },
-        width: 640,
-        height: 480,
+      // Feed camera frames to Face Mesh
+      this.camera = this.createCamera(this.videoElement, {
+        onFrame: () => this.sendCameraFrame(),
+        maxFps: this.settings.processingFps,
       });
 
       await this.camera.start();
 
       this.cameraActive = true;
+      this.cameraLost = false;
+      this.cameraUnavailable = false;
+      this.applyInputSettings();
       document.getElementById('toggleCamera').textContent = 'Stop Camera';
-      this.updateStatus('Camera active');
+      this.updateStatus('Camera active: ' + describeCameraTrack(track));
+
+      // Device labels are only available once permission is granted
+      this.renderCameraList();
 
       // Request wake lock
       await this.requestWakeLock();
     } catch (error) {
       console.error('Camera error:', error);
+      if (reconnect) {
+        this.updateStatus(`Camera lost (${error.message}) - waiting for it to come back`);
+        return;
+      }
+
       this.updateStatus('Camera error: ' + error.message);
-      alert('Could not access camera. Please grant camera permissions.');
+      this.cameraUnavailable = true;
+      this.applyInputSettings();
+      alert(
+        'Could not access camera. Please grant camera permissions, or use the keyboard, a gamepad or the on-screen controls.',
+      );
+    }
+  }
+
+  // Feed one camera frame to Face Mesh. The tracking worker skips frames while it is busy; those don't
+  // count as sent, so inference time is measured from the frame it actually works on.
+  async sendCameraFrame() {
+    this.diagnostics.frameSent(performance.now());
+    const accepted = await this.faceMesh.send({ image: this.videoElement });
+    if (accepted === false) this.diagnostics.frameSkipped();
+  }
+
+  // The selected camera, or the default one if it is gone (unplugged, or chosen in a profile from another device)
+  async openCameraStream() {
+    const { cameraId, cameraPreset } = this.settings;
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video: cameraConstraints(cameraId, cameraPreset) });
+    } catch (error) {
+      if (!cameraId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) throw error;
+
+      console.warn('Selected camera unavailable, using the default:', error);
+      return navigator.mediaDevices.getUserMedia({ video: cameraConstraints('', cameraPreset) });
     }
   }
 
@@ -246,12 +1384,271 @@ class HeadTiltController {
     }
 
     this.cameraActive = false;
+    this.cameraLost = false;
+    clearTimeout(this.cameraRestartTimer);
+    if (this.pauseGrace && !this.isPausing) this.resumePlayback(); // No frames will finish the countdown
     document.getElementById('toggleCamera').textContent = 'Start Camera';
     this.updateStatus('Camera stopped');
 
     this.releaseWakeLock();
   }
 
+  // The device or preset changed: reopen the camera with it
+  restartCamera() {
+    if (!this.cameraActive) return;
+
+    this.stopCamera();
+    this.startCamera();
+  }
+
+  // The track ended without stopCamera() (camera unplugged, permission revoked, suspended by a mobile
+  // browser): try again shortly, then whenever devices change or the page becomes visible
+  onCameraEnded() {
+    if (!this.cameraActive) return;
+
+    // No frames will finish a countdown: if the viewer had already left, pause now, and otherwise don't
+    // start one (the viewer may still be watching)
+    if (this.pauseGrace) this.startPause();
+    this.stopCamera();
+    this.faceDetected = false;
+    this.resetFaceTracking();
+    this.updateTiltDisplay(0);
+    if (!this.isPausing) this.updateFaceStatus('Lost');
+    this.cameraLost = true;
+    this.updateStatus('Camera disconnected - reconnecting...');
+    this.cameraRestartTimer = setTimeout(() => this.startCamera({ reconnect: true }), CAMERA_RECONNECT_DELAY);
+  }
+
+  async onCameraDevicesChanged() {
+    await this.renderCameraList();
+    if (this.cameraLost) {
+      this.startCamera({ reconnect: true });
+    }
+  }
+
+  // Camera picker: the default camera, then every video input
+  async renderCameraList() {
+    try {
+      this.cameras = await listCameras(navigator.mediaDevices);
+    } catch (error) {
+      console.error('Could not list cameras:', error);
+      this.cameras = [];
+    }
+
+    const select = document.getElementById('cameraDevice');
+    select.replaceChildren(
+      new Option('Default (front camera)', ''),
+      ...this.cameras.map((camera) => new Option(camera.label, camera.deviceId)),
+    );
+    const { cameraId } = this.settings;
+    if (cameraId && !this.cameras.some((camera) => camera.deviceId === cameraId)) {
+      select.add(new Option('Unavailable camera (using default)', cameraId));
+    }
+    select.value = cameraId;
+  }
+
+  // Record the camera's landmark stream; stopping downloads it as a JSON file
+  async toggleRecording() {
+    const button = document.getElementById('recordSession');
+    if (this.recorder.active) {
+      const recording = this.recorder.stop();
+      button.textContent = 'Record Session';
+      this.downloadFile(
+        `session-${recording.recordedAt.replace(/[:.]/g, '-')}.json`,
+        JSON.stringify(recording),
+        'application/json',
+      );
+      this.updateStatus(`Recorded ${recording.frames.length} frames`);
+      return;
+    }
+
+    if (!this.cameraActive && !this.replay.active) {
+      await this.startCamera();
+      if (!this.cameraActive) return;
+    }
+
+    this.recorder.start({
+      width: this.canvasElement.width,
+      height: this.canvasElement.height,
+      profile: this.snapshotProfile(),
+    });
+    button.textContent = 'Stop Recording';
+    this.updateStatus('Recording session...');
+  }
+
+  // Feed a recording into onFaceResults instead of the camera
+  async startReplay(file) {
+    let recording;
+    try {
+      recording = SessionRecorder.parse(await file.text());
+    } catch (error) {
+      console.error('Recording load error:', error);
+      alert('Could not load recording: ' + error.message);
+      return;
+    }
+
+    if (this.cameraActive) {
+      this.stopCamera();
+    }
+
+    // Landmarks are normalized to the recorded image, so its aspect ratio has to match
+    this.canvasElement.width = recording.width;
+    this.canvasElement.height = recording.height;
+    this.replay.start(recording);
+    document.getElementById('stopReplay').classList.remove('hidden');
+    this.updateStatus(`Replaying ${file.name} (${recording.frames.length} frames)`);
+  }
+
+  stopReplay(status) {
+    this.replay.stop();
+    document.getElementById('stopReplay').classList.add('hidden');
+    this.handleNoFace();
+    this.updateStatus(status);
+  }
+
+  // Remote control (see remote-control.js)
+
+  // This device plays the video for a phone that tracks the face: show a pairing code and wait for it
+  startRemoteScreen(code = createPairingCode()) {
+    this.stopRemote();
+    if (this.cameraActive) this.stopCamera();
+
+    this.connectRemote('screen', code);
+    this.remote.muted = false; // Results of the sensor's last toggles, for its state reports
+    this.remote.captions = false;
+    this.remote.playerState = null;
+    this.remote.stateTimer = setInterval(() => this.sendRemoteState(), REMOTE_STATE_INTERVAL);
+
+    document.getElementById('remotePairingCode').textContent = code.replace(/(...)(...)/, '$1 $2');
+    drawQrCode(document.getElementById('remoteQr'), encodeQrCode(pairingLink(code, location)));
+    document.body.classList.add('remote-screen');
+    this.requestWakeLock();
+    this.updateStatus('Remote screen - pair a phone with code ' + code);
+  }
+
+  // This device tracks the face and controls the screen showing this code
+  joinRemoteScreen(code) {
+    this.stopRemote();
+    this.connectRemote('sensor', code);
+    this.updateStatus('Connecting to screen ' + code + '...');
+  }
+
+  connectRemote(role, code) {
+    const link = new RemoteLink(relayUrl(code, this.settings.remoteRelay, location), {
+      onMessage: (message) => this.onRemoteMessage(message),
+      onPeers: (count) => this.onRemotePeers(count),
+      onStatus: (status) => this.onRemoteLinkStatus(status),
+    });
+    this.remote = { role, code, link };
+    link.connect();
+    this.renderRemotePanel();
+  }
+
+  onRemotePeers(count) {
+    const remote = this.remote;
+    if (remote.role === 'screen') {
+      this.updateStatus(count > 0 ? 'Phone connected - following its head tracking' : 'Phone disconnected');
+    } else if (count > 0) {
+      this.usePlayer(RemotePlayer, { send: (message) => remote.link.send(message) });
+      remote.link.send({ type: 'sync' });
+      this.updateStatus(`Controlling screen ${remote.code}` + (this.cameraActive ? '' : ' - start the camera'));
+    } else {
+      this.updateStatus(`Screen ${remote.code} disconnected - waiting for it`);
+    }
+    this.renderRemotePanel();
+  }
+
+  onRemoteLinkStatus(status) {
+    if (status === 'full') {
+      const retrying = !this.remote.link.closed;
+      this.updateStatus(`Screen ${this.remote.code} already has a phone connected` + (retrying ? ' - retrying' : ''));
+    } else if (status === 'reconnecting') {
+      this.updateStatus('Remote connection lost - reconnecting...');
+    }
+    this.renderRemotePanel();
+  }
+
+  onRemoteMessage(message) {
+    if (this.remote.role === 'sensor') {
+      if (message.type === 'state' && this.player instanceof RemotePlayer) this.player.receiveState(message);
+      return;
+    }
+
+    if (message.type === 'sync') {
+      this.sendRemoteState();
+    } else if (message.type === 'load' && message.item && message.item.type !== 'file') {
+      this.playQueueItem(message.item);
+    } else if (message.type === 'call' && REMOTE_PLAYER_CALLS.includes(message.method) && this.playerReady) {
+      const result = this.player[message.method](...(message.args || []));
+      if (message.method === 'toggleMute') this.remote.muted = result;
+      if (message.method === 'toggleCaptions') this.remote.captions = result;
+      this.sendRemoteState();
+    }
+  }
+
+  // Screen: what the sensor's RemotePlayer reports back
+  sendRemoteState() {
+    const remote = this.remote;
+    if (!remote || remote.role !== 'screen') return;
+
+    if (!this.player || !this.playerReady) {
+      remote.link.send({ type: 'state', ready: false });
+      return;
+    }
+
+    const player = this.player;
+    remote.link.send({
+      type: 'state',
+      ready: true,
+      playerState: remote.playerState,
+      playing: player.isPlaying(),
+      rate: player.getPlaybackRate(),
+      rates: player.getAvailablePlaybackRates(),
+      continuousRates: player.continuousRates,
+      volume: player.getVolume(),
+      time: player.getCurrentTime(),
+      duration: player.getDuration(),
+      title: player.getTitle(),
+      videoId: player.getVideoId(),
+      playlistPosition: player.getPlaylistPosition(),
+      muted: remote.muted,
+      captions: remote.captions,
+    });
+  }
+
+  stopRemote() {
+    const remote = this.remote;
+    if (!remote) return;
+
+    this.remote = null;
+    remote.link.close();
+    clearInterval(remote.stateTimer);
+    document.body.classList.remove('remote-screen');
+    if (this.player instanceof RemotePlayer) {
+      this.player.destroy();
+      this.player = null;
+      this.playerReady = false;
+    }
+    this.renderRemotePanel();
+    this.updateStatus('Remote control stopped');
+  }
+
+  renderRemotePanel() {
+    const remote = this.remote;
+    document.getElementById('remotePairing').classList.toggle('hidden', !remote || remote.role !== 'screen');
+    document.getElementById('remoteStop').classList.toggle('hidden', !remote);
+    document.getElementById('remoteScreen').disabled = Boolean(remote);
+    document.getElementById('remoteJoin').disabled = Boolean(remote);
+
+    let status = '';
+    if (remote && remote.role === 'screen') {
+      status = remote.link.peers > 0 ? 'Phone connected' : 'Scan the code with the phone, or enter it there';
+    } else if (remote) {
+      status = remote.link.peers > 0 ? `Controlling screen ${remote.code}` : `Waiting for screen ${remote.code}`;
+    }
+    document.getElementById('remoteStatus').textContent = status;
+  }
+
   // Wake Lock to keep screen on
   async requestWakeLock() {
     try {
@@ -277,59 +1674,182 @@ class HeadTiltController {
     this.canvasCtx.save();
     this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
 
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const landmarks = results.multiFaceLandmarks[0];
-
-      // Check if eyes are visible (simple check)
-      const leftEye = landmarks[33];
-      const rightEye = landmarks[263];
-      const eyesVisible = leftEye && rightEye;
-
-      if (eyesVisible) {
-        this.faceDetected = true;
-        this.lastFaceDetectedTime = Date.now();
-        this.updateFaceStatus('Detected');
-
-        // Resume if was pausing
-        if (this.isPausing) {
-          this.resumePlayback();
-        }
-
-        // Draw face mesh (optional, for visual feedback)
-        if (this.settings.showCamera) {
-          this.drawFaceMesh(landmarks);
-        }
+    // Only the face that holds control drives playback
+    const faces = results.multiFaceLandmarks || [];
+    const aspectRatio = this.canvasElement.width / this.canvasElement.height || 4 / 3;
+    const now = Date.now();
+    const { index, state } = this.faceLock.update(faces, aspectRatio, now);
+    const diagnosticsFrame = this.diagnostics.frameTracked(performance.now());
 
-        // Calculate head tilt
-        const tilt = this.calculateHeadTilt(landmarks);
-        this.currentTilt = tilt;
+    // Draw face mesh (optional, for visual feedback)
+    if (this.settings.showCamera) {
+      faces.forEach((face, i) => this.drawFaceMesh(face, i === index, faces.length > 1));
+    }
 
-        // Update speed/seek based on tilt
+    if (index !== -1) {
+      const landmarks = faces[index];
+      this.faceDetected = true;
+      this.lastFaceDetectedTime = now;
+
+      // Head pose (estimated by the tracking worker, if it ran there); roll is the tilt
+      const poses = results.multiFacePoses;
+      this.currentPose = poses ? poses[index] : this.headPose.estimate(landmarks, aspectRatio);
+      this.poseGestures.update(this.currentPose);
+      this.blinkDetector.update(landmarks, aspectRatio, now);
+      this.mouthGestures.update(landmarks, aspectRatio, now);
+
+      // Face found, but is the viewer watching?
+      this.handleAttention(this.attention.update(landmarks, this.currentPose, aspectRatio, now), now);
+
+      // Calibration records raw roll; control uses smoothed roll relative to the calibrated neutral pose
+      this.calibrationWizard.addSample(this.currentPose.roll, now);
+      const rawTilt = this.currentPose.roll - this.settings.tiltOffset;
+      const tilt = this.tiltFilter.filter(rawTilt, now);
+      this.currentTilt = tilt;
+      this.filterMetrics.add(rawTilt, tilt, now);
+      this.updateFilterMetrics(now);
+      Object.assign(diagnosticsFrame, { rawTilt, tilt });
+
+      // Update speed/seek based on tilt (not while calibrating: the extremes would skip, nor while a
+      // gamepad stick is in control)
+      if (!this.calibrationWizard.active && this.axisTilt === null) {
         this.updatePlaybackSpeed(tilt);
-
-        // Update UI
-        this.updateTiltDisplay(tilt);
-      } else {
-        this.handleNoFace();
       }
+
+      // Update UI
+      this.updateTiltDisplay(tilt);
+    } else if (state === 'other' && this.settings.otherFacePolicy !== 'pause') {
+      // Someone else is in view: neither they nor the absence control playback
+      this.handleOtherFace();
     } else {
       // No face detected
       this.handleNoFace();
     }
 
+    this.recorder.record(results, { tilt: this.faceDetected ? this.currentTilt : null, rate: this.currentSpeed }, now);
     this.canvasCtx.restore();
+
+    diagnosticsFrame.level = this.currentLevelIndex;
+    this.drawDiagnostics();
   }
 
   handleNoFace() {
     this.faceDetected = false;
+    this.resetFaceTracking();
     const timeSinceLastFace = (Date.now() - this.lastFaceDetectedTime) / 1000;
 
     this.updateFaceStatus('Lost');
     this.updateTiltDisplay(0);
 
-    // Instant pause after delay (no gradual slowdown)
-    if (!this.isPausing && timeSinceLastFace > this.settings.pauseDelay) {
+    if (timeSinceLastFace <= this.settings.pauseDelay) return;
+    this.handleInattentive();
+  }
+
+  // Per-face state starts over when the controlling face is gone
+  resetFaceTracking() {
+    this.poseGestures.reset();
+    this.blinkDetector.reset();
+    this.mouthGestures.reset();
+    this.tiltFilter.reset();
+    this.filterMetrics.reset();
+    this.calibrationWizard.tick();
+    this.attention.markAbsent();
+  }
+
+  // The controlling face is missing but another one is in view (keep playing, or waiting to hand over)
+  handleOtherFace() {
+    this.faceDetected = false;
+    this.resetFaceTracking();
+    this.lastFaceDetectedTime = Date.now(); // Don't pause the moment the other face leaves too
+    if (this.pauseGrace && !this.isPausing) this.resumePlayback();
+    this.updateFaceStatus('Other face');
+    this.updateTiltDisplay(0);
+  }
+
+  // Attention state of a frame with a face: resume when watching, otherwise treat it like a lost face
+  // once the state has lasted its delay
+  handleAttention(state, now) {
+    const delay = this.attentionPauseDelay(state);
+    if (delay === null) {
+      this.faceLostTriggered = false;
+      this.updateFaceStatus('Detected');
+
+      // Resume if was pausing
+      if (this.isPausing || this.pauseGrace) {
+        this.resumePlayback();
+      }
+      return;
+    }
+
+    this.updateFaceStatus(state === ATTENTION_STATES.eyesClosed ? 'Eyes closed' : 'Looking away');
+    if (this.attention.duration(now) > delay * 1000) {
+      this.handleInattentive();
+    }
+  }
+
+  // Seconds an attention state lasts before pausing, or null if it counts as watching
+  attentionPauseDelay(state) {
+    switch (state) {
+      case ATTENTION_STATES.eyesClosed:
+        return this.settings.pauseOnEyesClosed ? this.settings.eyesClosedDelay : null;
+      case ATTENTION_STATES.lookingAway:
+        return this.settings.pauseOnLookAway ? this.settings.lookAwayDelay : null;
+      default:
+        return null;
+    }
+  }
+
+  // Face lost, eyes closed or looking away for too long: runs the faceLost binding
+  handleInattentive() {
+    // Bound to pause: count down, then pause until the viewer is back
+    if (this.gestureMapper.getBinding('faceLost').action === 'pause') {
+      this.continuePause();
+    } else if (!this.faceLostTriggered) {
+      this.faceLostTriggered = true;
+      this.gestureMapper.trigger('faceLost');
+    }
+  }
+
+  // Called on every inattentive frame: the grace period shows a countdown (fading out the volume or rate if
+  // set) and ends in the pause. Coming back during it undoes the fade and playback goes on.
+  continuePause(now = Date.now()) {
+    if (this.isPausing || !this.playerReady) return;
+
+    if (!this.pauseGrace) {
+      this.pauseGrace = {
+        since: now,
+        speed: this.currentSpeed,
+        levelIndex: this.currentLevelIndex,
+        volume: this.player.getVolume(),
+        rate: this.currentSpeed, // Rate during the slowdown
+      };
+    }
+
+    const graceMs = this.settings.pauseGrace * 1000;
+    const elapsed = now - this.pauseGrace.since;
+    if (elapsed >= graceMs) {
       this.startPause();
+      return;
+    }
+
+    this.updateFaceStatus(`Pausing... ${((graceMs - elapsed) / 1000).toFixed(1)}s`);
+    this.applyPauseFade(elapsed / graceMs);
+  }
+
+  // progress: 0 at the start of the grace period, 1 at the pause
+  applyPauseFade(progress) {
+    const grace = this.pauseGrace;
+
+    if (this.settings.pauseFade === 'volume') {
+      this.player.setVolume(grace.volume * (1 - progress));
+    } else if (this.settings.pauseFade === 'rate') {
+      // Toward the slowest rate the player has, in whatever steps it supports
+      const slowest = Math.min(...this.player.getAvailablePlaybackRates());
+      const rate = this.constrainRate(grace.speed + (Math.min(slowest, grace.speed) - grace.speed) * progress);
+      if (rate !== grace.rate) {
+        grace.rate = rate;
+        this.player.setPlaybackRate(rate);
+      }
     }
   }
 
@@ -338,35 +1858,160 @@ class HeadTiltController {
 
     this.isPausing = true;
     this.updateFaceStatus('Paused');
+    this.player.pause();
+    this.usage.paused();
 
-    // Instant pause
-    if (this.player) {
-      this.player.pauseVideo();
+    // Volume comes back now, while nothing plays; the rate is set on resume
+    if (this.pauseGrace && this.settings.pauseFade === 'volume') {
+      this.player.setVolume(this.pauseGrace.volume);
     }
   }
 
+  // The viewer is back: end the grace period, or resume after an auto-pause
   resumePlayback() {
-    if (!this.isPausing) return;
+    const grace = this.pauseGrace;
+    this.pauseGrace = null;
+
+    if (!this.isPausing) {
+      // Still playing: undo the fade
+      if (grace && this.playerReady && this.settings.pauseFade !== 'none') this.restorePlayback(grace);
+      return;
+    }
 
     this.isPausing = false;
-    // Resume at normal speed (1.0x)
-    this.currentLevelIndex = 2;
-    this.currentSpeed = 1.0;
-    if (this.playerReady) {
-      this.player.setPlaybackRate(1.0);
-      if (this.player.getPlayerState() !== 1) {
-        // Not playing
-        this.player.playVideo();
+    if (!this.playerReady) return;
+
+    // Resume at the speed from before the pause, held until the head tilts, or at the normal level
+    if (this.settings.resumeSpeed === 'previous' && grace) {
+      this.speedHold = true;
+      this.restorePlayback(grace);
+    } else {
+      const levelIndex = this.normalIndex;
+      this.restorePlayback({ levelIndex, speed: this.constrainRate(this.speedLevels[levelIndex]) });
+    }
+
+    if (this.settings.resumeRewind > 0) {
+      this.player.seekTo(Math.max(this.player.getCurrentTime() - this.settings.resumeRewind, 0));
+    }
+    if (!this.player.isPlaying()) {
+      this.player.play();
+    }
+  }
+
+  // Back to a level and speed (and volume, if given) from before the grace period
+  restorePlayback({ levelIndex, speed, volume }) {
+    if (volume !== undefined && this.settings.pauseFade === 'volume') {
+      this.player.setVolume(volume);
+    }
+    this.applySpeed(levelIndex, speed);
+  }
+
+  applySpeed(levelIndex, speed) {
+    this.currentLevelIndex = levelIndex;
+    this.currentSpeed = speed;
+    this.player.setPlaybackRate(speed);
+    this.updateSpeedDisplay(speed + 'x');
+    this.updateSpeedOverlay();
+  }
+
+  // Other inputs (see input-sources.js)
+
+  applyInputSettings() {
+    this.keyboardInput.enabled = this.settings.keyboardInput;
+    this.gamepadInput.enabled = this.settings.gamepadInput;
+    if (!this.settings.gamepadInput) this.gamepadInput.releaseAxis(); // Hand a pushed stick's tilt back to the head
+
+    const interval = this.settings.scanInterval;
+    if (this.settings.switchScanning && (!this.switchScanner.active || this.switchScanner.interval !== interval)) {
+      this.switchScanner.interval = interval;
+      this.switchScanner.start();
+    } else if (!this.settings.switchScanning && this.switchScanner.active) {
+      this.switchScanner.stop();
+    }
+
+    const panelShown = this.settings.switchScanning || this.cameraUnavailable;
+    document.getElementById('inputPanel').classList.toggle('hidden', !panelShown);
+  }
+
+  // On-screen controls: for touch and mouse without a camera, and the items switch scanning steps through
+  renderInputPanel() {
+    const panel = document.getElementById('inputPanel');
+    panel.replaceChildren(
+      ...SCAN_COMMANDS.map((command) => {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.textContent = INPUT_COMMANDS[command];
+        button.dataset.command = command;
+        button.addEventListener('click', () => this.handleInputCommand(command));
+        return button;
+      }),
+    );
+  }
+
+  highlightScanCommand(command) {
+    for (const button of document.getElementById('inputPanel').children) {
+      button.classList.toggle('scan-highlight', button.dataset.command === command);
+    }
+  }
+
+  // Keyboard, gamepad, switch and on-screen commands: the speed, skip and pause actions of head tilt
+  handleInputCommand(command) {
+    if (command === 'switch') {
+      // The single switch selects while scanning, and plays/pauses otherwise
+      if (this.switchScanner.active) {
+        this.switchScanner.select();
+      } else {
+        this.handleInputCommand('togglePlay');
       }
-      this.updateSpeedDisplay('1.0x');
-      this.updateSpeedOverlay();
+      return;
+    }
+
+    this.showGestureStatus(INPUT_COMMANDS[command]);
+    if (!this.playerReady) return;
+
+    switch (command) {
+      case 'slower':
+        this.setSpeedLevel(this.currentLevelIndex - 1);
+        break;
+      case 'faster':
+        this.setSpeedLevel(this.currentLevelIndex + 1);
+        break;
+      case 'normalSpeed':
+        this.setSpeedLevel(this.normalIndex);
+        break;
+      case 'skipBack':
+        this.seekBy(-INPUT_SKIP_SECONDS);
+        break;
+      case 'skipForward':
+        this.seekBy(INPUT_SKIP_SECONDS);
+        break;
+      case 'togglePlay':
+        this.togglePlayback();
+        break;
+      default:
+        console.warn(`Unhandled input command "${command}"`);
     }
   }
 
-  drawFaceMesh(landmarks) {
+  // A ladder level chosen with another input; head tilt takes over again once it leaves the idle zone
+  setSpeedLevel(index) {
+    const levelIndex = Math.min(Math.max(index, 0), this.speedLevels.length - 1);
+    this.speedHold = true;
+    this.applySpeed(levelIndex, this.constrainRate(this.speedLevels[levelIndex]));
+  }
+
+  // Gamepad stick: a virtual head tilt, full deflection reaching the skip zone. While it is pushed it
+  // overrides the head; on release (value 0) speed returns to normal and the head is in control again.
+  handleInputAxis(value) {
+    this.axisTilt = value === 0 ? null : value * (this.settings.deadZone + this.settings.maxTilt);
+    this.updatePlaybackSpeed(this.axisTilt || 0);
+  }
+
+  // locked: this face holds control; labeled: several faces are in view, so say which one
+  drawFaceMesh(landmarks, locked = true, labeled = false) {
     // Draw minimal face outline for visual feedback
-    this.canvasCtx.strokeStyle = '#667eea';
-    this.canvasCtx.lineWidth = 2;
+    this.canvasCtx.strokeStyle = locked ? '#667eea' : 'rgba(255, 255, 255, 0.5)';
+    this.canvasCtx.lineWidth = locked ? 2 : 1;
 
     // Draw face oval
     const faceOval = [
@@ -389,6 +2034,11 @@ class HeadTiltController {
     this.canvasCtx.closePath();
     this.canvasCtx.stroke();
 
+    if (labeled) {
+      this.drawFaceLabel(landmarks[10], locked ? 'In control' : 'Ignored', locked ? '#667eea' : '#ffffff');
+    }
+    if (!locked) return;
+
     // Draw nose tip (landmark 1) as reference point
     const nose = landmarks[1];
     this.canvasCtx.fillStyle = '#ff6b6b';
@@ -397,27 +2047,171 @@ class HeadTiltController {
     this.canvasCtx.fill();
   }
 
-  calculateHeadTilt(landmarks) {
-    // Use eye landmarks to calculate head roll (tilt)
-    // Left eye outer corner: 33
-    // Right eye outer corner: 263
+  // Text above the forehead; the canvas is mirrored with CSS, so the text is mirrored back to stay readable
+  drawFaceLabel(forehead, text, color) {
+    const ctx = this.canvasCtx;
+    ctx.save();
+    ctx.translate(forehead.x * this.canvasElement.width, forehead.y * this.canvasElement.height - 10);
+    ctx.scale(-1, 1);
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = color;
+    ctx.fillText(text, 0, 0);
+    ctx.restore();
+  }
 
-    const leftEye = landmarks[33];
-    const rightEye = landmarks[263];
+  // Calibration wizard: needs the camera running
+  async startCalibration() {
+    if (!this.cameraActive) {
+      await this.startCamera();
+      if (!this.cameraActive) return;
+    }
 
-    // Calculate angle
-    const deltaY = rightEye.y - leftEye.y;
-    const deltaX = rightEye.x - leftEye.x;
-    const angleRadians = Math.atan2(deltaY, deltaX);
-    const angleDegrees = angleRadians * (180 / Math.PI);
+    this.calibrationWizard.start();
+  }
 
-    // Normalize: positive = tilting right, negative = tilting left
-    return -angleDegrees;
+  onCalibrationUpdate(wizard) {
+    document.getElementById('calibrationHint').textContent = wizard.message;
+    document.getElementById('calibrate').textContent = wizard.active ? 'Cancel' : 'Calibrate';
+    this.updateCalibrationDisplay();
   }
 
-  updatePlaybackSpeed(tilt) {
+  applyCalibration(samples) {
+    const { tiltOffset, deadZone, maxTilt, range } = CalibrationWizard.deriveSettings(samples, {
+      skipThreshold: this.skipThreshold,
+      sensitivity: this.settings.sensitivity,
+    });
+
+    this.settings.tiltOffset = tiltOffset;
+    this.settings.deadZone = deadZone;
+    this.settings.maxTilt = maxTilt;
+    this.settings.calibratedRange = range;
+
+    this.syncSettingsControls();
+    this.saveSettings();
+    this.updateStatus(`Calibrated: neutral ${tiltOffset.toFixed(1)}°, idle zone ${deadZone}°, max tilt ${maxTilt}°`);
+  }
+
+  // Trigger gestures from PoseGestureDetector, BlinkDetector and MouthGestureDetector
+  onGesture(gesture) {
+    this.showGestureStatus(gesture);
+    this.gestureMapper.trigger(gesture);
+  }
+
+  // Actions bound through the gesture mapping (see gesture-mapping.js)
+  performAction(action, param, gesture) {
     if (!this.playerReady) return;
 
+    switch (action) {
+      case 'seek':
+        this.seekBy(this.skipZone && gesture.startsWith('skip') ? this.skipZoneSeekAmount(param) : param);
+        break;
+      case 'togglePlay':
+        this.togglePlayback();
+        break;
+      case 'pause':
+        this.player.pause();
+        break;
+      case 'nextVideo':
+        this.playNext();
+        break;
+      case 'previousVideo':
+        this.playPrevious();
+        break;
+      case 'toggleMute': {
+        const muted = this.player.toggleMute();
+        if (muted !== null) this.showSkipIndicator(muted ? '🔇 Muted' : '🔊 Sound on');
+        break;
+      }
+      case 'toggleCaptions': {
+        const captions = this.player.toggleCaptions();
+        this.showSkipIndicator(captions === null ? 'No captions' : captions ? 'CC on' : 'CC off');
+        break;
+      }
+      default:
+        console.warn(`Unhandled action "${action}" for ${gesture}`);
+    }
+  }
+
+  // Seek relative to the current time, previewing the target time in the overlay
+  seekBy(seconds) {
+    const duration = this.player.getDuration();
+    let target = Math.max(0, this.player.getCurrentTime() + seconds);
+    if (duration > 0) target = Math.min(target, duration);
+
+    this.player.seekTo(target);
+    this.usage.skipped(seconds);
+    const jump = seconds > 0 ? `▶▶ +${seconds}s` : `◀◀ ${seconds}s`;
+    const position =
+      duration > 0 ? `${this.formatTime(target)} / ${this.formatTime(duration)}` : this.formatTime(target);
+    this.showSkipIndicator(`${jump}\n${position}`);
+  }
+
+  // Seek amount for a skip-zone seek bound to `seconds`: scrub mode replaces it with the step for how long
+  // the zone has been held (same direction)
+  skipZoneSeekAmount(seconds) {
+    if (this.settings.skipMode !== 'scrub') return seconds;
+
+    const steps = this.settings.scrubSteps;
+    const held = Date.now() - this.skipZone.since;
+    const step = steps[Math.min(Math.floor(held / this.settings.scrubStepTime), steps.length - 1)];
+    return Math.sign(seconds) * step;
+  }
+
+  // Watched time: "45s", "12m", "1h 05m"
+  formatWatchTime(seconds) {
+    if (seconds < 60) return Math.round(seconds) + 's';
+    const minutes = Math.round(seconds / 60);
+    return minutes < 60 ? minutes + 'm' : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  }
+
+  formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // Queue navigation: steps through a YouTube playlist first, then to the next/previous queue item
+  playNext() {
+    this.stepQueue(1);
+  }
+
+  playPrevious() {
+    this.stepQueue(-1);
+  }
+
+  stepQueue(offset) {
+    if (this.player && this.playerReady && this.player.playlistStep(offset)) {
+      this.showSkipIndicator(offset > 0 ? '⏭ Next' : '⏮ Previous');
+      return;
+    }
+
+    const item = offset > 0 ? this.queue.next() : this.queue.previous();
+    if (!item) {
+      this.showSkipIndicator(offset > 0 ? 'End of queue' : 'Start of queue');
+      return;
+    }
+
+    // Entering a playlist backwards starts at its last known entry
+    this.playQueueItem(item);
+    this.showSkipIndicator(offset > 0 ? '⏭ Next' : '⏮ Previous');
+  }
+
+  togglePlayback() {
+    if (!this.playerReady || this.isPausing) return;
+
+    if (this.player.isPlaying()) {
+      this.player.pause();
+    } else {
+      this.player.play();
+    }
+  }
+
+  updatePlaybackSpeed(tilt) {
+    if (!this.playerReady || this.pauseGrace) return; // Not while counting down to a pause, or paused
+
     // Apply dead zone
     let effectiveTilt = tilt;
     if (Math.abs(tilt) < this.settings.deadZone) {
@@ -430,39 +2224,158 @@ class HeadTiltController {
     //Apply sensitivity
     effectiveTilt *= this.settings.sensitivity;
 
-    // Check for skip (at max tilt extremes)
+    // Speed from a resume or another input: keep it until the head leaves the idle zone
+    if (this.speedHold) {
+      if (effectiveTilt === 0) return;
+      this.speedHold = false;
+    }
+
+    // Extreme tilt: skip zone gestures
     const skipTiltThreshold = this.settings.maxTilt * this.skipThreshold;
+
+    if (Math.abs(effectiveTilt) >= skipTiltThreshold) {
+      if (this.handleSkipZone(effectiveTilt > 0 ? 'Right' : 'Left')) {
+        return; // Don't update speed when skipping
+      }
+    } else {
+      this.skipZone = null;
+    }
+
+    // Tilt zones are bound to the speed ladder, a fixed rate or nothing
+    const centerThreshold = 2; // Threshold to return to center
+
+    let targetIndex = this.normalIndex;
+    let targetSpeed = this.speedLevels[targetIndex];
+
+    if (Math.abs(effectiveTilt) >= centerThreshold) {
+      const binding = this.gestureMapper.getBinding(effectiveTilt > 0 ? 'tiltRight' : 'tiltLeft');
+
+      if (binding.action === 'speedLadder' && this.settings.speedMode === 'continuous') {
+        targetSpeed = this.curveSpeedForTilt(effectiveTilt, centerThreshold, skipTiltThreshold);
+      } else if (binding.action === 'speedLadder') {
+        targetIndex = this.ladderIndexForTilt(effectiveTilt);
+        targetSpeed = this.speedLevels[targetIndex];
+      } else if (binding.action === 'setRate') {
+        targetSpeed = binding.param;
+      }
+    }
+
+    targetSpeed = this.constrainRate(targetSpeed);
+
+    // Continuous mode changes a little on almost every frame; don't pass all of it to the player
+    if (this.settings.speedMode === 'continuous' && !this.rateLimiter.shouldApply(targetSpeed, this.currentSpeed)) {
+      return;
+    }
+
+    // Only update if changed
+    if (targetIndex !== this.currentLevelIndex || targetSpeed !== this.currentSpeed) {
+      if (targetIndex !== this.currentLevelIndex) {
+        this.diagnostics.levelChanged(performance.now(), this.currentLevelIndex, targetIndex);
+      }
+      this.previousLevelIndex = this.currentLevelIndex;
+      this.currentLevelIndex = targetIndex;
+      if (targetSpeed === this.currentSpeed) return; // New level, but the backend rate is the same
+
+      this.currentSpeed = targetSpeed;
+
+      try {
+        this.player.setPlaybackRate(targetSpeed);
+        if (this.axisTilt === null) this.diagnostics.rateChanged(performance.now());
+        this.usage.speedChanged();
+        this.updateSpeedDisplay(targetSpeed + 'x');
+        this.updateSpeedOverlay();
+      } catch (error) {
+        console.error('Error setting playback speed:', error);
+      }
+    }
+  }
+
+  // Extreme tilt zone: skipLeft/skipRight repeat while held (debounced), holdLeft/holdRight fire once.
+  // Returns true if a bound gesture fired.
+  handleSkipZone(side) {
     const now = Date.now();
-    const skipDebounce = 500; // ms between skips
 
-    if (Math.abs(effectiveTilt) >= skipTiltThreshold && now - this.lastSkipTime > skipDebounce) {
+    if (!this.skipZone || this.skipZone.side !== side) {
+      this.skipZone = { side, since: now, holdFired: false };
+    }
+
+    if (!this.skipZone.holdFired && now - this.skipZone.since >= this.gestureMapper.holdTime) {
+      this.skipZone.holdFired = true;
+      if (this.gestureMapper.trigger('hold' + side)) return true;
+    }
+
+    if (now - this.lastSkipTime > this.settings.skipInterval && this.gestureMapper.trigger('skip' + side)) {
       this.lastSkipTime = now;
-      const skipAmount = 10; // seconds
-      const currentTime = this.player.getCurrentTime();
+      return true;
+    }
 
-      if (effectiveTilt > 0) {
-        // Skip forward
-        this.player.seekTo(currentTime + skipAmount, true);
-        this.showSkipIndicator('▶▶ +10s');
-      } else {
-        // Skip backward
-        this.player.seekTo(Math.max(0, currentTime - skipAmount), true);
-        this.showSkipIndicator('◀◀ -10s');
+    return false;
+  }
+
+  // Continuous mode: tilt between the center threshold and the skip zone, normalized to -1..1, through the curve
+  curveSpeedForTilt(effectiveTilt, centerThreshold, skipTiltThreshold) {
+    const magnitude = (Math.abs(effectiveTilt) - centerThreshold) / (skipTiltThreshold - centerThreshold);
+    const x = Math.sign(effectiveTilt) * Math.min(Math.max(magnitude, 0), 1);
+
+    const curve = SPEED_CURVES[this.settings.speedCurve] || SPEED_CURVES.linear;
+    return curve(x, this.settings);
+  }
+
+  // Clamp a rate to what the backend supports, snapping to its listed rates unless it takes any value
+  constrainRate(rate) {
+    const rates = this.player.getAvailablePlaybackRates();
+    if (!rates || rates.length === 0) return rate;
+
+    const clamped = Math.min(Math.max(rate, Math.min(...rates)), Math.max(...rates));
+    if (this.player.continuousRates) {
+      return Math.round(clamped * 100) / 100;
+    }
+    return rates.reduce((best, r) => (Math.abs(r - clamped) < Math.abs(best - clamped) ? r : best));
+  }
+
+  // Index of the level played at neutral tilt
+  get normalIndex() {
+    return normalLevelIndex(this.speedLevels, this.settings.normalSpeed);
+  }
+
+  // New levels or normal speed from the ladder editor; playback moves back to the normal level
+  setSpeedLadder(levels, normalSpeed) {
+    this.speedLevels = levels;
+    this.settings.normalSpeed = levels[normalLevelIndex(levels, normalSpeed)];
+    this.currentLevelIndex = this.previousLevelIndex = this.normalIndex;
+    this.saveSettings();
+    this.renderSpeedLadder();
+    this.updateCalibrationDisplay();
+  }
+
+  // Ladder editor: levels, normal level choices, and a note on levels the player can't play as they are
+  renderSpeedLadder() {
+    document.getElementById('speedLevels').value = formatSpeedLadder(this.speedLevels);
+
+    const select = document.getElementById('normalSpeed');
+    select.replaceChildren(...this.speedLevels.map((level) => new Option(level + 'x', level)));
+    select.value = this.speedLevels[this.normalIndex];
+
+    const slower = this.normalIndex;
+    const faster = this.speedLevels.length - this.normalIndex - 1;
+    let hint = `${slower} slower, ${faster} faster`;
+    if (this.playerReady) {
+      const unsupported = unsupportedLevels(this.speedLevels, (level) => this.constrainRate(level));
+      if (unsupported.length > 0) {
+        hint += ` · this player plays ${unsupported.map(({ level, rate }) => `${level}x as ${rate}x`).join(', ')}`;
       }
-      return; // Don't update speed when skipping
     }
+    document.getElementById('speedLadderHint').textContent = hint;
+  }
 
-    // Map tilt to discrete speed levels with hysteresis (Schmitt trigger)
+  // Map tilt to discrete speed levels with hysteresis (Schmitt trigger)
+  ladderIndexForTilt(effectiveTilt) {
     const numLevels = this.speedLevels.length;
-    const normalSpeedIndex = 2; // 1.0x is at index 2
+    const normalSpeedIndex = this.normalIndex;
 
     let targetIndex;
-    const centerThreshold = 2; // Threshold to return to center
 
-    if (Math.abs(effectiveTilt) < centerThreshold) {
-      // Very close to center - return to normal speed
-      targetIndex = normalSpeedIndex;
-    } else if (effectiveTilt > 0) {
+    if (effectiveTilt > 0) {
       // Tilt right - speed up
       const rightLevels = numLevels - normalSpeedIndex - 1; // Levels above normal
 
@@ -509,28 +2422,17 @@ class HeadTiltController {
       }
     }
 
-    // Only update if changed
-    if (targetIndex !== this.currentLevelIndex) {
-      this.previousLevelIndex = this.currentLevelIndex;
-      this.currentLevelIndex = targetIndex;
-      const speed = this.speedLevels[targetIndex];
-      this.currentSpeed = speed;
-
-      try {
-        this.player.setPlaybackRate(speed);
-        this.updateSpeedDisplay(speed + 'x');
-        this.updateSpeedOverlay();
-      } catch (error) {
-        console.error('Error setting playback speed:', error);
-      }
-    }
+    return targetIndex;
   }
 
   showSkipIndicator(text) {
     const overlay = document.getElementById('speedOverlay');
     overlay.textContent = text;
     overlay.classList.add('skip-flash');
-    setTimeout(() => {
+
+    // Repeated seeks (holding the skip zone) keep the flash up instead of flickering back to the speed
+    clearTimeout(this.skipIndicatorTimer);
+    this.skipIndicatorTimer = setTimeout(() => {
       overlay.classList.remove('skip-flash');
       this.updateSpeedOverlay();
     }, 800);
@@ -539,7 +2441,9 @@ class HeadTiltController {
   updateSpeedOverlay() {
     const overlay = document.getElementById('speedOverlay');
     if (overlay) {
-      overlay.textContent = this.currentSpeed.toFixed(1) + 'x';
+      // Two decimals only when needed (continuous mode, 0.75x...)
+      const speed = this.currentSpeed;
+      overlay.textContent = (Number.isInteger(speed * 10) ? speed.toFixed(1) : speed.toFixed(2)) + 'x';
     }
   }
 
@@ -667,15 +2571,119 @@ class HeadTiltController {
 
     // Zone labels
     ctx.fillText('SKIP', centerX - radius * 0.7, centerY - 15);
-    ctx.fillText('SLOW', centerX - radius * 0.35, centerY - radius * 0.35);
-    ctx.fillText('NORMAL', centerX, centerY - radius * 0.5);
-    ctx.fillText('FAST', centerX + radius * 0.35, centerY - radius * 0.35);
     ctx.fillText('SKIP', centerX + radius * 0.7, centerY - 15);
+    this.drawSpeedLadder(ctx, canvas, centerX, centerY, radius);
 
     // Show current tilt value in center
     ctx.font = 'bold 24px monospace';
     ctx.fillStyle = '#4ade80';
     ctx.fillText(this.currentTilt.toFixed(1) + '°', centerX, centerY - 10);
+
+    // Calibration result: comfortable extremes and neutral offset
+    const range = this.settings.calibratedRange;
+    if (range) {
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 3;
+      for (const tilt of [-range.left, range.right]) {
+        const angle = startAngle + Math.PI / 2 + (tilt * Math.PI) / 180;
+        ctx.beginPath();
+        ctx.moveTo(centerX + radius * 0.9 * Math.cos(angle), centerY + radius * 0.9 * Math.sin(angle));
+        ctx.lineTo(centerX + radius * 1.05 * Math.cos(angle), centerY + radius * 1.05 * Math.sin(angle));
+        ctx.stroke();
+      }
+
+      ctx.font = '11px sans-serif';
+      ctx.fillStyle = '#999';
+      ctx.textAlign = 'left';
+      ctx.fillText(`neutral ${this.settings.tiltOffset.toFixed(1)}°`, 6, centerY - 4);
+    }
+
+    if (this.calibrationWizard.active) {
+      this.drawCalibrationProgress(ctx, canvas);
+    }
+  }
+
+  // Speeds of the tilt zones: the normal speed above the tilt value, slower speeds down the top left corner and
+  // faster ones down the top right, the current one highlighted. Levels mode also marks where each level starts.
+  drawSpeedLadder(ctx, canvas, centerX, centerY, radius) {
+    const continuous = this.settings.speedMode === 'continuous';
+    const normalIndex = this.normalIndex;
+    const activeIndex = this.isPausing ? -1 : this.currentLevelIndex;
+
+    // Speeds per side, nearest to normal first, as [label, level index or -1]
+    const sideLabels = (side) => {
+      const binding = this.gestureMapper.getBinding(side === 1 ? 'tiltRight' : 'tiltLeft');
+      if (binding.action === 'setRate') return [[binding.param + 'x', -1]];
+      if (binding.action !== 'speedLadder') return [];
+      if (continuous) return [[(side === 1 ? this.settings.maxRate : this.settings.minRate) + 'x', -1]];
+
+      const labels = [];
+      for (let i = normalIndex + side; i >= 0 && i < this.speedLevels.length; i += side) {
+        labels.push([this.speedLevels[i] + 'x', i]);
+      }
+      return labels;
+    };
+
+    const drawLabel = ([label, index], x, y) => {
+      const active = index === activeIndex && !continuous;
+      ctx.fillStyle = active ? '#4ade80' : '#ccc';
+      ctx.font = active ? 'bold 13px sans-serif' : '12px sans-serif';
+      ctx.fillText(label, x, y);
+    };
+
+    ctx.textAlign = 'left';
+    sideLabels(-1).forEach((label, i) => drawLabel(label, 6, 16 + i * 14));
+    ctx.textAlign = 'right';
+    sideLabels(1).forEach((label, i) => drawLabel(label, canvas.width - 6, 16 + i * 14));
+    ctx.textAlign = 'center';
+    drawLabel([(continuous ? 1 : this.speedLevels[normalIndex]) + 'x', normalIndex], centerX, centerY - radius * 0.5);
+
+    // Level boundaries across the speed zones (level k of n starts at deadZone + (k - 1) / n * maxTilt)
+    if (continuous) return;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 1;
+    for (const [side, levels] of [
+      [-1, normalIndex],
+      [1, this.speedLevels.length - normalIndex - 1],
+    ]) {
+      for (let k = 1; k < levels; k++) {
+        const tilt = this.settings.deadZone + (k / levels) * this.settings.maxTilt;
+        if (tilt >= this.settings.maxTilt) break;
+
+        const angle = -Math.PI / 2 + (side * tilt * Math.PI) / 180;
+        ctx.beginPath();
+        ctx.moveTo(centerX + radius * 0.3 * Math.cos(angle), centerY + radius * 0.3 * Math.sin(angle));
+        ctx.lineTo(centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle));
+        ctx.stroke();
+      }
+    }
+  }
+
+  // Wizard overlay: step number, phase and a progress bar along the bottom
+  drawCalibrationProgress(ctx, canvas) {
+    const wizard = this.calibrationWizard;
+    const recording = wizard.phase === 'record';
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`Step ${wizard.stepIndex + 1}/${wizard.steps.length}`, canvas.width / 2, 30);
+
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillStyle = recording ? '#ef4444' : '#fbbf24';
+    ctx.fillText(recording ? '● Recording' : 'Get ready...', canvas.width / 2, 55);
+
+    ctx.font = 'bold 24px monospace';
+    ctx.fillStyle = '#4ade80';
+    ctx.fillText((this.currentTilt + this.settings.tiltOffset).toFixed(1) + '°', canvas.width / 2, 95);
+
+    ctx.fillStyle = '#333';
+    ctx.fillRect(20, canvas.height - 24, canvas.width - 40, 8);
+    ctx.fillStyle = recording ? '#ef4444' : '#fbbf24';
+    ctx.fillRect(20, canvas.height - 24, (canvas.width - 40) * wizard.progress(), 8);
   }
 
   updateSpeedDisplay(speed) {
@@ -687,10 +2695,118 @@ class HeadTiltController {
     this.updateCalibrationDisplay();
   }
 
+  // A new service worker is installed and waiting: offer to switch to it
+  showUpdatePrompt(worker) {
+    const banner = document.getElementById('updateBanner');
+    banner.classList.remove('hidden');
+    document.getElementById('reloadApp').onclick = () => {
+      this.saveWatchSession();
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+  }
+
   updateStatus(message) {
     document.getElementById('status').textContent = message;
   }
 
+  // Show the last pose gesture briefly
+  showGestureStatus(gesture) {
+    const gestureStatusEl = document.getElementById('gestureStatus');
+    gestureStatusEl.textContent = gesture;
+
+    clearTimeout(this.gestureStatusTimer);
+    this.gestureStatusTimer = setTimeout(() => {
+      gestureStatusEl.textContent = '-';
+    }, 1500);
+  }
+
+  // Diagnostics: frame counts once a second, the HUD at most five times a second
+  sampleDiagnostics() {
+    this.diagnostics.sample(performance.now(), this.camera ? this.camera.frameCount : undefined);
+    if (this.settings.showDiagnostics) {
+      document.getElementById('diagnosticsStats').textContent = [
+        ...this.diagnostics.describe(),
+        `Tracking: ${this.trackingMode()}`,
+      ].join('\n');
+    }
+  }
+
+  drawDiagnostics() {
+    const now = performance.now();
+    if (!this.settings.showDiagnostics || now - this.lastDiagnosticsDraw < 200) return;
+    this.lastDiagnosticsDraw = now;
+
+    const canvas = document.getElementById('diagnosticsChart');
+    drawDiagnosticsChart(canvas.getContext('2d'), canvas.width, canvas.height, this.diagnostics, {
+      deadZone: this.settings.deadZone,
+      maxTilt: this.settings.maxTilt,
+      levelCount: this.speedLevels.length,
+    });
+  }
+
+  // Where Face Mesh runs
+  trackingMode() {
+    if (this.replay.active) return 'replay';
+    if (!(this.faceMesh instanceof WorkerFaceTracker)) return 'main thread';
+    return this.faceMesh.fallback ? 'main thread (worker failed)' : 'worker';
+  }
+
+  // Settings, device and recent measurements as JSON for a bug report
+  diagnosticsReport() {
+    const stream = this.videoElement.srcObject;
+    const track = stream ? stream.getVideoTracks()[0] : null;
+    let camera = null;
+    if (track) {
+      const { deviceId, groupId, ...trackSettings } = track.getSettings(); // IDs identify the device; leave them out
+      camera = { label: track.label, ...trackSettings };
+    }
+    const { cameraId, ...settings } = this.settings; // Same for the chosen camera
+
+    return this.diagnostics.report({
+      device: {
+        userAgent: navigator.userAgent,
+        platform: navigator.platform,
+        language: navigator.language,
+        hardwareConcurrency: navigator.hardwareConcurrency,
+        deviceMemory: navigator.deviceMemory,
+        screen:
+          typeof screen === 'undefined'
+            ? null
+            : { width: screen.width, height: screen.height, pixelRatio: window.devicePixelRatio },
+      },
+      camera,
+      tracking: this.trackingMode(),
+      player: this.player ? this.player.constructor.name : null,
+      filterLatencyMs: this.filterMetrics.report().latency,
+      speedLevels: this.speedLevels,
+      settings: { ...settings, customCamera: cameraId !== '' },
+    });
+  }
+
+  // Clipboard where allowed (secure context, permission), a download otherwise
+  async copyDiagnosticsReport() {
+    const json = JSON.stringify(this.diagnosticsReport(), null, 2);
+    try {
+      await navigator.clipboard.writeText(json);
+      this.updateStatus('Diagnostics report copied');
+    } catch (error) {
+      console.warn('Could not copy the diagnostics report:', error);
+      this.downloadFile(`diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`, json, 'application/json');
+      this.updateStatus('Diagnostics report downloaded');
+    }
+  }
+
+  // Latency and jitter of the tilt filter, refreshed twice a second
+  updateFilterMetrics(now = Date.now()) {
+    if (now - this.lastFilterMetricsUpdate < 500) return;
+    this.lastFilterMetricsUpdate = now;
+
+    const { latency, rawJitter, filteredJitter } = this.filterMetrics.report();
+    const latencyText = latency === null ? 'move to measure' : Math.round(latency) + ' ms';
+    document.getElementById('filterMetrics').textContent =
+      `Latency: ${latencyText} · Jitter: ${rawJitter.toFixed(2)}° → ${filteredJitter.toFixed(2)}°`;
+  }
+
   updateFaceStatus(status) {
     const faceStatusEl = document.getElementById('faceStatus');
     faceStatusEl.textContent = status;
@@ -698,7 +2814,12 @@ class HeadTiltController {
     // Color code the status
     if (status === 'Detected') {
       faceStatusEl.style.color = '#4ade80';
-    } else if (status === 'Pausing...' || status === 'Lost') {
+    } else if (
+      status.startsWith('Pausing') ||
+      status === 'Lost' ||
+      status === 'Eyes closed' ||
+      status === 'Looking away'
+    ) {
       faceStatusEl.style.color = '#fbbf24';
     } else if (status === 'Paused') {
       faceStatusEl.style.color = '#ef4444';
@@ -707,25 +2828,3 @@ class HeadTiltController {
     }
   }
 }
-
-// Initialize app when YouTube API is ready
-let app;
-
-function onYouTubeIframeAPIReady() {
-  app = new HeadTiltController();
-}
-
-// If YouTube API already loaded
-if (window.YT && window.YT.Player) {
-  onYouTubeIframeAPIReady();
-}
-
-// Service Worker registration for PWA
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker
-      .register('sw.js')
-      .then((reg) => console.log('Service Worker registered'))
-      .catch((err) => console.log('Service Worker registration failed:', err));
-  });
-}
@@ -0,0 +1,44 @@
+// Generated by scripts/build-asset-manifest.js - do not edit.
+// Files the service worker precaches, with content hashes; version changes whenever any of them does.
+self.ASSET_MANIFEST = {
+  version: '59a5254958f0',
+  assets: {
+    './': '5b8a596d8e62',
+    './app.js': '3fa188edcec2',
+    './attention.js': '672fa0c32f87',
+    './calibration.js': 'dd1b16280559',
+    './camera-source.js': 'cab58b7f5312',
+    './diagnostics.js': '1c2ece95b77c',
+    './face-gestures.js': '66e6914e8f4e',
+    './face-lock.js': '86710a4be0b5',
+    './face-tracker.js': 'fdd5de7cf903',
+    './filters.js': '654078b5571c',
+    './gesture-mapping.js': '60964c18b529',
+    './head-pose.js': '91b61af6b94b',
+    './history.js': 'deacb84802ca',
+    './index.html': '5b8a596d8e62',
+    './input-sources.js': 'a5acf7131616',
+    './main.js': '2cd3d0637026',
+    './manifest.json': 'b91b47a31710',
+    './players.js': 'cba9dc70dbed',
+    './qr-code.js': '2ff5bfd235fb',
+    './queue.js': '5611e9c2d36f',
+    './remote-control.js': '72d4b76cff58',
+    './session-recorder.js': 'd6d6d937c5a9',
+    './settings-store.js': '83979597991c',
+    './speed-curves.js': '95e06d09c7a3',
+    './speed-ladder.js': 'bc9f5f3ecf42',
+    './styles.css': 'c76c8b6e75f9',
+    './tracking-worker.js': '2ba711bfc22b',
+    './usage-stats.js': '6e3320628b4a',
+    './vendor/mediapipe/face_mesh/face_mesh.binarypb': '139546bf05ae',
+    './vendor/mediapipe/face_mesh/face_mesh.js': '403924bc1ab6',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_packed_assets.data': 'dbe5905c582c',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_packed_assets_loader.js': '95147c15fdf1',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.data': 'e3b0c44298fc',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.js': '5a3881c346a7',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_simd_wasm_bin.wasm': 'a51eaf606ae3',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_wasm_bin.js': 'e6b6aac1f6dc',
+    './vendor/mediapipe/face_mesh/face_mesh_solution_wasm_bin.wasm': '5a943471fee5',
+  },
+};
@@ -0,0 +1,103 @@
+// Attention
+// Whether the viewer is watching: eyes closed (eye aspect ratio) or looking away (head pose plus iris gaze)
+
+const ATTENTION_STATES = {
+  present: 'present',
+  eyesClosed: 'eyesClosed',
+  lookingAway: 'lookingAway',
+  absent: 'absent', // No face found
+};
+
+// Iris centers from the refined Face Mesh landmarks (refineLandmarks: true), same sides as EYE_LANDMARKS
+const IRIS_LANDMARKS = { left: 468, right: 473 };
+
+class AttentionMonitor {
+  constructor({ closedRatio = 0.2, awayAngle = 30, pitchAngle = 25, gazeRange = 45, baselineRate = 0.01 } = {}) {
+    this.closedRatio = closedRatio; // eye aspect ratio below which the eyes count as closed
+    this.awayAngle = awayAngle; // degrees of gaze yaw from baseline
+    this.pitchAngle = pitchAngle; // degrees of head pitch from baseline (e.g. looking down at a phone)
+    this.gazeRange = gazeRange; // degrees of eye rotation when the iris reaches the eye corner (rough)
+    this.baselineRate = baselineRate; // per frame; follows the usual viewing pose so camera placement doesn't count
+
+    this.baseline = null; // { yaw, pitch }
+    this.state = ATTENTION_STATES.absent;
+    this.since = Date.now();
+  }
+
+  // Classify one frame; pose comes from HeadPoseEstimator. Returns the state.
+  update(landmarks, pose, aspectRatio = 4 / 3, now = Date.now()) {
+    const gazeYaw = this.gazeYaw(landmarks, pose.yaw);
+    if (this.baseline === null) {
+      this.baseline = { yaw: gazeYaw, pitch: pose.pitch };
+    }
+
+    // Each check returns at a slightly smaller margin (hysteresis) so a borderline pose doesn't flicker
+    const wasAway = this.state === ATTENTION_STATES.lookingAway;
+    const awayMargin = wasAway ? 5 : 0;
+    const away =
+      Math.abs(gazeYaw - this.baseline.yaw) > this.awayAngle - awayMargin ||
+      Math.abs(pose.pitch - this.baseline.pitch) > this.pitchAngle - awayMargin;
+
+    const ratio =
+      (eyeAspectRatio(landmarks, EYE_LANDMARKS.left, aspectRatio) +
+        eyeAspectRatio(landmarks, EYE_LANDMARKS.right, aspectRatio)) /
+      2;
+    const wasClosed = this.state === ATTENTION_STATES.eyesClosed;
+    const closed = ratio < this.closedRatio + (wasClosed ? 0.03 : 0);
+
+    // Looking down also lowers the lids, so looking away wins
+    let state = ATTENTION_STATES.present;
+    if (away) {
+      state = ATTENTION_STATES.lookingAway;
+    } else if (closed) {
+      state = ATTENTION_STATES.eyesClosed;
+    }
+
+    if (state === ATTENTION_STATES.present) {
+      this.baseline.yaw += (gazeYaw - this.baseline.yaw) * this.baselineRate;
+      this.baseline.pitch += (pose.pitch - this.baseline.pitch) * this.baselineRate;
+    }
+
+    this.setState(state, now);
+    return state;
+  }
+
+  // No face in this frame
+  markAbsent(now = Date.now()) {
+    this.setState(ATTENTION_STATES.absent, now);
+  }
+
+  setState(state, now) {
+    if (state !== this.state) {
+      this.state = state;
+      this.since = now;
+    }
+  }
+
+  // ms spent in the current state
+  duration(now = Date.now()) {
+    return now - this.since;
+  }
+
+  // Head yaw corrected by where the eyes point; without iris landmarks, head yaw alone
+  gazeYaw(landmarks, headYaw) {
+    if (landmarks.length <= IRIS_LANDMARKS.right) return headYaw;
+
+    const offset =
+      (AttentionMonitor.irisOffset(landmarks, EYE_LANDMARKS.left, IRIS_LANDMARKS.left) +
+        AttentionMonitor.irisOffset(landmarks, EYE_LANDMARKS.right, IRIS_LANDMARKS.right)) /
+      2;
+    // Offsets are in camera image x; the viewer's right is image left, and positive yaw is turning right
+    return headYaw - offset * this.gazeRange;
+  }
+
+  // Iris position between the eye corners in image x: -1 at the left corner, 0 centered, 1 at the right corner
+  static irisOffset(landmarks, eye, iris) {
+    const outer = landmarks[eye.outer].x;
+    const inner = landmarks[eye.inner].x;
+    const halfWidth = Math.abs(inner - outer) / 2;
+    if (halfWidth === 0) return 0;
+
+    return (landmarks[iris].x - (outer + inner) / 2) / halfWidth;
+  }
+}
@@ -0,0 +1,164 @@
+// Calibration Wizard
+// Records the user's neutral pose and comfortable left/right tilt, then derives offset, dead zone and max tilt
+
+const CALIBRATION_STEPS = [
+  { id: 'neutral', prompt: 'Hold your head straight and relaxed', duration: 3000 },
+  { id: 'left', prompt: 'Tilt left as far as is comfortable and hold', duration: 3000 },
+  { id: 'right', prompt: 'Tilt right as far as is comfortable and hold', duration: 3000 },
+];
+
+class CalibrationWizard {
+  constructor({ onUpdate, onComplete, steps = CALIBRATION_STEPS, prepareTime = 1500, minSamples = 15 } = {}) {
+    this.onUpdate = onUpdate || (() => {}); // (wizard) on every phase change
+    this.onComplete = onComplete || (() => {}); // (samples) once all steps are recorded
+    this.steps = steps;
+    this.prepareTime = prepareTime; // ms to get into position before recording
+    this.minSamples = minSamples; // face samples needed per step
+
+    this.active = false;
+    this.message = '';
+  }
+
+  get step() {
+    return this.steps[this.stepIndex];
+  }
+
+  start(now = Date.now()) {
+    this.active = true;
+    this.samples = {};
+    this.steps.forEach((step) => (this.samples[step.id] = []));
+    this.startStep(0, now);
+  }
+
+  cancel() {
+    this.active = false;
+    this.message = 'Calibration cancelled';
+    this.onUpdate(this);
+  }
+
+  startStep(index, now, message = '') {
+    this.stepIndex = index;
+    this.phase = 'prepare';
+    this.phaseStart = now;
+    this.samples[this.step.id] = [];
+    this.message = message || this.step.prompt;
+    this.onUpdate(this);
+  }
+
+  // Fraction of the current phase that has elapsed (0-1)
+  progress(now = Date.now()) {
+    const duration = this.phase === 'prepare' ? this.prepareTime : this.step.duration;
+    return Math.min((now - this.phaseStart) / duration, 1);
+  }
+
+  // Raw tilt (before any offset) for every frame with a face
+  addSample(tilt, now = Date.now()) {
+    if (!this.active) return;
+
+    if (this.phase === 'record') {
+      this.samples[this.step.id].push(tilt);
+    }
+    this.tick(now);
+  }
+
+  // Advance time-based phases; also called on frames without a face
+  tick(now = Date.now()) {
+    if (!this.active || this.progress(now) < 1) return;
+
+    if (this.phase === 'prepare') {
+      this.phase = 'record';
+      this.phaseStart = now;
+      this.onUpdate(this);
+      return;
+    }
+
+    const problem = this.checkStep();
+    if (problem) {
+      this.startStep(this.stepIndex, now, problem);
+      return;
+    }
+
+    if (this.stepIndex + 1 < this.steps.length) {
+      this.startStep(this.stepIndex + 1, now);
+      return;
+    }
+
+    this.active = false;
+    this.message = 'Calibration complete';
+    this.onComplete(this.samples);
+    this.onUpdate(this);
+  }
+
+  // Returns a retry message if the step just recorded is unusable
+  checkStep() {
+    const samples = this.samples[this.step.id];
+    if (samples.length < this.minSamples) {
+      return 'Face not detected - look at the camera. ' + this.step.prompt;
+    }
+
+    if (this.step.id === 'neutral') return null;
+
+    // Extremes must clearly lean the right way from neutral
+    const neutral = Stats.median(this.samples.neutral);
+    const lean = (Stats.median(samples) - neutral) * (this.step.id === 'left' ? -1 : 1);
+    if (lean < CalibrationWizard.MIN_RANGE) {
+      return `Tilt further ${this.step.id}. ` + this.step.prompt;
+    }
+    return null;
+  }
+
+  // Settings from the recorded samples.
+  // The zero offset is the neutral median, the dead zone covers neutral jitter, and max tilt is chosen
+  // so the skip zone starts just inside the smaller of the two comfortable extremes.
+  static deriveSettings(samples, { skipThreshold = 0.9, sensitivity = 1.0 } = {}) {
+    const tiltOffset = Stats.median(samples.neutral);
+
+    // 95th percentile of neutral wobble
+    const jitter = Stats.percentile(
+      samples.neutral.map((tilt) => Math.abs(tilt - tiltOffset)),
+      0.95,
+    );
+
+    // Comfortable extremes relative to neutral (90th percentile ignores overshoot)
+    const range = {
+      left: Stats.percentile(
+        samples.left.map((tilt) => tiltOffset - tilt),
+        0.9,
+      ),
+      right: Stats.percentile(
+        samples.right.map((tilt) => tilt - tiltOffset),
+        0.9,
+      ),
+    };
+    const reach = Math.min(range.left, range.right);
+
+    // Dead zone: twice the wobble, in the slider's 0.5° steps, between 1° and 30% of the reach
+    const deadZoneLimit = Math.min(15, Math.floor(reach * 0.6) / 2);
+    const deadZone = Math.min(Math.max(Math.round(jitter * 4) / 2, 1), deadZoneLimit);
+
+    // Skip triggers at (tilt - deadZone) * sensitivity >= maxTilt * skipThreshold; aim for 95% of the reach
+    const maxTilt = Math.round(((reach * 0.95 - deadZone) * sensitivity) / skipThreshold);
+
+    return { tiltOffset, deadZone, maxTilt: Math.min(Math.max(maxTilt, 5), 40), range };
+  }
+}
+
+CalibrationWizard.MIN_RANGE = 5; // degrees an extreme must lean from neutral
+
+// Statistics helpers
+const Stats = {
+  median(values) {
+    return Stats.percentile(values, 0.5);
+  },
+
+  // Linear-interpolated percentile, p in 0-1
+  percentile(values, p) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  },
+};
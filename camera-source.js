@@ -0,0 +1,107 @@
+// Camera Source
+// Which camera to open and how (device, resolution and frame-rate presets), and the loop that hands its
+// frames to Face Mesh, at most processingFps times a second
+
+// Resolution and frame-rate presets for getUserMedia; Face Mesh works on a downscaled image anyway, so
+// 'low' loses little tracking and saves the most power
+const CAMERA_PRESETS = {
+  low: { width: 320, height: 240, frameRate: 15 },
+  standard: { width: 640, height: 480, frameRate: 30 },
+  hd: { width: 1280, height: 720, frameRate: 30 },
+};
+
+const CAMERA_RECONNECT_DELAY = 2000; // ms after a camera stream ends before opening it again
+
+// Video constraints for a device (deviceId, or '' for the front camera) and a CAMERA_PRESETS key
+function cameraConstraints(deviceId, presetName) {
+  const preset = CAMERA_PRESETS[presetName] || CAMERA_PRESETS.standard;
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }),
+    width: { ideal: preset.width },
+    height: { ideal: preset.height },
+    frameRate: { ideal: preset.frameRate },
+  };
+}
+
+// The video inputs as [{ deviceId, label }]; labels are empty until camera permission is granted
+async function listCameras(mediaDevices) {
+  if (!mediaDevices || !mediaDevices.enumerateDevices) return [];
+
+  const devices = await mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === 'videoinput')
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+// "FaceTime HD Camera, 640×480 @ 30 fps" from a video track
+function describeCameraTrack(track) {
+  const { width, height, frameRate } = track.getSettings ? track.getSettings() : {};
+  const size = width && height ? `, ${width}×${height}` : '';
+  const rate = frameRate ? ` @ ${Math.round(frameRate)} fps` : '';
+  return `${track.label || 'Camera'}${size}${rate}`;
+}
+
+function waitForVideoMetadata(video) {
+  if (video.readyState >= 1) return Promise.resolve(); // HAVE_METADATA
+  return new Promise((resolve) => video.addEventListener('loadedmetadata', resolve, { once: true }));
+}
+
+// Calls onFrame() for new video frames, one at a time (a slow frame delays the next rather than queueing
+// up), and skips frames to stay under maxFps (0 = every frame). Same start/stop interface as MediaPipe's
+// camera_utils Camera, but it leaves opening the stream to the caller so any device can be used.
+class CameraFrameLoop {
+  constructor(video, { onFrame, maxFps = 0 } = {}) {
+    this.video = video;
+    this.onFrame = onFrame || (() => {});
+    this.maxFps = maxFps;
+
+    this.running = false;
+    this.run = 0; // Bumped by stop(), so callbacks from an earlier start() end their loop
+    this.cancel = null;
+    this.lastFrameTime = -Infinity;
+    this.frameCount = 0; // Video frames seen, processed or not
+  }
+
+  async start() {
+    this.stop();
+    this.running = true;
+    this.schedule(this.run);
+  }
+
+  stop() {
+    this.running = false;
+    this.run++;
+    if (this.cancel) this.cancel();
+    this.cancel = null;
+  }
+
+  // requestVideoFrameCallback fires once per decoded frame; requestAnimationFrame once per repaint
+  schedule(run) {
+    if (this.video.requestVideoFrameCallback) {
+      const handle = this.video.requestVideoFrameCallback(() => this.tick(run));
+      this.cancel = () => this.video.cancelVideoFrameCallback(handle);
+    } else {
+      const handle = requestAnimationFrame(() => this.tick(run));
+      this.cancel = () => cancelAnimationFrame(handle);
+    }
+  }
+
+  async tick(run) {
+    if (run !== this.run) return;
+    this.cancel = null;
+    this.frameCount++;
+
+    // A millisecond of slack, so 30 fps video isn't cut to 15 by a 30 fps limit
+    const now = performance.now();
+    if (!this.maxFps || now - this.lastFrameTime >= 1000 / this.maxFps - 1) {
+      this.lastFrameTime = now;
+      try {
+        await this.onFrame();
+      } catch (error) {
+        console.error('Frame processing error:', error);
+      }
+    }
+
+    if (run === this.run) this.schedule(run);
+  }
+}
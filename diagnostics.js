@@ -0,0 +1,226 @@
+// Diagnostics
+// Measurements of the tracking and control pipeline, for the diagnostics HUD and bug reports: camera and
+// tracking frame rates, time per Face Mesh frame, dropped and skipped frames, frame-to-setPlaybackRate latency and
+// how often the speed level flips back and forth. Times are performance.now() milliseconds.
+
+const DIAGNOSTICS_WINDOW = 10000; // ms of history kept for the charts and the report
+const LEVEL_FLIP_TIME = 1000; // ms: a level change undone this soon counts as a flip
+const DIAGNOSTICS_REPORT_FORMAT = 'head-tilt-diagnostics';
+
+class DiagnosticsMonitor {
+  constructor({ window = DIAGNOSTICS_WINDOW } = {}) {
+    this.window = window;
+    this.reset();
+  }
+
+  reset() {
+    this.frames = []; // { t, rawTilt, tilt, level, inference } per tracked frame; tilts are null without a face
+    this.seconds = []; // { t, cameraFps, sentFps, trackedFps, dropped, skipped } once a second
+    this.rateChanges = []; // { t, latency } per tilt-driven setPlaybackRate
+    this.levelChanges = []; // { t, from, to, flip }
+
+    this.sentAt = null; // When the frame now being tracked went to Face Mesh
+    this.previousSentAt = null; // Restored when the tracker skips the frame sent last
+    this.counts = { sent: 0, tracked: 0, skipped: 0 }; // Since the last per-second sample
+    this.lastSample = null; // { t, cameraFrames }
+  }
+
+  // A camera frame went to Face Mesh
+  frameSent(now) {
+    this.previousSentAt = this.sentAt;
+    this.sentAt = now;
+    this.counts.sent++;
+  }
+
+  // The tracker was still busy and skipped the frame sent last: the frame it is working on keeps its send time
+  frameSkipped() {
+    this.sentAt = this.previousSentAt;
+    this.counts.sent--;
+    this.counts.skipped++;
+  }
+
+  // Face Mesh results for a frame. Returns its entry, for the caller to fill in the tilts and level.
+  frameTracked(now) {
+    const frame = { t: now, rawTilt: null, tilt: null, level: null, inference: null };
+    if (this.sentAt !== null) frame.inference = now - this.sentAt;
+    this.sentAt = null;
+    this.counts.tracked++;
+    this.frames.push(frame);
+    this.trim(this.frames, now);
+    return frame;
+  }
+
+  // The tilt changed the playback rate; latency is measured from the frame that caused it
+  rateChanged(now) {
+    const frame = this.frames[this.frames.length - 1];
+    const latency = frame && frame.inference !== null ? now - frame.t + frame.inference : null;
+    this.rateChanges.push({ t: now, latency });
+    this.trim(this.rateChanges, now);
+  }
+
+  // A flip returns to the level of the previous change's start, in the opposite direction, soon after it
+  levelChanged(now, from, to) {
+    const previous = this.levelChanges[this.levelChanges.length - 1];
+    const flip = Boolean(
+      previous && previous.from === to && previous.to === from && now - previous.t < LEVEL_FLIP_TIME,
+    );
+    this.levelChanges.push({ t: now, from, to, flip });
+    this.trim(this.levelChanges, now);
+  }
+
+  // Once a second. cameraFrames: total video frames the camera delivered (CameraFrameLoop.frameCount), or
+  // undefined to count only frames sent. Frames sent but not tracked were dropped (tracking errors); frames
+  // skipped arrived while the tracker was busy; frames delivered but neither were left out by the face
+  // tracking rate.
+  sample(now, cameraFrames) {
+    const last = this.lastSample;
+    this.lastSample = { t: now, cameraFrames };
+    const { sent, tracked, skipped } = this.counts;
+    this.counts = { sent: 0, tracked: 0, skipped: 0 };
+    if (!last) return;
+
+    const seconds = (now - last.t) / 1000;
+    const delivered =
+      cameraFrames === undefined || last.cameraFrames === undefined ? sent + skipped : cameraFrames - last.cameraFrames;
+    this.seconds.push({
+      t: now,
+      cameraFps: delivered / seconds,
+      sentFps: sent / seconds,
+      trackedFps: tracked / seconds,
+      dropped: Math.max(0, sent - tracked),
+      skipped,
+    });
+    this.trim(this.seconds, now);
+  }
+
+  trim(list, now) {
+    while (list.length && list[0].t < now - this.window) list.shift();
+  }
+
+  summary() {
+    const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+    const percentile = (values, p) => {
+      if (!values.length) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    };
+
+    const inference = this.frames.map((f) => f.inference).filter((v) => v !== null);
+    const latency = this.rateChanges.map((r) => r.latency).filter((v) => v !== null);
+    const latest = this.seconds[this.seconds.length - 1] || null;
+    const minutes = this.window / 60000;
+
+    return {
+      cameraFps: latest && latest.cameraFps,
+      trackedFps: latest && latest.trackedFps,
+      droppedPerSecond: average(this.seconds.map((s) => s.dropped)),
+      skippedPerSecond: average(this.seconds.map((s) => s.skipped)),
+      limitedPerSecond: latest && Math.max(0, latest.cameraFps - latest.sentFps - latest.skipped),
+      inferenceMs: average(inference),
+      inferenceP95Ms: percentile(inference, 0.95),
+      frameToRateMs: average(latency),
+      levelChangesPerMinute: this.levelChanges.length / minutes,
+      levelFlipsPerMinute: this.levelChanges.filter((c) => c.flip).length / minutes,
+    };
+  }
+
+  // JSON-ready report: the caller adds what only it knows (settings, device, camera)
+  report(extra = {}) {
+    const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+    const rounded = (list) =>
+      list.map((entry) => Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, round(v)])));
+
+    return {
+      format: DIAGNOSTICS_REPORT_FORMAT,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      ...extra,
+      summary: Object.fromEntries(Object.entries(this.summary()).map(([k, v]) => [k, round(v)])),
+      recent: {
+        windowMs: this.window,
+        frames: rounded(this.frames),
+        seconds: rounded(this.seconds),
+        rateChanges: rounded(this.rateChanges),
+        levelChanges: rounded(this.levelChanges),
+      },
+    };
+  }
+
+  // Text lines for the HUD
+  describe() {
+    const s = this.summary();
+    const number = (value, unit = '') => (value === null ? '-' : Math.round(value) + unit);
+    const perSecond = (value) => (value === null ? '-' : value.toFixed(1)) + '/s';
+    return [
+      `Camera ${number(s.cameraFps, ' fps')} · tracked ${number(s.trackedFps, ' fps')}`,
+      `Dropped ${perSecond(s.droppedPerSecond)} · skipped ${perSecond(s.skippedPerSecond)} · over rate ${number(s.limitedPerSecond)}/s`,
+      `Inference ${number(s.inferenceMs, ' ms')} (p95 ${number(s.inferenceP95Ms, ' ms')})`,
+      `Frame → rate ${number(s.frameToRateMs, ' ms')}`,
+      `Level changes ${number(s.levelChangesPerMinute)}/min · flips ${number(s.levelFlipsPerMinute)}/min`,
+    ];
+  }
+}
+
+// Charts of the monitor's window, newest on the right: raw (grey) and filtered (green) tilt with the idle
+// zone, the level index, and time per frame with dropped frames as red bars
+function drawDiagnosticsChart(ctx, width, height, monitor, { deadZone, maxTilt, levelCount }) {
+  const now = monitor.frames.length ? monitor.frames[monitor.frames.length - 1].t : 0;
+  const x = (t) => width - ((now - t) / monitor.window) * width;
+  const panels = {
+    tilt: { top: 0, height: height * 0.45 },
+    level: { top: height * 0.5, height: height * 0.2 },
+    inference: { top: height * 0.75, height: height * 0.25 },
+  };
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px monospace';
+  ctx.lineWidth = 1;
+
+  const line = (panel, key, range, color) => {
+    const y = (value) => panel.top + panel.height * (1 - (value - range[0]) / (range[1] - range[0]));
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    let drawing = false;
+    for (const frame of monitor.frames) {
+      const value = frame[key];
+      if (value === null) {
+        drawing = false;
+        continue;
+      }
+      const clamped = Math.min(Math.max(value, range[0]), range[1]);
+      if (drawing) ctx.lineTo(x(frame.t), y(clamped));
+      else ctx.moveTo(x(frame.t), y(clamped));
+      drawing = true;
+    }
+    ctx.stroke();
+    return y;
+  };
+
+  const label = (panel, text) => {
+    ctx.fillStyle = '#aaa';
+    ctx.fillText(text, 4, panel.top + 10);
+  };
+
+  // Tilt, with the idle zone shaded
+  const tiltRange = maxTilt * 1.2;
+  const tiltY = (value) => panels.tilt.top + panels.tilt.height * (0.5 - value / tiltRange / 2);
+  ctx.fillStyle = 'rgba(102, 126, 234, 0.2)';
+  ctx.fillRect(0, tiltY(deadZone), width, tiltY(-deadZone) - tiltY(deadZone));
+  line(panels.tilt, 'rawTilt', [-tiltRange, tiltRange], '#888');
+  line(panels.tilt, 'tilt', [-tiltRange, tiltRange], '#4ade80');
+  label(panels.tilt, 'tilt raw / filtered');
+
+  line(panels.level, 'level', [0, Math.max(levelCount - 1, 1)], '#fbbf24');
+  label(panels.level, 'level');
+
+  // Dropped frames per second as bars under the time per frame
+  const maxInference = Math.max(50, ...monitor.frames.map((f) => f.inference || 0));
+  ctx.fillStyle = 'rgba(248, 113, 113, 0.6)';
+  for (const second of monitor.seconds) {
+    if (!second.dropped) continue;
+    const barHeight = Math.min(1, second.dropped / 30) * panels.inference.height;
+    ctx.fillRect(x(second.t) - 3, panels.inference.top + panels.inference.height - barHeight, 6, barHeight);
+  }
+  line(panels.inference, 'inference', [0, maxInference], '#60a5fa');
+  label(panels.inference, `ms per frame (max ${Math.round(maxInference)}) / dropped`);
+}
@@ -0,0 +1,150 @@
+// Face Gestures
+// Eye and mouth movements from Face Mesh landmarks, turned into deliberate gesture events
+
+// Six landmarks per eye for the eye aspect ratio: outer/inner corners, two upper and two lower lid points.
+// Sides are as seen in the camera image: 'left' is the viewer's own right eye.
+const EYE_LANDMARKS = {
+  left: { outer: 33, inner: 133, upper: [160, 158], lower: [144, 153] },
+  right: { outer: 263, inner: 362, upper: [387, 385], lower: [373, 380] },
+};
+
+// Inner lip midpoints and mouth corners
+const MOUTH_LANDMARKS = { upper: 13, lower: 14, left: 78, right: 308 };
+
+// Image-plane distance between two landmarks (x rescaled to the same units as y)
+function landmarkDistance(landmarks, a, b, aspectRatio) {
+  return Math.hypot((landmarks[a].x - landmarks[b].x) * aspectRatio, landmarks[a].y - landmarks[b].y);
+}
+
+// Eye aspect ratio: lid opening over eye width (~0.3 open, under ~0.2 closed)
+function eyeAspectRatio(landmarks, eye, aspectRatio = 4 / 3) {
+  const distance = (a, b) => landmarkDistance(landmarks, a, b, aspectRatio);
+
+  const width = distance(eye.outer, eye.inner);
+  if (width === 0) return 0;
+
+  const opening = distance(eye.upper[0], eye.lower[0]) + distance(eye.upper[1], eye.lower[1]);
+  return opening / (2 * width);
+}
+
+// Mouth aspect ratio: lip opening over mouth width (~0 closed, ~0.2-0.4 talking, over ~0.5 wide open)
+function mouthAspectRatio(landmarks, aspectRatio = 4 / 3) {
+  const distance = (a, b) => landmarkDistance(landmarks, a, b, aspectRatio);
+
+  const width = distance(MOUTH_LANDMARKS.left, MOUTH_LANDMARKS.right);
+  return width === 0 ? 0 : distance(MOUTH_LANDMARKS.upper, MOUTH_LANDMARKS.lower) / width;
+}
+
+// Eye gestures, each told apart from natural blinking (~100-300 ms, both eyes, a few seconds apart):
+//   'blink'       both eyes closed longer than a natural blink, but not so long that it looks like dozing off
+//   'doubleBlink' two blinks of natural length in quick succession
+//   'winkLeft'    the viewer's left eye held closed while the right one stays open ('winkRight' likewise)
+// Gestures fire when the eyes open again.
+class BlinkDetector {
+  constructor({
+    onGesture,
+    closedRatio = 0.2,
+    minDuration = 400,
+    maxDuration = 2000,
+    doubleBlinkGap = 500,
+    minWinkDuration = 250,
+    winkMargin = 0.05,
+  } = {}) {
+    this.onGesture = onGesture || (() => {});
+    this.closedRatio = closedRatio;
+    this.minDuration = minDuration; // ms; shorter closures of both eyes are natural blinks
+    this.maxDuration = maxDuration; // ms
+    this.doubleBlinkGap = doubleBlinkGap; // ms from the end of one blink to the start of the next
+    this.minWinkDuration = minWinkDuration; // ms
+    this.winkMargin = winkMargin; // the open eye must stay this far above closedRatio (not squinting)
+
+    this.reset();
+  }
+
+  reset() {
+    this.closure = null; // { since, left, right, squint } while either eye is closed
+    this.lastBlinkEnd = null; // End of the last natural-length blink, for double blinks
+  }
+
+  update(landmarks, aspectRatio, now = Date.now()) {
+    const left = eyeAspectRatio(landmarks, EYE_LANDMARKS.left, aspectRatio);
+    const right = eyeAspectRatio(landmarks, EYE_LANDMARKS.right, aspectRatio);
+    const leftClosed = left < this.closedRatio;
+    const rightClosed = right < this.closedRatio;
+
+    if (leftClosed || rightClosed) {
+      if (this.closure === null) {
+        this.closure = { since: now, left: false, right: false, squint: false };
+      }
+      const closure = this.closure;
+      closure.left = closure.left || leftClosed;
+      closure.right = closure.right || rightClosed;
+      closure.squint = closure.squint || Math.max(left, right) < this.closedRatio + this.winkMargin;
+      return;
+    }
+
+    // Eyes open again: which gesture was it?
+    if (this.closure !== null) {
+      const closure = this.closure;
+      this.closure = null;
+      const gesture = this.classify(closure, now);
+      if (gesture) this.onGesture(gesture);
+    }
+  }
+
+  classify(closure, now) {
+    const duration = now - closure.since;
+    if (duration > this.maxDuration) return null;
+
+    if (closure.left && closure.right) {
+      if (duration >= this.minDuration) return 'blink';
+
+      // Natural-length blink: only a second one right after the first counts
+      if (this.lastBlinkEnd !== null && closure.since - this.lastBlinkEnd <= this.doubleBlinkGap) {
+        this.lastBlinkEnd = null;
+        return 'doubleBlink';
+      }
+      this.lastBlinkEnd = now;
+      return null;
+    }
+
+    if (closure.squint || duration < this.minWinkDuration) return null;
+    // Image left is the viewer's right eye
+    return closure.left ? 'winkRight' : 'winkLeft';
+  }
+}
+
+// 'mouthOpen': mouth held wide open, longer than a syllable but shorter than a yawn.
+// Fires when the mouth closes again.
+class MouthGestureDetector {
+  constructor({ onGesture, openRatio = 0.5, minDuration = 500, maxDuration = 2500 } = {}) {
+    this.onGesture = onGesture || (() => {});
+    this.openRatio = openRatio;
+    this.minDuration = minDuration; // ms
+    this.maxDuration = maxDuration; // ms
+
+    this.reset();
+  }
+
+  reset() {
+    this.openSince = null;
+  }
+
+  update(landmarks, aspectRatio, now = Date.now()) {
+    // Close again at a slightly smaller opening so the edge of the threshold doesn't split one gesture in two
+    const threshold = this.openSince === null ? this.openRatio : this.openRatio * 0.8;
+    if (mouthAspectRatio(landmarks, aspectRatio) > threshold) {
+      if (this.openSince === null) this.openSince = now;
+      return;
+    }
+
+    if (this.openSince !== null) {
+      const duration = now - this.openSince;
+      this.openSince = null;
+
+      if (duration >= this.minDuration && duration <= this.maxDuration) {
+        this.onGesture('mouthOpen');
+      }
+    }
+  }
+}
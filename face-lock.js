@@ -0,0 +1,107 @@
+// Face Lock
+// With several faces in view, keeps control with one viewer by following their face from frame to frame
+
+// policy: what happens when the locked face leaves and another face remains
+//   'keepPlaying'  the other face is ignored; playback continues without control
+//   'pause'        same as the viewer leaving
+//   'handOver'     the remaining face takes control after handOverDelay
+// A viewer who was alone in view and comes back somewhere else is locked onto again after handOverDelay,
+// whatever the policy: a single face with nobody around before is taken to be the same viewer.
+class FaceLock {
+  constructor({ policy = 'pause', maxJump = 1, sizeRatio = 0.6, handOverDelay = 1000, forgetTime = 10000 } = {}) {
+    this.policy = policy;
+    this.maxJump = maxJump; // face widths the locked face may move between frames where it's seen
+    this.sizeRatio = sizeRatio; // smallest size ratio (smaller / larger) that still counts as the same face
+    this.handOverDelay = handOverDelay; // ms the locked face has to be missing before handing over
+    this.forgetTime = forgetTime; // ms without the locked face before the lock is released (with nobody in view)
+
+    this.track = null; // { x, y, size } of the locked face when last seen
+    this.lastSeen = 0;
+    this.seenAlone = false; // Whether the locked face was the only one in view when last seen
+    this.faces = []; // Bounds of the faces in the last frame
+  }
+
+  // Pick the locked face among this frame's faces (Face Mesh's order changes between frames).
+  // Returns { index, state }: index into faces or -1; state is 'locked', 'none' (no face at all)
+  // or 'other' (the locked face is missing but someone else is in view).
+  update(faces, aspectRatio = 4 / 3, now = Date.now()) {
+    this.faces = faces.map((landmarks) => FaceLock.bounds(landmarks, aspectRatio));
+
+    // Someone else in view never takes over by the lock expiring, unless the policy hands over anyway
+    const expired = this.track && now - this.lastSeen > this.forgetTime;
+    if (expired && (this.policy === 'handOver' || this.faces.length === 0)) this.track = null;
+    if (this.faces.length === 0) {
+      return { index: -1, state: 'none' };
+    }
+
+    let index = this.track ? this.match() : this.largest();
+    const returned = this.seenAlone && this.faces.length === 1; // Nobody to mistake the viewer for
+    if (index === -1 && (this.policy === 'handOver' || returned) && now - this.lastSeen > this.handOverDelay) {
+      index = this.largest();
+    }
+    if (index === -1) {
+      return { index: -1, state: 'other' };
+    }
+
+    this.lock(index, now);
+    return { index, state: 'locked' };
+  }
+
+  // Move control to the next face in view (left to right in the camera image); returns false if there is none
+  switchFace(now = Date.now()) {
+    if (this.faces.length === 0) return false;
+
+    const order = this.faces.map((face, index) => index).sort((a, b) => this.faces[a].x - this.faces[b].x);
+    const current = this.track ? order.indexOf(this.match()) : -1;
+    const next = order[(current + 1) % order.length];
+    if (next === order[current]) return false; // The locked face is the only one
+
+    this.lock(next, now);
+    return true;
+  }
+
+  lock(index, now) {
+    this.track = { ...this.faces[index] };
+    this.lastSeen = now;
+    this.seenAlone = this.faces.length === 1;
+  }
+
+  // Closest face that is about the same size as the locked one, or -1
+  match() {
+    let best = -1;
+    let bestDistance = Infinity;
+    this.faces.forEach((face, index) => {
+      const ratio = Math.min(face.size, this.track.size) / Math.max(face.size, this.track.size);
+      const distance = Math.hypot(face.x - this.track.x, face.y - this.track.y) / this.track.size;
+      if (ratio >= this.sizeRatio && distance <= this.maxJump && distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  // The face closest to the camera is most likely the viewer
+  largest() {
+    let best = -1;
+    this.faces.forEach((face, index) => {
+      if (best === -1 || face.size > this.faces[best].size) best = index;
+    });
+    return best;
+  }
+
+  // Center and width of a face, with x rescaled to the same units as y
+  static bounds(landmarks, aspectRatio = 4 / 3) {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const point of landmarks) {
+      minX = Math.min(minX, point.x);
+      maxX = Math.max(maxX, point.x);
+      minY = Math.min(minY, point.y);
+      maxY = Math.max(maxY, point.y);
+    }
+    return { x: ((minX + maxX) / 2) * aspectRatio, y: (minY + maxY) / 2, size: (maxX - minX) * aspectRatio };
+  }
+}
@@ -0,0 +1,135 @@
+// Face Tracker
+// Runs Face Mesh and head pose estimation in a Web Worker (tracking-worker.js) so inference doesn't compete
+// with the player and the canvas drawing on the main thread. Same interface as FaceMesh (setOptions,
+// onResults, send), with each face's { yaw, pitch, roll } added to the results as multiFacePoses.
+// Also loaded into the worker, for the landmark packing helpers.
+
+const TRACKING_WORKER_URL = 'tracking-worker.js';
+
+// Landmarks of every face in one Float32Array of x, y, z (cheap to transfer between threads)
+function packFaces(faces) {
+  const pointCount = faces.length ? faces[0].length : 0;
+  const data = new Float32Array(faces.length * pointCount * 3);
+  faces.forEach((landmarks, face) => {
+    landmarks.forEach((point, i) => {
+      const offset = (face * pointCount + i) * 3;
+      data[offset] = point.x;
+      data[offset + 1] = point.y;
+      data[offset + 2] = point.z;
+    });
+  });
+  return data;
+}
+
+function unpackFaces(data, faceCount) {
+  const pointCount = faceCount ? data.length / 3 / faceCount : 0;
+  return Array.from({ length: faceCount }, (_, face) =>
+    Array.from({ length: pointCount }, (_, i) => {
+      const offset = (face * pointCount + i) * 3;
+      return { x: data[offset], y: data[offset + 1], z: data[offset + 2] };
+    }),
+  );
+}
+
+// The worker when the browser can run Face Mesh in one (WebGL on an OffscreenCanvas), FaceMesh otherwise
+function createFaceTracker(options) {
+  const workerSupported =
+    typeof Worker === 'function' && typeof OffscreenCanvas === 'function' && typeof createImageBitmap === 'function';
+  return workerSupported ? new WorkerFaceTracker(options) : new FaceMesh(options);
+}
+
+// Frames are sent as ImageBitmaps, one at a time: a frame that arrives while the worker is still busy is
+// skipped rather than queued, so results never lag behind the camera. If the worker can't start Face Mesh,
+// tracking falls back to FaceMesh on the main thread.
+class WorkerFaceTracker {
+  constructor(
+    options = {},
+    {
+      createWorker = () => new Worker(TRACKING_WORKER_URL),
+      createBitmap = (image) => createImageBitmap(image),
+      createFallback = (faceMeshOptions) => new FaceMesh(faceMeshOptions),
+    } = {},
+  ) {
+    this.options = options;
+    this.createBitmap = createBitmap;
+    this.createFallback = createFallback;
+
+    this.meshOptions = {};
+    this.resultsCallback = () => {};
+    this.fallback = null;
+
+    this.busy = false;
+    this.skippedFrames = 0;
+    this.inferenceTime = 0; // ms the worker took for the last frame
+
+    this.worker = createWorker();
+    this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+    this.worker.addEventListener('error', (event) => this.useFallback(event.message || 'worker failed to load'));
+    this.worker.postMessage({ type: 'init' });
+  }
+
+  setOptions(meshOptions) {
+    this.meshOptions = { ...this.meshOptions, ...meshOptions };
+    if (this.fallback) {
+      this.fallback.setOptions(meshOptions);
+    } else {
+      this.worker.postMessage({ type: 'options', options: meshOptions });
+    }
+  }
+
+  onResults(callback) {
+    this.resultsCallback = callback;
+    if (this.fallback) this.fallback.onResults(callback);
+  }
+
+  // Resolves false when the frame was skipped
+  async send({ image }) {
+    if (this.fallback) return this.fallback.send({ image });
+    if (this.busy) {
+      this.skippedFrames++;
+      return false;
+    }
+
+    this.busy = true;
+    try {
+      const bitmap = await this.createBitmap(image);
+      this.worker.postMessage({ type: 'frame', image: bitmap }, [bitmap]);
+      return true;
+    } catch (error) {
+      this.busy = false;
+      throw error;
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'results':
+        this.busy = false;
+        this.inferenceTime = message.inferenceTime;
+        this.resultsCallback({
+          multiFaceLandmarks: unpackFaces(message.landmarks, message.faceCount),
+          multiFacePoses: message.poses,
+        });
+        break;
+      case 'error':
+        this.busy = false;
+        if (message.fatal) {
+          this.useFallback(message.message);
+        } else {
+          console.error('Face tracking error:', message.message);
+        }
+        break;
+    }
+  }
+
+  useFallback(reason) {
+    if (this.fallback) return;
+
+    console.warn('Face tracking worker unavailable, tracking on the main thread:', reason);
+    this.worker.terminate();
+    this.busy = false;
+    this.fallback = this.createFallback(this.options);
+    this.fallback.setOptions(this.meshOptions);
+    this.fallback.onResults(this.resultsCallback);
+  }
+}
@@ -0,0 +1,233 @@
+// Tilt Filters
+// Smoothing stage between landmark extraction and updatePlaybackSpeed, plus latency/jitter metrics
+
+// Passes values through unchanged
+class NoFilter {
+  filter(value) {
+    return value;
+  }
+
+  reset() {}
+}
+
+// Exponential moving average: alpha = weight of the newest sample (1 = no smoothing)
+class EmaFilter {
+  constructor({ alpha = 0.3 } = {}) {
+    this.alpha = alpha;
+    this.reset();
+  }
+
+  filter(value) {
+    this.value = this.value === null ? value : this.value + this.alpha * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+// One Euro filter (Casiez et al., CHI 2012): a low-pass whose cutoff rises with speed,
+// so it smooths heavily when the head is still and lags little when it moves
+class OneEuroFilter {
+  constructor({ minCutoff = 1.0, beta = 0.05, dCutoff = 1.0 } = {}) {
+    this.minCutoff = minCutoff; // Hz, smoothing at rest (lower = smoother)
+    this.beta = beta; // how fast the cutoff rises with speed (higher = less lag)
+    this.dCutoff = dCutoff; // Hz, smoothing of the speed estimate
+    this.reset();
+  }
+
+  static smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  filter(value, timestamp = Date.now()) {
+    if (this.lastTime === null) {
+      this.lastTime = timestamp;
+      this.value = value;
+      this.derivative = 0;
+      return value;
+    }
+
+    const dt = Math.max((timestamp - this.lastTime) / 1000, 1e-3);
+    this.lastTime = timestamp;
+
+    const rawDerivative = (value - this.value) / dt;
+    const aD = OneEuroFilter.smoothingFactor(this.dCutoff, dt);
+    this.derivative += aD * (rawDerivative - this.derivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    const a = OneEuroFilter.smoothingFactor(cutoff, dt);
+    this.value += a * (value - this.value);
+    return this.value;
+  }
+
+  reset() {
+    this.lastTime = null;
+    this.value = 0;
+    this.derivative = 0;
+  }
+}
+
+// Constant-velocity Kalman filter on [angle, angular velocity]
+class KalmanFilter {
+  constructor({ processNoise = 50, measurementNoise = 1 } = {}) {
+    this.processNoise = processNoise; // (deg/s²)² - how much the head is expected to accelerate
+    this.measurementNoise = measurementNoise; // deg² - variance of the per-frame tilt
+    this.reset();
+  }
+
+  filter(value, timestamp = Date.now()) {
+    if (this.lastTime === null) {
+      this.lastTime = timestamp;
+      this.x = [value, 0];
+      this.P = [
+        [this.measurementNoise, 0],
+        [0, 100],
+      ];
+      return value;
+    }
+
+    const dt = Math.max((timestamp - this.lastTime) / 1000, 1e-3);
+    this.lastTime = timestamp;
+
+    // Predict: x = F x, P = F P Fᵀ + Q (white-acceleration process noise)
+    const [angle, velocity] = this.x;
+    const [[p00, p01], [p10, p11]] = this.P;
+    const q = this.processNoise;
+    const dt2 = dt * dt;
+
+    const predicted = [angle + velocity * dt, velocity];
+    const P00 = p00 + dt * (p10 + p01) + dt2 * p11 + (q * dt2 * dt2) / 4;
+    const P01 = p01 + dt * p11 + (q * dt2 * dt) / 2;
+    const P10 = p10 + dt * p11 + (q * dt2 * dt) / 2;
+    const P11 = p11 + q * dt2;
+
+    // Update with the measured angle (H = [1, 0])
+    const S = P00 + this.measurementNoise;
+    const K0 = P00 / S;
+    const K1 = P10 / S;
+    const residual = value - predicted[0];
+
+    this.x = [predicted[0] + K0 * residual, predicted[1] + K1 * residual];
+    this.P = [
+      [(1 - K0) * P00, (1 - K0) * P01],
+      [P10 - K1 * P00, P11 - K1 * P01],
+    ];
+    return this.x[0];
+  }
+
+  reset() {
+    this.lastTime = null;
+  }
+}
+
+// Filters offered in the settings, with their tunable parameters
+const TILT_FILTERS = {
+  none: { label: 'None', create: () => new NoFilter(), params: {} },
+  oneEuro: {
+    label: 'One Euro',
+    create: (params) => new OneEuroFilter(params),
+    params: {
+      minCutoff: { label: 'Min cutoff', unit: 'Hz', min: 0.1, max: 5, step: 0.1, default: 1.0 },
+      beta: { label: 'Speed coeff.', unit: '', min: 0, max: 0.5, step: 0.01, default: 0.05 },
+    },
+  },
+  ema: {
+    label: 'Moving average',
+    create: (params) => new EmaFilter(params),
+    params: {
+      alpha: { label: 'Alpha', unit: '', min: 0.05, max: 1, step: 0.05, default: 0.3 },
+    },
+  },
+  kalman: {
+    label: 'Kalman',
+    create: (params) => new KalmanFilter(params),
+    params: {
+      processNoise: { label: 'Process noise', unit: '', min: 1, max: 500, step: 1, default: 50 },
+      measurementNoise: { label: 'Measurement noise', unit: 'deg²', min: 0.1, max: 10, step: 0.1, default: 1 },
+    },
+  },
+};
+
+// Default parameter values for every filter, e.g. { oneEuro: { minCutoff: 1, beta: 0.05 }, ... }
+function defaultFilterParams() {
+  const params = {};
+  for (const [type, definition] of Object.entries(TILT_FILTERS)) {
+    params[type] = {};
+    for (const [name, param] of Object.entries(definition.params)) {
+      params[type][name] = param.default;
+    }
+  }
+  return params;
+}
+
+// Rolling window of raw and filtered tilt that estimates what the filter costs and gains
+class FilterMetrics {
+  constructor({ windowSize = 90, maxLagFrames = 20 } = {}) {
+    this.windowSize = windowSize; // ~3 s at 30 fps
+    this.maxLagFrames = maxLagFrames;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+  }
+
+  add(raw, filtered, timestamp = Date.now()) {
+    this.samples.push({ raw, filtered, timestamp });
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+  }
+
+  // Noise level: RMS of second differences. Steady motion cancels out; for white noise
+  // the second difference has 6x the variance, hence the √6.
+  static jitter(values) {
+    if (values.length < 3) return 0;
+
+    let sum = 0;
+    for (let i = 2; i < values.length; i++) {
+      const d2 = values[i] - 2 * values[i - 1] + values[i - 2];
+      sum += d2 * d2;
+    }
+    return Math.sqrt(sum / (values.length - 2) / 6);
+  }
+
+  // Added latency: the frame shift that best lines the filtered signal up with the raw one.
+  // Needs some movement in the window; returns null while the head is still.
+  latency() {
+    const raw = this.samples.map((s) => s.raw);
+    const filtered = this.samples.map((s) => s.filtered);
+    if (raw.length < this.maxLagFrames * 2 || Math.max(...raw) - Math.min(...raw) < 3) return null;
+
+    let bestLag = 0;
+    let bestError = Infinity;
+    for (let lag = 0; lag <= this.maxLagFrames; lag++) {
+      let error = 0;
+      for (let i = lag; i < raw.length; i++) {
+        const diff = filtered[i] - raw[i - lag];
+        error += diff * diff;
+      }
+      error /= raw.length - lag;
+      if (error < bestError) {
+        bestError = error;
+        bestLag = lag;
+      }
+    }
+
+    const first = this.samples[0].timestamp;
+    const last = this.samples[this.samples.length - 1].timestamp;
+    const frameInterval = (last - first) / (this.samples.length - 1);
+    return bestLag * frameInterval;
+  }
+
+  report() {
+    return {
+      latency: this.latency(), // ms, or null if unknown
+      rawJitter: FilterMetrics.jitter(this.samples.map((s) => s.raw)), // degrees
+      filteredJitter: FilterMetrics.jitter(this.samples.map((s) => s.filtered)), // degrees
+    };
+  }
+}
@@ -0,0 +1,293 @@
+// Gesture Mapping
+// Declarative bindings from gestures (tilt zones, holds, face lost, blinks, winks, nod...) to playback actions
+
+// Gestures the controller reports. 'zone' gestures are continuous (active while the head stays
+// in the zone), 'trigger' gestures fire once per occurrence.
+const GESTURES = [
+  { id: 'tiltLeft', label: 'Tilt left', kind: 'zone' },
+  { id: 'tiltRight', label: 'Tilt right', kind: 'zone' },
+  { id: 'skipLeft', label: 'Extreme tilt left', kind: 'trigger' },
+  { id: 'skipRight', label: 'Extreme tilt right', kind: 'trigger' },
+  { id: 'holdLeft', label: 'Hold extreme left', kind: 'trigger' },
+  { id: 'holdRight', label: 'Hold extreme right', kind: 'trigger' },
+  { id: 'faceLost', label: 'Face lost or not watching', kind: 'trigger' },
+  { id: 'blink', label: 'Long blink', kind: 'trigger' },
+  { id: 'doubleBlink', label: 'Double blink', kind: 'trigger' },
+  { id: 'winkLeft', label: 'Wink left eye', kind: 'trigger' },
+  { id: 'winkRight', label: 'Wink right eye', kind: 'trigger' },
+  { id: 'mouthOpen', label: 'Open mouth', kind: 'trigger' },
+  { id: 'nod', label: 'Nod', kind: 'trigger' },
+  { id: 'turnLeft', label: 'Turn left', kind: 'trigger' },
+  { id: 'turnRight', label: 'Turn right', kind: 'trigger' },
+  { id: 'lookUp', label: 'Look up', kind: 'trigger' },
+  { id: 'lookDown', label: 'Look down', kind: 'trigger' },
+];
+
+// Actions a gesture can be bound to; param describes the optional numeric argument
+const ACTIONS = {
+  none: { label: 'Nothing', kinds: ['zone', 'trigger'] },
+  speedLadder: { label: 'Variable speed', kinds: ['zone'] }, // Levels or continuous curve, per settings.speedMode
+  setRate: { label: 'Set rate', kinds: ['zone'], param: { unit: 'x', min: 0.25, max: 4, step: 0.25, default: 1.5 } },
+  seek: { label: 'Seek', kinds: ['trigger'], param: { unit: 's', min: -600, max: 600, step: 5, default: 10 } },
+  togglePlay: { label: 'Play/pause', kinds: ['trigger'] },
+  pause: { label: 'Pause', kinds: ['trigger'] }, // On faceLost: pause until the viewer is back
+  nextVideo: { label: 'Next video', kinds: ['trigger'] },
+  previousVideo: { label: 'Previous video', kinds: ['trigger'] },
+  toggleCaptions: { label: 'Toggle captions', kinds: ['trigger'] },
+  toggleMute: { label: 'Toggle mute', kinds: ['trigger'] },
+};
+
+// Built-in profiles (read-only; edit and "Save As" to keep changes)
+const PRESET_GESTURE_PROFILES = {
+  Default: {
+    holdTime: 1500, // ms in the extreme zone for holdLeft/holdRight
+    bindings: {
+      tiltLeft: { action: 'speedLadder' },
+      tiltRight: { action: 'speedLadder' },
+      skipLeft: { action: 'seek', param: -10 },
+      skipRight: { action: 'seek', param: 10 },
+      faceLost: { action: 'pause' },
+    },
+  },
+  'Head Gestures': {
+    holdTime: 1500,
+    bindings: {
+      tiltLeft: { action: 'speedLadder' },
+      tiltRight: { action: 'speedLadder' },
+      skipLeft: { action: 'seek', param: -10 },
+      skipRight: { action: 'seek', param: 10 },
+      faceLost: { action: 'pause' },
+      nod: { action: 'togglePlay' },
+      turnLeft: { action: 'previousVideo' },
+      turnRight: { action: 'nextVideo' },
+    },
+  },
+  // Extreme tilt held moves through the queue; turns take over seeking
+  Playlist: {
+    holdTime: 1000,
+    bindings: {
+      tiltLeft: { action: 'speedLadder' },
+      tiltRight: { action: 'speedLadder' },
+      holdLeft: { action: 'previousVideo' },
+      holdRight: { action: 'nextVideo' },
+      turnLeft: { action: 'seek', param: -10 },
+      turnRight: { action: 'seek', param: 10 },
+      faceLost: { action: 'pause' },
+      nod: { action: 'togglePlay' },
+    },
+  },
+  'Minimal Movement': {
+    holdTime: 2000,
+    bindings: {
+      tiltLeft: { action: 'setRate', param: 0.75 },
+      tiltRight: { action: 'setRate', param: 1.5 },
+      holdLeft: { action: 'seek', param: -10 },
+      holdRight: { action: 'seek', param: 10 },
+      faceLost: { action: 'pause' },
+      blink: { action: 'togglePlay' },
+    },
+  },
+  // Eyes and mouth only, for viewers who can't tilt comfortably
+  'Face Commands': {
+    holdTime: 1500,
+    bindings: {
+      faceLost: { action: 'pause' },
+      doubleBlink: { action: 'togglePlay' },
+      winkLeft: { action: 'seek', param: -10 },
+      winkRight: { action: 'seek', param: 10 },
+      blink: { action: 'previousVideo' },
+      mouthOpen: { action: 'nextVideo' },
+    },
+  },
+};
+
+class GestureMapper {
+  constructor({ onAction, storage = window.localStorage } = {}) {
+    this.onAction = onAction || (() => {});
+    this.storage = storage;
+
+    this.customProfiles = {};
+    this.activeName = 'Default';
+    this.profile = null; // Working copy of the active profile
+    this.modified = false; // Unsaved edits to a built-in profile
+
+    this.load();
+  }
+
+  // Profiles
+
+  listProfiles() {
+    return [...Object.keys(PRESET_GESTURE_PROFILES), ...Object.keys(this.customProfiles)];
+  }
+
+  isPreset(name) {
+    return Object.prototype.hasOwnProperty.call(PRESET_GESTURE_PROFILES, name);
+  }
+
+  selectProfile(name) {
+    const source = this.isPreset(name) ? PRESET_GESTURE_PROFILES[name] : this.customProfiles[name];
+    if (!source) return false;
+
+    this.activeName = name;
+    this.profile = JSON.parse(JSON.stringify(source));
+    this.modified = false;
+    this.save();
+    return true;
+  }
+
+  saveProfileAs(name) {
+    name = name.trim();
+    if (!name || this.isPreset(name)) {
+      throw new Error(`"${name}" is not available as a profile name`);
+    }
+
+    this.customProfiles[name] = JSON.parse(JSON.stringify(this.profile));
+    this.activeName = name;
+    this.modified = false;
+    this.save();
+  }
+
+  deleteProfile(name) {
+    if (!this.customProfiles[name]) return;
+
+    delete this.customProfiles[name];
+    if (this.activeName === name) {
+      this.selectProfile('Default');
+    } else {
+      this.save();
+    }
+  }
+
+  // Definition of a named profile (built-in or custom), e.g. to export it
+  getProfileDefinition(name) {
+    const source = this.isPreset(name) ? PRESET_GESTURE_PROFILES[name] : this.customProfiles[name];
+    return source ? JSON.parse(JSON.stringify(source)) : null;
+  }
+
+  // Add a profile from an imported file; returns the name it is available under. Throws if the definition
+  // can't be used (see validateDefinition), before anything is stored.
+  importProfile(name, definition) {
+    GestureMapper.validateDefinition(definition);
+    const existing = this.getProfileDefinition(name);
+    if (this.isPreset(name) || (existing && JSON.stringify(existing) === JSON.stringify(definition))) {
+      return name;
+    }
+
+    let candidate = name;
+    for (let i = 2; this.isPreset(candidate) || this.customProfiles[candidate]; i++) {
+      candidate = `${name} (${i})`;
+    }
+
+    this.customProfiles[candidate] = JSON.parse(JSON.stringify(definition));
+    this.save();
+    return candidate;
+  }
+
+  // A definition from a file may have been edited by hand or saved by another version: every gesture,
+  // action and param must be one this version knows and would offer for it
+  static validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') throw new Error('Gesture mapping is not an object');
+    if (typeof definition.holdTime !== 'number' || !Number.isFinite(definition.holdTime)) {
+      throw new Error('Gesture mapping has no valid hold time');
+    }
+    const { bindings } = definition;
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      throw new Error('Gesture mapping has no bindings');
+    }
+
+    for (const [id, binding] of Object.entries(bindings)) {
+      const gesture = GESTURES.find((g) => g.id === id);
+      if (!gesture) throw new Error(`Unknown gesture "${id}"`);
+
+      const action = binding && Object.hasOwn(ACTIONS, binding.action) ? ACTIONS[binding.action] : null;
+      if (!action) throw new Error(`Unknown action for ${id}`);
+      if (!action.kinds.includes(gesture.kind)) throw new Error(`${id} can't be bound to ${binding.action}`);
+
+      if (!action.param) {
+        if (binding.param !== undefined) throw new Error(`${binding.action} on ${id} takes no value`);
+      } else if (
+        typeof binding.param !== 'number' ||
+        !(binding.param >= action.param.min && binding.param <= action.param.max)
+      ) {
+        throw new Error(`${binding.action} on ${id} needs a value from ${action.param.min} to ${action.param.max}`);
+      }
+    }
+  }
+
+  // Bindings
+
+  getBinding(gesture) {
+    return this.profile.bindings[gesture] || { action: 'none' };
+  }
+
+  setBinding(gesture, action, param) {
+    const definition = ACTIONS[action];
+    if (!definition) throw new Error(`Unknown action "${action}"`);
+
+    const binding = { action };
+    if (definition.param) {
+      binding.param = Number.isFinite(param) ? param : definition.param.default;
+    }
+
+    this.profile.bindings[gesture] = binding;
+    this.persistEdit();
+  }
+
+  get holdTime() {
+    return this.profile.holdTime;
+  }
+
+  set holdTime(ms) {
+    this.profile.holdTime = ms;
+    this.persistEdit();
+  }
+
+  // Dispatch the action bound to a trigger gesture; returns the binding (or null if unbound)
+  trigger(gesture) {
+    const binding = this.getBinding(gesture);
+    if (binding.action === 'none') return null;
+
+    this.onAction(binding.action, binding.param, gesture);
+    return binding;
+  }
+
+  // Persistence
+
+  persistEdit() {
+    if (this.isPreset(this.activeName)) {
+      this.modified = true;
+    } else {
+      this.customProfiles[this.activeName] = JSON.parse(JSON.stringify(this.profile));
+      this.save();
+    }
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(GestureMapper.STORAGE_KEY));
+      if (stored) {
+        this.customProfiles = stored.profiles || {};
+        this.activeName = stored.active || 'Default';
+      }
+    } catch (error) {
+      console.error('Could not read gesture profiles:', error);
+    }
+
+    if (!this.selectProfile(this.activeName)) {
+      this.selectProfile('Default');
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(
+        GestureMapper.STORAGE_KEY,
+        JSON.stringify({ active: this.activeName, profiles: this.customProfiles }),
+      );
+    } catch (error) {
+      console.error('Could not save gesture profiles:', error);
+    }
+  }
+}
+
+GestureMapper.STORAGE_KEY = 'headTiltController.gestureProfiles';
@@ -0,0 +1,175 @@
+// Head Pose Estimation
+// Yaw, pitch and roll from Face Mesh landmarks, plus gesture channels for yaw and pitch
+
+// Landmarks used to build the head coordinate frame
+const POSE_LANDMARKS = {
+  leftEyeOuter: 33,
+  rightEyeOuter: 263,
+  forehead: 10,
+  chin: 152,
+};
+
+class HeadPoseEstimator {
+  // aspectRatio = image width / height; landmarks are normalized per axis so x and z need rescaling
+  estimate(landmarks, aspectRatio = 4 / 3) {
+    const point = (index) => {
+      const p = landmarks[index];
+      return { x: p.x * aspectRatio, y: p.y, z: p.z * aspectRatio };
+    };
+
+    const leftEye = point(POSE_LANDMARKS.leftEyeOuter);
+    const rightEye = point(POSE_LANDMARKS.rightEyeOuter);
+    const forehead = point(POSE_LANDMARKS.forehead);
+    const chin = point(POSE_LANDMARKS.chin);
+
+    // Face x axis runs across the eyes, y axis from chin to forehead (made orthogonal to x)
+    const xAxis = Vec3.normalize(Vec3.subtract(rightEye, leftEye));
+    const up = Vec3.subtract(forehead, chin);
+    const yAxis = Vec3.normalize(Vec3.subtract(up, Vec3.scale(xAxis, Vec3.dot(up, xAxis))));
+
+    // Facing direction; points toward the camera (negative z) for a frontal face
+    const forward = Vec3.cross(xAxis, yAxis);
+
+    // Signs follow the mirrored preview: positive yaw = turning right, positive pitch = looking up
+    const yaw = Math.atan2(-forward.x, -forward.z) * (180 / Math.PI);
+    const pitch = Math.atan2(-forward.y, Math.hypot(forward.x, forward.z)) * (180 / Math.PI);
+
+    return { yaw, pitch, roll: this.estimateRoll(landmarks) };
+  }
+
+  // Roll keeps the original 2D eye-corner formula so tilt control feels the same
+  estimateRoll(landmarks) {
+    const leftEye = landmarks[POSE_LANDMARKS.leftEyeOuter];
+    const rightEye = landmarks[POSE_LANDMARKS.rightEyeOuter];
+
+    // Calculate angle
+    const deltaY = rightEye.y - leftEye.y;
+    const deltaX = rightEye.x - leftEye.x;
+    const angleDegrees = Math.atan2(deltaY, deltaX) * (180 / Math.PI);
+
+    // Normalize: positive = tilting right, negative = tilting left
+    return -angleDegrees;
+  }
+}
+
+// One pose axis turned into discrete events.
+// Deviations are measured against a slowly adapting baseline so a natural lean or camera angle
+// doesn't count as a gesture. A short excursion that returns is a "flick", a sustained one a "hold".
+class PoseGestureChannel {
+  constructor({ threshold, holdTime, flickTime, baselineRate = 0.02 }) {
+    this.threshold = threshold; // degrees from baseline
+    this.holdTime = holdTime; // ms beyond threshold to fire a hold
+    this.flickTime = flickTime; // ms max for out-and-back to count as a flick
+    this.baselineRate = baselineRate; // EMA factor while idle
+
+    this.reset();
+  }
+
+  reset() {
+    this.baseline = null;
+    this.value = 0; // Deviation from baseline
+    this.activeDirection = 0; // -1, 0 or 1
+    this.activeSince = 0;
+    this.holdFired = false;
+  }
+
+  // Returns 'flickPositive', 'flickNegative', 'holdPositive', 'holdNegative' or null
+  update(angle, now = Date.now()) {
+    if (this.baseline === null) {
+      this.baseline = angle;
+    }
+
+    const deviation = angle - this.baseline;
+    this.value = deviation;
+
+    if (this.activeDirection === 0) {
+      if (Math.abs(deviation) < this.threshold) {
+        // Idle: let the baseline follow slow drift
+        this.baseline += (angle - this.baseline) * this.baselineRate;
+        return null;
+      }
+
+      this.activeDirection = Math.sign(deviation);
+      this.activeSince = now;
+      this.holdFired = false;
+      return null;
+    }
+
+    const suffix = this.activeDirection > 0 ? 'Positive' : 'Negative';
+    const elapsed = now - this.activeSince;
+
+    // Release with hysteresis at half the threshold
+    if (deviation * this.activeDirection < this.threshold / 2) {
+      const wasHold = this.holdFired;
+      this.activeDirection = 0;
+      this.holdFired = false;
+      return !wasHold && elapsed <= this.flickTime ? 'flick' + suffix : null;
+    }
+
+    if (!this.holdFired && elapsed >= this.holdTime) {
+      this.holdFired = true;
+      return 'hold' + suffix;
+    }
+
+    return null;
+  }
+}
+
+// Names of the gestures each channel event produces (null = not a gesture)
+const POSE_GESTURES = {
+  yaw: { flickPositive: null, flickNegative: null, holdPositive: 'turnRight', holdNegative: 'turnLeft' },
+  pitch: { flickPositive: null, flickNegative: 'nod', holdPositive: 'lookUp', holdNegative: 'lookDown' },
+};
+
+// Runs the yaw and pitch channels and reports named gestures through onGesture
+class PoseGestureDetector {
+  constructor({ onGesture } = {}) {
+    this.onGesture = onGesture || (() => {});
+    this.channels = {
+      yaw: new PoseGestureChannel({ threshold: 20, holdTime: 600, flickTime: 500 }),
+      pitch: new PoseGestureChannel({ threshold: 10, holdTime: 800, flickTime: 600 }),
+    };
+  }
+
+  update(pose, now = Date.now()) {
+    for (const [axis, channel] of Object.entries(this.channels)) {
+      const event = channel.update(pose[axis], now);
+      const gesture = event && POSE_GESTURES[axis][event];
+      if (gesture) {
+        this.onGesture(gesture);
+      }
+    }
+  }
+
+  reset() {
+    Object.values(this.channels).forEach((channel) => channel.reset());
+  }
+}
+
+// Small vector helpers (kept in one object: classic scripts share the global scope)
+const Vec3 = {
+  subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  },
+
+  scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+  },
+
+  dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  },
+
+  cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x,
+    };
+  },
+
+  normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return Vec3.scale(v, 1 / length);
+  },
+};
@@ -0,0 +1,136 @@
+// Watch History
+// Per-video last position, last speed and time spent at each speed, kept in IndexedDB
+
+// History entries:
+//   { key, item, title, position, duration, speed, speedTime: { [rate]: seconds }, watchedAt, finished }
+// key identifies the video ('youtube:<id>', 'media:<url>', 'file:<name>:<size>'); item is the queue item
+// that reopens it (see reopenItem).
+class WatchHistory {
+  constructor({ indexedDB = window.indexedDB, dbName = 'headTiltController' } = {}) {
+    this.indexedDB = indexedDB;
+    this.dbName = dbName;
+    this.db = null; // Promise of the open database
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = this.indexedDB.open(this.dbName, WatchHistory.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(WatchHistory.STORE, { keyPath: 'key' });
+          store.createIndex('watchedAt', 'watchedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  // Run fn(store) in a transaction; resolves with the result of the request fn returns
+  async run(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(WatchHistory.STORE, mode);
+      const request = fn(transaction.objectStore(WatchHistory.STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  get(key) {
+    return this.run('readonly', (store) => store.get(key));
+  }
+
+  put(entry) {
+    return this.run('readwrite', (store) => store.put(entry));
+  }
+
+  remove(key) {
+    return this.run('readwrite', (store) => store.delete(key));
+  }
+
+  clear() {
+    return this.run('readwrite', (store) => store.clear());
+  }
+
+  // Most recently watched first
+  async list() {
+    const entries = await this.run('readonly', (store) => store.index('watchedAt').getAll());
+    return entries.reverse();
+  }
+
+  // History key for a queue item; for YouTube, videoId is the video that is actually playing
+  static keyFor(item, videoId) {
+    switch (item.type) {
+      case 'youtube':
+      case 'playlist':
+        return videoId ? 'youtube:' + videoId : null;
+      case 'media':
+        return 'media:' + item.url;
+      case 'file':
+        return `file:${item.file.name}:${item.file.size}`;
+      default:
+        return null;
+    }
+  }
+
+  // Queue item that reopens the video on its own, or null for local files (they have to be opened again)
+  static reopenItem(item, videoId) {
+    switch (item.type) {
+      case 'youtube':
+      case 'playlist':
+        return { type: 'youtube', videoId };
+      case 'media':
+        return { type: 'media', url: item.url };
+      default:
+        return null;
+    }
+  }
+}
+
+WatchHistory.DB_VERSION = 1;
+WatchHistory.STORE = 'history';
+
+// One video's time while it is open: accumulates seconds at each rate from periodic ticks
+class WatchSession {
+  constructor(entry) {
+    this.entry = entry;
+    this.lastTick = null;
+  }
+
+  // Call regularly while playing; gaps longer than maxGap (tab asleep, paused) are not counted
+  tick(rate, position, duration, now = Date.now(), maxGap = 5000) {
+    const entry = this.entry;
+    if (this.lastTick !== null && now - this.lastTick <= maxGap) {
+      const rateKey = String(rate);
+      entry.speedTime[rateKey] = (entry.speedTime[rateKey] || 0) + (now - this.lastTick) / 1000;
+    }
+
+    this.lastTick = now;
+    entry.position = position;
+    entry.duration = duration || entry.duration;
+    entry.speed = rate;
+    entry.watchedAt = now;
+    entry.finished = false;
+  }
+
+  // Stop counting until the next tick (paused, buffering, ended)
+  pause() {
+    this.lastTick = null;
+  }
+
+  static createEntry(key, item, title) {
+    return { key, item, title, position: 0, duration: 0, speed: 1, speedTime: {}, watchedAt: Date.now() };
+  }
+
+  // Total seconds watched
+  static totalTime(entry) {
+    return Object.values(entry.speedTime).reduce((sum, seconds) => sum + seconds, 0);
+  }
+}
@@ -0,0 +1,215 @@
+// Input Sources
+// Keyboard shortcuts, gamepads and single-switch scanning as alternatives to head tilt, for when the camera
+// is unavailable or alongside it. Every source reports the same commands to onCommand(command).
+
+// Commands (INPUT_COMMANDS keys) and their labels; 'switch' is the single switch of switch access
+const INPUT_COMMANDS = {
+  slower: 'Slower',
+  normalSpeed: 'Normal speed',
+  faster: 'Faster',
+  skipBack: 'Back 10s',
+  skipForward: 'Forward 10s',
+  togglePlay: 'Play/pause',
+  switch: 'Select',
+};
+
+const INPUT_SKIP_SECONDS = 10;
+
+// KeyboardEvent.key -> command
+const DEFAULT_KEY_BINDINGS = {
+  ArrowLeft: 'slower',
+  ArrowRight: 'faster',
+  ArrowDown: 'normalSpeed',
+  j: 'skipBack',
+  l: 'skipForward',
+  k: 'togglePlay',
+  ' ': 'switch', // Switch interfaces usually send Space or Enter
+  Enter: 'switch',
+};
+
+// Standard Gamepad button index -> command (A, bumpers, Start, d-pad)
+const DEFAULT_GAMEPAD_BINDINGS = {
+  0: 'switch',
+  4: 'skipBack',
+  5: 'skipForward',
+  9: 'togglePlay',
+  12: 'normalSpeed',
+  13: 'normalSpeed',
+  14: 'slower',
+  15: 'faster',
+};
+
+// The scan cycles through these, in this order
+const SCAN_COMMANDS = ['slower', 'normalSpeed', 'faster', 'skipBack', 'togglePlay', 'skipForward'];
+
+class KeyboardInput {
+  constructor({ onCommand, bindings = DEFAULT_KEY_BINDINGS } = {}) {
+    this.onCommand = onCommand || (() => {});
+    this.bindings = bindings;
+    this.enabled = true;
+  }
+
+  attach(target) {
+    target.addEventListener('keydown', (event) => this.handleKey(event));
+  }
+
+  // Returns true if the key ran a command
+  handleKey(event) {
+    if (!this.enabled || event.repeat || event.ctrlKey || event.altKey || event.metaKey) return false;
+    if (KeyboardInput.targetUsesKey(event.target, event.key)) return false;
+
+    const command = this.bindings[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+    if (!command) return false;
+
+    event.preventDefault(); // Space would scroll the page
+    this.onCommand(command);
+    return true;
+  }
+
+  // The focused element handles this key itself (typing, sliders, buttons)
+  static targetUsesKey(target, key) {
+    if (!target || !target.tagName) return false;
+
+    const activates = key === ' ' || key === 'Enter';
+    switch (target.tagName) {
+      case 'TEXTAREA':
+      case 'SELECT':
+        return true;
+      case 'INPUT':
+        if (target.type === 'range') return key.startsWith('Arrow');
+        if (['checkbox', 'radio', 'button', 'submit', 'file'].includes(target.type)) return activates;
+        return true;
+      case 'BUTTON':
+      case 'A':
+      case 'SUMMARY':
+        return activates;
+      default:
+        return target.isContentEditable === true;
+    }
+  }
+}
+
+// Gamepad API: buttons run commands once per press; the left stick's x axis is reported to onAxis(value) on
+// every poll while it is pushed (value -1..1 beyond the dead zone, rescaled), and once with 0 when released
+class GamepadInput {
+  constructor({ onCommand, onAxis, bindings = DEFAULT_GAMEPAD_BINDINGS, axisDeadZone = 0.2, pollInterval = 50 } = {}) {
+    this.onCommand = onCommand || (() => {});
+    this.onAxis = onAxis || (() => {});
+    this.bindings = bindings;
+    this.axisDeadZone = axisDeadZone;
+    this.pollInterval = pollInterval;
+    this.enabled = true;
+
+    this.pressed = new Set(); // 'gamepad:button' currently held
+    this.axisActive = false;
+    this.timer = null;
+  }
+
+  // Polls only while a gamepad is connected (the API has no button events)
+  attach(target, getGamepads = () => navigator.getGamepads()) {
+    this.getGamepads = getGamepads;
+    target.addEventListener('gamepadconnected', () => this.start());
+    target.addEventListener('gamepaddisconnected', () => {
+      if (this.connectedPads().length === 0) this.stop();
+    });
+  }
+
+  start() {
+    if (!this.timer) this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.pressed.clear();
+    this.releaseAxis();
+  }
+
+  connectedPads() {
+    return Array.from(this.getGamepads() || []).filter(Boolean);
+  }
+
+  poll(pads = this.connectedPads()) {
+    if (!this.enabled) return;
+
+    let axis = 0;
+    for (const pad of pads) {
+      pad.buttons.forEach((button, i) => {
+        const key = `${pad.index}:${i}`;
+        if (!button.pressed) {
+          this.pressed.delete(key);
+        } else if (!this.pressed.has(key)) {
+          this.pressed.add(key);
+          if (this.bindings[i]) this.onCommand(this.bindings[i]);
+        }
+      });
+
+      const x = pad.axes[0] || 0;
+      if (Math.abs(x) > Math.abs(axis)) axis = x;
+    }
+
+    if (Math.abs(axis) > this.axisDeadZone) {
+      this.axisActive = true;
+      this.onAxis(Math.sign(axis) * ((Math.abs(axis) - this.axisDeadZone) / (1 - this.axisDeadZone)));
+    } else {
+      this.releaseAxis();
+    }
+  }
+
+  releaseAxis() {
+    if (!this.axisActive) return;
+    this.axisActive = false;
+    this.onAxis(0);
+  }
+}
+
+// Single-switch scanning: the highlight steps through the commands every interval ms, and the switch runs
+// the highlighted one. onHighlight(command) is called on every step (null when stopped).
+class SwitchScanner {
+  constructor({ onCommand, onHighlight, commands = SCAN_COMMANDS, interval = 1500 } = {}) {
+    this.onCommand = onCommand || (() => {});
+    this.onHighlight = onHighlight || (() => {});
+    this.commands = commands;
+    this.interval = interval;
+
+    this.index = -1;
+    this.timer = null;
+  }
+
+  get active() {
+    return this.timer !== null;
+  }
+
+  get highlighted() {
+    return this.commands[this.index] || null;
+  }
+
+  start() {
+    this.stop();
+    this.index = 0;
+    this.onHighlight(this.highlighted);
+    this.timer = setInterval(() => this.advance(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.index = -1;
+    this.onHighlight(null);
+  }
+
+  advance() {
+    this.index = (this.index + 1) % this.commands.length;
+    this.onHighlight(this.highlighted);
+  }
+
+  // The switch was pressed: run the highlighted command, and give the next press a full interval on it
+  // (so "Faster" can be picked several times in a row)
+  select() {
+    if (!this.active) return;
+
+    this.onCommand(this.highlighted);
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.advance(), this.interval);
+  }
+}
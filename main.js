@@ -0,0 +1,44 @@
+// Startup
+// Creates the controller and registers the service worker; app.js only defines the controller, so tests can load it
+
+// Initialize app (the YouTube backend waits for the IFrame API on its own)
+const app = new HeadTiltController();
+
+// Service Worker registration for PWA. A new version installs in the background and waits;
+// the page offers a reload instead of running old code against new files.
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('sw.js')
+      .then((reg) => {
+        console.log('Service Worker registered');
+
+        // Waiting from an earlier visit
+        if (reg.waiting && navigator.serviceWorker.controller) {
+          app.showUpdatePrompt(reg.waiting);
+        }
+
+        reg.addEventListener('updatefound', () => {
+          const worker = reg.installing;
+          worker.addEventListener('statechange', () => {
+            // No controller yet means this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              app.showUpdatePrompt(worker);
+            }
+          });
+        });
+
+        // Long-running sessions (installed PWA) check for updates hourly
+        setInterval(() => reg.update(), 60 * 60 * 1000);
+      })
+      .catch((err) => console.log('Service Worker registration failed:', err));
+  });
+
+  // The waiting worker took over (after "Reload"): load the new version
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
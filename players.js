@@ -0,0 +1,476 @@
+// Playback Backends
+// Player adapters give HeadTiltController one interface over the YouTube IFrame API and native <video>
+
+// Normalized playback states reported through onStateChange
+const PlayerState = {
+  UNSTARTED: 'unstarted',
+  ENDED: 'ended',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  BUFFERING: 'buffering',
+  CUED: 'cued',
+};
+
+// The IFrame API calls the global onYouTubeIframeAPIReady once YT.Player exists
+let resolveYouTubeApi;
+const youTubeApiReady = new Promise((resolve) => {
+  resolveYouTubeApi = resolve;
+});
+
+function onYouTubeIframeAPIReady() {
+  resolveYouTubeApi();
+}
+
+// If YouTube API already loaded
+if (window.YT && window.YT.Player) {
+  onYouTubeIframeAPIReady();
+}
+
+// Base adapter: documents the interface and handles callbacks shared by all backends
+class PlayerAdapter {
+  constructor(host, { onReady, onStateChange } = {}) {
+    this.host = host; // Element the backend mounts its player into
+    this.ready = false;
+    this.continuousRates = false; // true: any rate between the available extremes works
+    this.onReady = onReady || (() => {});
+    this.onStateChange = onStateChange || (() => {});
+  }
+
+  // Load a new source (backend specific: video ID or playlist, URL or File)
+  load(source) {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  play() {}
+  pause() {}
+
+  isPlaying() {
+    return false;
+  }
+
+  setPlaybackRate(rate) {}
+
+  getPlaybackRate() {
+    return 1.0;
+  }
+
+  // Rates the backend accepts, ascending
+  getAvailablePlaybackRates() {
+    return [1.0];
+  }
+
+  // Volume from 0 to 1 (independent of mute)
+  getVolume() {
+    return 1;
+  }
+
+  setVolume(volume) {}
+
+  getCurrentTime() {
+    return 0;
+  }
+
+  getDuration() {
+    return 0;
+  }
+
+  seekTo(seconds) {}
+
+  // Title of the current video, or '' if unknown
+  getTitle() {
+    return '';
+  }
+
+  // Backend ID of the current video (e.g. the YouTube video ID), or null
+  getVideoId() {
+    return null;
+  }
+
+  // Position inside a playlist the backend plays itself: { index, length }, or null
+  getPlaylistPosition() {
+    return null;
+  }
+
+  // Move within that playlist by offset; false if there is no such entry
+  playlistStep(offset) {
+    return false;
+  }
+
+  // Both return the new state (true = muted / captions shown), or null if unsupported
+  toggleMute() {
+    return null;
+  }
+
+  toggleCaptions() {
+    return null;
+  }
+
+  destroy() {
+    this.ready = false;
+    this.host.replaceChildren();
+  }
+
+  markReady() {
+    this.ready = true;
+    this.onReady(this);
+  }
+}
+
+// YouTube IFrame API backend
+class YouTubePlayerAdapter extends PlayerAdapter {
+  constructor(host, callbacks) {
+    super(host, callbacks);
+    this.player = null;
+    this.captionsOn = false; // The IFrame API can't report this, so track our own toggles
+    this.pendingVideoId = null; // Playlist video to start at once YouTube has loaded the list
+  }
+
+  // source: a video ID, or { playlistId, index, videoId } to play a playlist from that entry, or from that
+  // video if it is in the list
+  load(source) {
+    const playlist = typeof source === 'object' ? { list: source.playlistId, index: source.index || 0 } : null;
+    this.pendingVideoId = (playlist && source.videoId) || null;
+
+    if (this.player) {
+      if (playlist) {
+        this.player.loadPlaylist(playlist);
+      } else {
+        this.player.loadVideoById(source);
+      }
+      return;
+    }
+
+    // YT.Player replaces its target element, so give it a child of the host
+    const mount = document.createElement('div');
+    this.host.replaceChildren(mount);
+
+    youTubeApiReady.then(() => {
+      if (!mount.isConnected) return; // Destroyed before the API loaded
+
+      this.player = new YT.Player(mount, {
+        height: '100%',
+        width: '100%',
+        videoId: playlist ? undefined : source,
+        playerVars: {
+          playsinline: 1,
+          controls: 1,
+          modestbranding: 1,
+        },
+        events: {
+          onReady: (event) => {
+            this.markReady();
+            if (playlist) {
+              event.target.loadPlaylist(playlist);
+            } else {
+              event.target.playVideo();
+            }
+          },
+          onStateChange: (event) => {
+            if (this.playPendingVideo()) return; // Not the video the link named: its states are noise
+            this.onStateChange(YouTubePlayerAdapter.stateFromCode(event.data));
+          },
+        },
+      });
+    });
+  }
+
+  // loadPlaylist() only takes an index: once the list is known, jump to the video the link named.
+  // Returns true if it jumped.
+  playPendingVideo() {
+    const playlist = this.pendingVideoId && this.player.getPlaylist();
+    if (!playlist || playlist.length === 0) return false;
+
+    const index = playlist.indexOf(this.pendingVideoId);
+    this.pendingVideoId = null;
+    if (index === -1 || index === this.player.getPlaylistIndex()) return false;
+
+    this.player.playVideoAt(index);
+    return true;
+  }
+
+  static stateFromCode(code) {
+    switch (code) {
+      case YT.PlayerState.ENDED:
+        return PlayerState.ENDED;
+      case YT.PlayerState.PLAYING:
+        return PlayerState.PLAYING;
+      case YT.PlayerState.PAUSED:
+        return PlayerState.PAUSED;
+      case YT.PlayerState.BUFFERING:
+        return PlayerState.BUFFERING;
+      case YT.PlayerState.CUED:
+        return PlayerState.CUED;
+      default:
+        return PlayerState.UNSTARTED;
+    }
+  }
+
+  play() {
+    this.player.playVideo();
+  }
+
+  pause() {
+    this.player.pauseVideo();
+  }
+
+  isPlaying() {
+    return this.player.getPlayerState() === YT.PlayerState.PLAYING;
+  }
+
+  setPlaybackRate(rate) {
+    this.player.setPlaybackRate(rate);
+  }
+
+  getPlaybackRate() {
+    return this.player.getPlaybackRate();
+  }
+
+  getAvailablePlaybackRates() {
+    return this.player.getAvailablePlaybackRates();
+  }
+
+  // The IFrame API counts volume 0-100
+  getVolume() {
+    return this.player.getVolume() / 100;
+  }
+
+  setVolume(volume) {
+    this.player.setVolume(Math.round(volume * 100));
+  }
+
+  getCurrentTime() {
+    return this.player.getCurrentTime();
+  }
+
+  getDuration() {
+    return this.player.getDuration();
+  }
+
+  seekTo(seconds) {
+    this.player.seekTo(seconds, true);
+  }
+
+  getTitle() {
+    const data = this.player.getVideoData();
+    return (data && data.title) || '';
+  }
+
+  getVideoId() {
+    const data = this.player.getVideoData();
+    return (data && data.video_id) || null;
+  }
+
+  getPlaylistPosition() {
+    const playlist = this.player.getPlaylist();
+    if (!playlist || playlist.length === 0) return null;
+    return { index: this.player.getPlaylistIndex(), length: playlist.length };
+  }
+
+  playlistStep(offset) {
+    const position = this.getPlaylistPosition();
+    const index = position ? position.index + offset : -1;
+    if (index < 0 || index >= position.length) return false;
+
+    this.player.playVideoAt(index);
+    return true;
+  }
+
+  toggleMute() {
+    if (this.player.isMuted()) {
+      this.player.unMute();
+      return false;
+    }
+    this.player.mute();
+    return true;
+  }
+
+  toggleCaptions() {
+    this.captionsOn = !this.captionsOn;
+    if (this.captionsOn) {
+      this.player.loadModule('captions');
+    } else {
+      this.player.unloadModule('captions');
+    }
+    return this.captionsOn;
+  }
+
+  destroy() {
+    if (this.player) {
+      this.player.destroy();
+      this.player = null;
+    }
+    super.destroy();
+  }
+}
+
+// Native HTMLMediaElement backend for local files and direct MP4/WebM/HLS URLs
+class MediaElementPlayerAdapter extends PlayerAdapter {
+  constructor(host, callbacks) {
+    super(host, callbacks);
+    this.hls = null;
+    this.objectUrl = null;
+    this.continuousRates = true;
+
+    this.media = document.createElement('video');
+    this.media.controls = true;
+    this.media.playsInline = true;
+    this.host.replaceChildren(this.media);
+
+    this.media.addEventListener('loadedmetadata', () => {
+      this.markReady();
+      this.play();
+    });
+    this.media.addEventListener('playing', () => this.onStateChange(PlayerState.PLAYING));
+    this.media.addEventListener('pause', () => {
+      // 'pause' also fires right before 'ended'
+      if (!this.media.ended) this.onStateChange(PlayerState.PAUSED);
+    });
+    this.media.addEventListener('waiting', () => this.onStateChange(PlayerState.BUFFERING));
+    this.media.addEventListener('ended', () => this.onStateChange(PlayerState.ENDED));
+  }
+
+  // Accepts a File/Blob (file picker, drag-and-drop) or a URL string
+  load(source) {
+    this.ready = false;
+    this.releaseSource();
+
+    if (source instanceof Blob) {
+      this.objectUrl = URL.createObjectURL(source);
+      this.media.src = this.objectUrl;
+      return;
+    }
+
+    if (MediaElementPlayerAdapter.isHlsUrl(source) && !this.media.canPlayType('application/vnd.apple.mpegurl')) {
+      // Only Safari plays HLS natively; elsewhere hand the stream to hls.js
+      loadScript(MediaElementPlayerAdapter.HLS_SCRIPT_URL)
+        .then(() => {
+          if (!Hls.isSupported()) throw new Error('HLS is not supported in this browser');
+          this.hls = new Hls();
+          this.hls.loadSource(source);
+          this.hls.attachMedia(this.media);
+        })
+        .catch((error) => {
+          console.error('HLS error:', error);
+          this.onStateChange(PlayerState.UNSTARTED);
+        });
+      return;
+    }
+
+    this.media.src = source;
+  }
+
+  static isHlsUrl(url) {
+    return /\.m3u8(?:$|[?#])/i.test(url);
+  }
+
+  // Direct media URL (not a YouTube page)
+  static isMediaUrl(url) {
+    return /^(?:https?:|blob:|data:)/i.test(url) && /\.(?:mp4|m4v|webm|ogv|ogg|mov|m3u8)(?:$|[?#])/i.test(url);
+  }
+
+  releaseSource() {
+    if (this.hls) {
+      this.hls.destroy();
+      this.hls = null;
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+  }
+
+  play() {
+    // play() rejects when autoplay is blocked; the native controls remain usable
+    const result = this.media.play();
+    if (result) result.catch((error) => console.warn('Playback blocked:', error));
+  }
+
+  pause() {
+    this.media.pause();
+  }
+
+  isPlaying() {
+    return !this.media.paused && !this.media.ended;
+  }
+
+  setPlaybackRate(rate) {
+    this.media.playbackRate = rate;
+  }
+
+  getPlaybackRate() {
+    return this.media.playbackRate;
+  }
+
+  getAvailablePlaybackRates() {
+    return MediaElementPlayerAdapter.PLAYBACK_RATES;
+  }
+
+  getVolume() {
+    return this.media.volume;
+  }
+
+  setVolume(volume) {
+    this.media.volume = volume;
+  }
+
+  getCurrentTime() {
+    return this.media.currentTime;
+  }
+
+  getDuration() {
+    return Number.isFinite(this.media.duration) ? this.media.duration : 0;
+  }
+
+  seekTo(seconds) {
+    const duration = this.getDuration();
+    this.media.currentTime = duration ? Math.min(seconds, duration) : seconds;
+  }
+
+  toggleMute() {
+    this.media.muted = !this.media.muted;
+    return this.media.muted;
+  }
+
+  toggleCaptions() {
+    const tracks = Array.from(this.media.textTracks).filter((track) => /^(subtitles|captions)$/.test(track.kind));
+    if (tracks.length === 0) return null;
+
+    const showing = tracks.some((track) => track.mode === 'showing');
+    tracks.forEach((track, i) => {
+      track.mode = !showing && i === 0 ? 'showing' : 'hidden';
+    });
+    return !showing;
+  }
+
+  destroy() {
+    this.media.pause();
+    this.releaseSource();
+    this.media.removeAttribute('src');
+    this.media.load();
+    super.destroy();
+  }
+}
+
+// Browsers accept any rate in roughly 0.0625-16x; these are the useful range (any value in between works)
+MediaElementPlayerAdapter.PLAYBACK_RATES = [0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0, 3.5, 4.0];
+MediaElementPlayerAdapter.HLS_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+
+// Load a classic script once
+const loadedScripts = new Map();
+
+function loadScript(src) {
+  if (!loadedScripts.has(src)) {
+    loadedScripts.set(
+      src,
+      new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('Failed to load ' + src));
+        document.head.appendChild(script);
+      }),
+    );
+  }
+  return loadedScripts.get(src);
+}
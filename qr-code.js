@@ -0,0 +1,319 @@
+// QR Code
+// Minimal QR code encoder for the remote control pairing link (see remote-control.js): byte mode, error
+// correction level M, versions 1-10 (up to 213 bytes). Follows ISO/IEC 18004; the mask is picked with a
+// simplified penalty score.
+
+// Per version 1-10 at level M: error correction codewords per block, and number of blocks
+const QR_ECC_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_MAX_VERSION = QR_ECC_PER_BLOCK.length;
+
+// { size, modules }: modules[y][x] is true for a dark module. Throws if text doesn't fit in version 10.
+function encodeQrCode(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  while (qrDataCapacity(version) * 8 < 4 + qrCountBits(version) + bytes.length * 8) {
+    if (++version > QR_MAX_VERSION) throw new Error('Too long for a QR code: ' + text.length + ' characters');
+  }
+
+  // Mode (byte), length, data, terminator, then pad bytes up to the capacity
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, qrCountBits(version));
+  bytes.forEach((byte) => push(byte, 8));
+
+  const capacity = qrDataCapacity(version) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  const qr = new QrMatrix(version);
+  qr.drawCodewords(qrInterleave(version, data));
+
+  // Keep the mask with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = qr.withMask(mask);
+    const penalty = qrPenalty(candidate.modules);
+    if (!best || penalty < best.penalty) best = { penalty, candidate };
+  }
+  return { size: qr.size, modules: best.candidate.modules };
+}
+
+function qrCountBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+// Modules left for data and error correction once the function patterns are drawn
+function qrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+// Data codewords at level M
+function qrDataCapacity(version) {
+  return Math.floor(qrRawModules(version) / 8) - QR_ECC_PER_BLOCK[version - 1] * QR_BLOCKS[version - 1];
+}
+
+// Split the data into blocks, add each block's Reed-Solomon codewords and interleave them
+function qrInterleave(version, data) {
+  const blockCount = QR_BLOCKS[version - 1];
+  const eccLength = QR_ECC_PER_BLOCK[version - 1];
+  const rawCodewords = Math.floor(qrRawModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortLength = Math.floor(rawCodewords / blockCount);
+  const divisor = qrReedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = qrReedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // Placeholder, skipped below
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = qrMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => (result[i] ^= qrMultiply(coefficient, factor)));
+  }
+  return result;
+}
+
+// Penalty rules 1, 2 and 4 of the standard: runs of one color, 2x2 blocks, dark/light balance
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+
+  const runs = (get) => {
+    for (let a = 0; a < size; a++) {
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && get(a, b) === get(a, b - 1)) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+    }
+  };
+  runs((y, x) => modules[y][x]);
+  runs((x, y) => modules[y][x]);
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+  penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  return penalty;
+}
+
+// Function patterns of a version, then data and format information
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    for (let i = 0; i < this.size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(this.size - 4, 3);
+    this.drawFinder(3, this.size - 4);
+
+    const positions = this.alignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((y, i) => {
+      positions.forEach((x, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      });
+    });
+
+    this.drawFormat(0); // Reserves the format areas; redrawn for the chosen mask
+    this.drawVersion();
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size)
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  alignmentPositions() {
+    if (this.version === 1) return [];
+    const count = Math.floor(this.version / 7) + 2;
+    const step = Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = this.size - 7; result.length < count; position -= step) result.splice(1, 0, position);
+    return result;
+  }
+
+  // Level M (bits 00) and the mask, BCH-protected
+  drawFormat(mask) {
+    const data = mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, bit(i));
+    this.setFunction(8, this.size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Codeword bits in the zigzag order: two-module columns from the right, alternately up and down
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // A copy with the data modules masked and the format information for that mask
+  withMask(mask) {
+    const copy = Object.create(QrMatrix.prototype);
+    Object.assign(copy, this, { modules: this.modules.map((row) => [...row]) });
+
+    const flip = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ][mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && flip(x, y)) copy.modules[y][x] = !copy.modules[y][x];
+      }
+    }
+    copy.drawFormat(mask);
+    return copy;
+  }
+}
+
+// Draw a code on a canvas, scaled to fit, with the standard 4-module quiet zone
+function drawQrCode(canvas, qr) {
+  const ctx = canvas.getContext('2d');
+  const scale = Math.floor(Math.min(canvas.width, canvas.height) / (qr.size + 8)) || 1;
+  const offset = Math.floor((Math.min(canvas.width, canvas.height) - qr.size * scale) / 2);
+
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) ctx.fillRect(offset + x * scale, offset + y * scale, scale, scale);
+    });
+  });
+}
@@ -0,0 +1,208 @@
+// Video Queue
+// Videos and playlists to play in order, parsed from pasted links; the queue and position survive reloads
+
+// Queue items:
+//   { type: 'youtube', videoId }
+//   { type: 'playlist', playlistId, index }   index: position inside the YouTube playlist (0-based);
+//                                             videoId, if the link named one, is the video to start at
+//   { type: 'media', url }                     direct MP4/WebM/HLS link
+//   { type: 'file', file }                     local file (not persisted)
+// Any item may carry a title once the player reports it.
+class VideoQueue {
+  constructor({ onChange, storage = window.localStorage } = {}) {
+    this.onChange = onChange || (() => {}); // (queue) after every change
+    this.storage = storage;
+
+    this.items = [];
+    this.position = -1; // Index of the current item, -1 when nothing is playing
+
+    this.load();
+  }
+
+  get current() {
+    return this.items[this.position] || null;
+  }
+
+  get hasNext() {
+    return this.position + 1 < this.items.length;
+  }
+
+  get hasPrevious() {
+    return this.position > 0;
+  }
+
+  // Editing
+
+  // Replace the queue; the first item becomes current
+  replace(items) {
+    this.items = [...items];
+    this.position = items.length > 0 ? 0 : -1;
+    this.changed();
+    return this.current;
+  }
+
+  // Append items; returns the first new item if nothing was current (so the caller can start it)
+  add(items) {
+    const start = this.items.length;
+    this.items.push(...items);
+    if (this.position === -1 && items.length > 0) {
+      this.position = start;
+      this.changed();
+      return this.current;
+    }
+    this.changed();
+    return null;
+  }
+
+  // Remove an item; returns the item after it if it was current (so the caller can start it). Removing the
+  // current last item leaves nothing current, like clear(): what is playing goes on.
+  remove(index) {
+    if (index < 0 || index >= this.items.length) return null;
+
+    this.items.splice(index, 1);
+    const wasCurrent = index === this.position;
+    if (index < this.position) {
+      this.position--;
+    } else if (wasCurrent && this.position >= this.items.length) {
+      this.position = -1;
+    }
+    this.changed();
+    return wasCurrent ? this.current : null;
+  }
+
+  clear() {
+    this.replace([]);
+  }
+
+  // Navigation (each returns the new current item, or null at either end)
+
+  jumpTo(index) {
+    if (index < 0 || index >= this.items.length) return null;
+
+    this.position = index;
+    this.changed();
+    return this.current;
+  }
+
+  next() {
+    return this.jumpTo(this.position + 1);
+  }
+
+  previous() {
+    return this.jumpTo(this.position - 1);
+  }
+
+  // Details the player reports for the current item (title, position inside a playlist)
+  updateCurrent(details) {
+    if (!this.current) return;
+
+    Object.assign(this.current, details);
+    this.changed();
+  }
+
+  changed() {
+    this.save();
+    this.onChange(this);
+  }
+
+  // Parsing
+
+  // Links or IDs separated by spaces, commas or newlines; returns { items, invalid }
+  static parse(text) {
+    const items = [];
+    const invalid = [];
+    for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+      const item = VideoQueue.parseLink(part);
+      if (item) {
+        items.push(item);
+      } else {
+        invalid.push(part);
+      }
+    }
+    return { items, invalid };
+  }
+
+  // One YouTube link (watch, youtu.be, shorts, embed, live, m./music. hosts, playlists), video or
+  // playlist ID, or direct media URL; null if unrecognized
+  static parseLink(text) {
+    if (MediaElementPlayerAdapter.isMediaUrl(text)) {
+      return { type: 'media', url: text };
+    }
+    if (/^[\w-]{11}$/.test(text)) {
+      return { type: 'youtube', videoId: text };
+    }
+    if (/^(?:PL|UU|FL|OL|LL)[\w-]{10,}$/.test(text)) {
+      return { type: 'playlist', playlistId: text, index: 0 };
+    }
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(text) ? text : 'https://' + text);
+    } catch (error) {
+      return null;
+    }
+
+    const host = url.hostname.replace(/^(?:www|m|music)\./, '');
+    let videoId = null;
+    if (host === 'youtu.be') {
+      videoId = url.pathname.split('/')[1];
+    } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+      const path = url.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})/);
+      videoId = path ? path[1] : url.searchParams.get('v');
+    } else {
+      return null;
+    }
+
+    const valid = videoId && /^[\w-]{11}$/.test(videoId);
+    const playlistId = url.searchParams.get('list');
+    if (playlistId) {
+      // index= in YouTube links is 1-based; a shared "watch?v=X&list=Y" link starts at X
+      const index = Math.max(parseInt(url.searchParams.get('index')) - 1 || 0, 0);
+      return valid ? { type: 'playlist', playlistId, index, videoId } : { type: 'playlist', playlistId, index };
+    }
+    return valid ? { type: 'youtube', videoId } : null;
+  }
+
+  // Label for the queue list
+  static describe(item) {
+    switch (item.type) {
+      case 'youtube':
+        return item.title || `YouTube ${item.videoId}`;
+      case 'playlist':
+        return `${item.title || `Playlist ${item.playlistId}`} (#${item.index + 1})`;
+      case 'media':
+        return item.title || decodeURIComponent(new URL(item.url).pathname.split('/').pop()) || item.url;
+      case 'file':
+        return item.file.name;
+      default:
+        return '?';
+    }
+  }
+
+  // Persistence (local files can't be stored and are dropped)
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(VideoQueue.STORAGE_KEY));
+      if (stored) {
+        this.items = stored.items || [];
+        this.position = Math.min(stored.position ?? -1, this.items.length - 1);
+      }
+    } catch (error) {
+      console.error('Could not read the queue:', error);
+    }
+  }
+
+  save() {
+    const stored = this.items.filter((item) => item.type !== 'file');
+    const position = stored.indexOf(this.current);
+
+    try {
+      this.storage.setItem(VideoQueue.STORAGE_KEY, JSON.stringify({ items: stored, position }));
+    } catch (error) {
+      console.error('Could not save the queue:', error);
+    }
+  }
+}
+
+VideoQueue.STORAGE_KEY = 'headTiltController.queue';
@@ -0,0 +1,291 @@
+// Remote Control
+// Splits the app across two devices: a phone on a stand tracks the face (the sensor) while a TV or laptop
+// plays the video (the screen). Both join a room on a WebSocket relay (server.py) named by a short
+// pairing code, which the screen shows as text and as a QR code. The sensor drives the screen through
+// RemotePlayer, a player adapter that forwards its calls; the screen runs them on its own player and
+// reports back its state.
+//
+// Messages, as JSON text:
+//   sensor -> screen  { type: 'call', method, args }, { type: 'load', item } (a queue item),
+//                     { type: 'sync' } (asks for a state report, once paired)
+//   screen -> sensor  { type: 'state', ready, playerState, playing, rate, rates, ... } (see sendRemoteState)
+//   relay -> both     { type: 'peers', count } (how many others are in the room)
+
+const REMOTE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to mix up
+const REMOTE_CODE_LENGTH = 6;
+const REMOTE_RECONNECT_DELAY = 2000; // ms
+const REMOTE_STATE_INTERVAL = 1000; // ms between the screen's state reports
+const REMOTE_ROOM_FULL = 4001; // Close code from the relay when a third device joins
+const REMOTE_FULL_RETRY_DELAY = 5000; // ms between attempts to join a full room
+const REMOTE_FULL_RETRIES = 12; // About a minute, longer than the relay takes to drop a device that went away
+
+// Player methods the screen runs for the sensor
+const REMOTE_PLAYER_CALLS = [
+  'play',
+  'pause',
+  'setPlaybackRate',
+  'setVolume',
+  'seekTo',
+  'playlistStep',
+  'toggleMute',
+  'toggleCaptions',
+];
+
+function createPairingCode(random = (count) => crypto.getRandomValues(new Uint32Array(count))) {
+  return [...random(REMOTE_CODE_LENGTH)].map((n) => REMOTE_CODE_ALPHABET[n % REMOTE_CODE_ALPHABET.length]).join('');
+}
+
+// A typed code, tidied up ('abc-234' -> 'ABC234'), or null if it can't be one
+function normalizePairingCode(text) {
+  const code = String(text)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+  return code.length === REMOTE_CODE_LENGTH && [...code].every((c) => REMOTE_CODE_ALPHABET.includes(c)) ? code : null;
+}
+
+// The relay room for a code: on the given relay, or on the server this page came from
+function relayUrl(code, relay, location) {
+  if (relay) return `${relay.replace(/\/+$/, '')}/${code}`;
+
+  const url = new URL('/relay/' + code, location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+}
+
+// This page with ?pair=CODE: opening it (e.g. from the QR code) joins as the sensor
+function pairingLink(code, location) {
+  const url = new URL(location.href);
+  url.search = '?pair=' + code;
+  url.hash = '';
+  return url.href;
+}
+
+// One WebSocket to a relay room, reconnecting after drops until close(). A full room is tried again for a
+// while: one of the devices in it may be gone without the relay knowing yet.
+class RemoteLink {
+  constructor(
+    url,
+    {
+      onMessage = () => {},
+      onPeers = () => {},
+      onStatus = () => {},
+      createSocket = (socketUrl) => new WebSocket(socketUrl),
+    } = {},
+  ) {
+    this.url = url;
+    this.onMessage = onMessage;
+    this.onPeers = onPeers; // (count) others in the room
+    this.onStatus = onStatus; // 'connected', 'reconnecting' or 'full' (closed once the retries are used up)
+    this.createSocket = createSocket;
+
+    this.socket = null;
+    this.peers = 0;
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.fullRetries = 0; // Attempts in a row that found the room full
+  }
+
+  connect() {
+    this.closed = false;
+    const socket = this.createSocket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.fullRetries = 0;
+      this.onStatus('connected');
+    });
+    socket.addEventListener('message', (event) => this.receive(event.data));
+    socket.addEventListener('close', (event) => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.setPeers(0);
+      if (this.closed) return;
+
+      if (event.code === REMOTE_ROOM_FULL) {
+        if (this.fullRetries < REMOTE_FULL_RETRIES) {
+          this.fullRetries++;
+          this.reconnectTimer = setTimeout(() => this.connect(), REMOTE_FULL_RETRY_DELAY);
+        } else {
+          this.closed = true;
+          this.fullRetries = 0;
+        }
+        this.onStatus('full');
+        return;
+      }
+      this.onStatus('reconnecting');
+      this.reconnectTimer = setTimeout(() => this.connect(), REMOTE_RECONNECT_DELAY);
+    });
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'peers') {
+      this.setPeers(message.count);
+    } else {
+      this.onMessage(message);
+    }
+  }
+
+  setPeers(count) {
+    if (count === this.peers) return;
+    this.peers = count;
+    this.onPeers(count);
+  }
+
+  // False when there is nobody to send to
+  send(message) {
+    if (!this.socket || this.socket.readyState !== 1 || this.peers === 0) return false; // 1: OPEN
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    this.fullRetries = 0;
+    clearTimeout(this.reconnectTimer);
+    const socket = this.socket;
+    this.socket = null;
+    this.peers = 0;
+    if (socket) socket.close();
+  }
+}
+
+// Player adapter on the sensor: calls go to the screen, answers come from the screen's last report.
+// Setters update the copy at once, so the controller sees its own changes before the next report.
+class RemotePlayer extends PlayerAdapter {
+  constructor(host, { send, ...callbacks } = {}) {
+    super(host, callbacks);
+    this.send = send;
+    this.state = {
+      playerState: null,
+      playing: false,
+      rate: 1,
+      rates: [1],
+      continuousRates: false,
+      volume: 1,
+      time: 0,
+      duration: 0,
+      title: '',
+      videoId: null,
+      playlistPosition: null,
+      muted: false,
+      captions: null,
+    };
+    this.reportedAt = Date.now();
+  }
+
+  // A state report from the screen; player state changes are passed on like a local backend's
+  receiveState(state) {
+    const previous = this.state.playerState;
+    this.state = { ...this.state, ...state };
+    this.reportedAt = Date.now();
+    this.continuousRates = this.state.continuousRates;
+
+    if (state.ready && !this.ready) this.markReady();
+    if (this.ready && state.playerState && state.playerState !== previous) this.onStateChange(state.playerState);
+  }
+
+  call(method, ...args) {
+    this.send({ type: 'call', method, args });
+  }
+
+  // source: a queue item (see queue.js); local files can't be sent
+  load(item) {
+    this.send({ type: 'load', item });
+  }
+
+  play() {
+    this.call('play');
+    this.state.playing = true;
+  }
+
+  pause() {
+    this.call('pause');
+    this.state.playing = false;
+  }
+
+  isPlaying() {
+    return this.state.playing;
+  }
+
+  setPlaybackRate(rate) {
+    this.call('setPlaybackRate', rate);
+    this.state.rate = rate;
+  }
+
+  getPlaybackRate() {
+    return this.state.rate;
+  }
+
+  getAvailablePlaybackRates() {
+    return this.state.rates;
+  }
+
+  getVolume() {
+    return this.state.volume;
+  }
+
+  setVolume(volume) {
+    this.call('setVolume', volume);
+    this.state.volume = volume;
+  }
+
+  // Moved on from the last report while playing
+  getCurrentTime() {
+    const { time, playing, rate } = this.state;
+    return playing ? time + ((Date.now() - this.reportedAt) / 1000) * rate : time;
+  }
+
+  getDuration() {
+    return this.state.duration;
+  }
+
+  seekTo(seconds) {
+    this.call('seekTo', seconds);
+    this.state.time = seconds;
+    this.reportedAt = Date.now();
+  }
+
+  getTitle() {
+    return this.state.title;
+  }
+
+  getVideoId() {
+    return this.state.videoId;
+  }
+
+  getPlaylistPosition() {
+    return this.state.playlistPosition;
+  }
+
+  playlistStep(offset) {
+    const position = this.state.playlistPosition;
+    if (!position || position.index + offset < 0 || position.index + offset >= position.length) return false;
+    this.call('playlistStep', offset);
+    return true;
+  }
+
+  toggleMute() {
+    this.call('toggleMute');
+    this.state.muted = !this.state.muted;
+    return this.state.muted;
+  }
+
+  toggleCaptions() {
+    if (this.state.captions === null) return null;
+    this.call('toggleCaptions');
+    this.state.captions = !this.state.captions;
+    return this.state.captions;
+  }
+
+  // Nothing was mounted in the host
+  destroy() {
+    this.ready = false;
+  }
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Build Asset Manifest
+// Writes asset-manifest.js: every file the service worker precaches, with a content hash, plus a version
+// derived from all of them. sw.js names its cache after that version, so any content change replaces the
+// cache. Run after changing app files (or adding a script to index.html):
+//
+//   node scripts/build-asset-manifest.js          write asset-manifest.js
+//   node scripts/build-asset-manifest.js --check  exit 1 if it is out of date
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, 'asset-manifest.js');
+
+// Scripts started with new Worker() rather than referenced by index.html
+const WORKER_SCRIPTS = ['tracking-worker.js'];
+
+// App shell: index.html, the web app manifest and its icons, local scripts and stylesheets referenced by
+// index.html, worker scripts, and everything under vendor/ (except notes like VERSIONS.md)
+function listAssets() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const referenced = [...html.matchAll(/<(?:script|link)\b[^>]*?\b(?:src|href)="([^"]+)"/g)]
+    .map((match) => match[1])
+    .filter((url) => !/^(?:[a-z]+:)?\/\//i.test(url));
+
+  const webManifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const icons = (webManifest.icons || []).map((icon) => icon.src);
+
+  const files = new Set(['index.html', ...referenced, ...WORKER_SCRIPTS, ...icons, ...walk('vendor')]);
+  return [...files].filter((file) => {
+    if (fs.existsSync(path.join(ROOT, file))) return true;
+    console.warn(`Skipping missing asset ${file}`);
+    return false;
+  });
+}
+
+function walk(dir) {
+  if (!fs.existsSync(path.join(ROOT, dir))) return [];
+
+  return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap((entry) => {
+    const file = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) return walk(file);
+    return entry.name.endsWith('.md') ? [] : [file];
+  });
+}
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+}
+
+function buildManifest() {
+  const assets = listAssets()
+    .sort()
+    .map((file) => ({ url: './' + file, hash: hash(fs.readFileSync(path.join(ROOT, file))) }));
+
+  // './' is the same document as './index.html' but cached under its own URL
+  const index = assets.find((asset) => asset.url === './index.html');
+  assets.unshift({ url: './', hash: index.hash });
+
+  const version = hash(assets.map((asset) => `${asset.url} ${asset.hash}`).join('\n'));
+  return [
+    '// Generated by scripts/build-asset-manifest.js - do not edit.',
+    '// Files the service worker precaches, with content hashes; version changes whenever any of them does.',
+    'self.ASSET_MANIFEST = {',
+    `  version: '${version}',`,
+    '  assets: {',
+    ...assets.map((asset) => `    '${asset.url}': '${asset.hash}',`),
+    '  },',
+    '};',
+    '',
+  ].join('\n');
+}
+
+function writeManifest() {
+  const manifest = buildManifest();
+  fs.writeFileSync(MANIFEST_FILE, manifest);
+  console.log(`asset-manifest.js: ${manifest.match(/version: '(\w+)'/)[1]}`);
+}
+
+function checkManifest() {
+  const current = fs.existsSync(MANIFEST_FILE) ? fs.readFileSync(MANIFEST_FILE, 'utf8') : '';
+  if (current !== buildManifest()) {
+    console.error('asset-manifest.js is out of date - run node scripts/build-asset-manifest.js');
+    process.exit(1);
+  }
+  console.log('asset-manifest.js is up to date');
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    checkManifest();
+  } else {
+    writeManifest();
+  }
+}
+
+module.exports = { buildManifest, writeManifest };
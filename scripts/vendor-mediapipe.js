@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+// Vendor MediaPipe
+// Downloads the pinned MediaPipe packages from the npm registry into vendor/mediapipe/ so the app
+// (and the service worker precache) don't depend on a CDN. Run from the repo root:
+//
+//   node scripts/vendor-mediapipe.js
+//
+// To update, change the versions and integrity hashes below (`npm view @mediapipe/face_mesh dist`).
+// Needs Node 18+ (global fetch); no npm dependencies.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const PACKAGES = [
+  {
+    name: '@mediapipe/face_mesh',
+    version: '0.4.1657299874',
+    integrity: 'sha512-Jdza+77HjDH4SQ6/DAYmnKUYdh2fU1GbhuGqXZbkK5rnJKpZLZe5KQeJmwUq9dmkYkCPSq4oe9vmcuveRPpwag==',
+  },
+];
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor', 'mediapipe');
+
+// Only the runtime is needed; typings and package metadata are left out
+const SKIPPED_FILES = new Set(['package.json', 'README.md', 'index.d.ts']);
+
+async function download(pkg) {
+  const tarball = `https://registry.npmjs.org/${pkg.name}/-/${pkg.name.split('/')[1]}-${pkg.version}.tgz`;
+  const response = await fetch(tarball);
+  if (!response.ok) {
+    throw new Error(`${tarball}: HTTP ${response.status}`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  const [algorithm, expected] = pkg.integrity.split('-');
+  const actual = crypto.createHash(algorithm).update(data).digest('base64');
+  if (actual !== expected) {
+    throw new Error(`${pkg.name}@${pkg.version}: integrity mismatch (got ${algorithm}-${actual})`);
+  }
+  return zlib.gunzipSync(data);
+}
+
+// Regular files in a tar archive as { name, data }
+function* untar(archive) {
+  let offset = 0;
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) break; // End of archive
+
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim(), 8) || 0;
+    const type = field(156, 1) || '0';
+    const prefix = field(345, 155);
+    const name = (prefix ? prefix + '/' : '') + field(0, 100);
+
+    if (type === '0') {
+      yield { name, data: archive.subarray(offset + 512, offset + 512 + size) };
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+}
+
+async function main() {
+  fs.rmSync(VENDOR_DIR, { recursive: true, force: true });
+
+  for (const pkg of PACKAGES) {
+    const targetDir = path.join(VENDOR_DIR, pkg.name.split('/')[1]);
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    let count = 0;
+    for (const { name, data } of untar(await download(pkg))) {
+      const file = name.replace(/^package\//, '');
+      if (SKIPPED_FILES.has(file) || file.includes('/')) continue;
+
+      fs.writeFileSync(path.join(targetDir, file), data);
+      count++;
+    }
+    console.log(`${pkg.name}@${pkg.version}: ${count} files`);
+  }
+
+  fs.writeFileSync(
+    path.join(VENDOR_DIR, 'VERSIONS.md'),
+    [
+      '# Vendored MediaPipe',
+      '',
+      'Generated by `node scripts/vendor-mediapipe.js` - do not edit by hand.',
+      'Licensed under the Apache License 2.0 (https://github.com/google/mediapipe/blob/master/LICENSE).',
+      '',
+      ...PACKAGES.map((pkg) => `- ${pkg.name}@${pkg.version}`),
+      '',
+    ].join('\n'),
+  );
+
+  require('./build-asset-manifest').writeManifest();
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
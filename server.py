@@ -3,12 +3,33 @@
 Simple HTTPS server for testing the Head Tilt YouTube Controller
 Generates a self-signed certificate and serves the app over HTTPS
 (Required for camera access)
+
+Also relays remote control messages (see remote-control.js): WebSocket
+clients that connect to /relay/<pairing code> get every text message the
+other client with the same code sends, plus {"type": "peers", "count": n}
+whenever someone joins or leaves. Nothing is stored.
 """
 
+import base64
+import hashlib
 import http.server
+import json
 import ssl
 import os
 import socket
+import struct
+import threading
+
+RELAY_PATH = '/relay/'
+RELAY_ROOM_SIZE = 2            # The sensor and the screen
+RELAY_MAX_MESSAGE = 64 * 1024  # bytes
+RELAY_ROOM_FULL = 4001         # WebSocket close code for a third client
+RELAY_PING_INTERVAL = 10       # seconds between pings; browsers answer them with a pong
+RELAY_TIMEOUT = 30             # seconds without a frame from a client before it's taken to be gone
+WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+rooms = {}  # pairing code -> set of RelayClient
+rooms_lock = threading.Lock()
 
 def get_local_ip():
     """Get the local IP address"""
@@ -21,6 +42,140 @@ def get_local_ip():
     except:
         return "localhost"
 
+class RelayClient:
+    """One WebSocket connection: reads client frames, writes server frames"""
+
+    def __init__(self, rfile, wfile):
+        self.rfile = rfile
+        self.wfile = wfile
+        self.send_lock = threading.Lock()
+
+    def send_frame(self, opcode, payload=b''):
+        header = bytes([0x80 | opcode])
+        if len(payload) < 126:
+            header += bytes([len(payload)])
+        elif len(payload) < 65536:
+            header += bytes([126]) + struct.pack('>H', len(payload))
+        else:
+            header += bytes([127]) + struct.pack('>Q', len(payload))
+        with self.send_lock:
+            try:
+                self.wfile.write(header + payload)
+                self.wfile.flush()
+            except OSError:
+                pass  # Gone; the reading side notices
+
+    def send_text(self, text):
+        self.send_frame(0x1, text.encode('utf-8'))
+
+    def close(self, code=1000):
+        self.send_frame(0x8, struct.pack('>H', code))
+
+    def read_frame(self):
+        """(opcode, payload) of the next frame, or None when the connection ends"""
+        header = self.rfile.read(2)
+        if len(header) < 2:
+            return None
+        opcode = header[0] & 0x0F
+        masked = header[1] & 0x80
+        length = header[1] & 0x7F
+        if length == 126:
+            length = struct.unpack('>H', self.rfile.read(2))[0]
+        elif length == 127:
+            length = struct.unpack('>Q', self.rfile.read(8))[0]
+        if not masked or length > RELAY_MAX_MESSAGE:
+            return None  # Clients must mask; big messages aren't ours
+        mask = self.rfile.read(4)
+        data = self.rfile.read(length)
+        if len(data) < length:
+            return None
+        return opcode, bytes(b ^ mask[i % 4] for i, b in enumerate(data))
+
+
+def relay_peers(code):
+    """Tell everyone in the room how many others are there"""
+    with rooms_lock:
+        members = list(rooms.get(code, ()))
+    for member in members:
+        member.send_text(json.dumps({'type': 'peers', 'count': len(members) - 1}))
+
+
+def ping_until(client, stop):
+    """Ping the client every RELAY_PING_INTERVAL until stop is set, so a live one is never silent"""
+    while not stop.wait(RELAY_PING_INTERVAL):
+        client.send_frame(0x9)
+
+
+def run_relay(handler, code):
+    """Serve one relay connection until it closes, or goes silent (a phone that lost its network
+    never closes; without the timeout it would keep its place in the room)"""
+    client = RelayClient(handler.rfile, handler.wfile)
+    with rooms_lock:
+        room = rooms.setdefault(code, set())
+        full = len(room) >= RELAY_ROOM_SIZE
+        if not full:
+            room.add(client)
+    if full:
+        client.close(RELAY_ROOM_FULL)
+        return
+
+    handler.connection.settimeout(RELAY_TIMEOUT)
+    stop_pinging = threading.Event()
+    threading.Thread(target=ping_until, args=(client, stop_pinging), daemon=True).start()
+
+    relay_peers(code)
+    try:
+        while True:
+            frame = client.read_frame()
+            if frame is None:
+                break
+            opcode, payload = frame
+            if opcode == 0x1:  # Text: pass on
+                with rooms_lock:
+                    others = [member for member in rooms.get(code, ()) if member is not client]
+                text = payload.decode('utf-8', 'replace')
+                for member in others:
+                    member.send_text(text)
+            elif opcode == 0x8:  # Close
+                client.close()
+                break
+            elif opcode == 0x9:  # Ping
+                client.send_frame(0xA, payload)
+    except (OSError, struct.error):
+        pass  # Including the read timing out
+    finally:
+        stop_pinging.set()
+        with rooms_lock:
+            room.discard(client)
+            if not room:
+                rooms.pop(code, None)
+        relay_peers(code)
+
+
+class Handler(http.server.SimpleHTTPRequestHandler):
+    """Static files, plus WebSocket upgrades on /relay/<code>"""
+
+    def do_GET(self):
+        if not self.path.startswith(RELAY_PATH):
+            return super().do_GET()
+
+        code = self.path[len(RELAY_PATH):].split('?')[0]
+        key = self.headers.get('Sec-WebSocket-Key')
+        if not code.isalnum() or len(code) > 16 or self.headers.get('Upgrade', '').lower() != 'websocket' or not key:
+            self.send_error(400, 'Expected a WebSocket connection to /relay/<pairing code>')
+            return
+
+        accept = base64.b64encode(hashlib.sha1((key + WEBSOCKET_GUID).encode()).digest()).decode()
+        self.protocol_version = 'HTTP/1.1'  # Browsers reject an HTTP/1.0 upgrade
+        self.send_response(101, 'Switching Protocols')
+        self.send_header('Upgrade', 'websocket')
+        self.send_header('Connection', 'Upgrade')
+        self.send_header('Sec-WebSocket-Accept', accept)
+        self.end_headers()
+        self.close_connection = True
+        run_relay(self, code.upper())
+
+
 def main():
     PORT = 8000
     
@@ -35,7 +190,8 @@ def main():
     
     # Create HTTPS server
     server_address = ('', PORT)
-    httpd = http.server.HTTPServer(server_address, http.server.SimpleHTTPRequestHandler)
+    # Threads, so relay connections don't hold up file requests
+    httpd = http.server.ThreadingHTTPServer(server_address, Handler)
     
     # Wrap with SSL
     httpd.socket = ssl.wrap_socket(httpd.socket,
@@ -49,6 +205,7 @@ def main():
     print(f"   https://localhost:{PORT}")
     print(f"\n📱 Access on mobile (same WiFi):")
     print(f"   https://{local_ip}:{PORT}")
+    print(f"\n📡 Remote control relay: wss://{local_ip}:{PORT}{RELAY_PATH}<code>")
     print(f"\n⚠️  Note: You'll need to accept the self-signed certificate warning")
     print(f"    in your browser (this is normal for local development)\n")
     print(f"Press Ctrl+C to stop the server\n")
@@ -0,0 +1,147 @@
+// Session Recorder
+// Records the per-frame Face Mesh landmarks (and the tilt and rate they produced) to a JSON file, and
+// replays a recording into onFaceResults in place of the camera, to reproduce tracking issues without one
+
+const RECORDING_FILE_FORMAT = 'head-tilt-controller-recording';
+const RECORDING_VERSION = 1;
+
+// Recording files:
+//   { format, version, recordedAt, width, height, profile, frames: [{ t, faces, tilt, rate }] }
+// t is ms since the start; faces holds one flat [x, y, z, x, y, z, ...] array per face (rounded to 5 decimals);
+// tilt (null without a face) and rate are what the controller made of the frame, for comparing runs.
+// profile is the settings profile in use while recording.
+class SessionRecorder {
+  constructor() {
+    this.recording = null;
+    this.startTime = 0;
+  }
+
+  get active() {
+    return this.recording !== null;
+  }
+
+  // width/height: camera image size (sets the aspect ratio landmarks are measured in)
+  start({ width, height, profile }, now = Date.now()) {
+    this.startTime = now;
+    this.recording = {
+      format: RECORDING_FILE_FORMAT,
+      version: RECORDING_VERSION,
+      recordedAt: new Date(now).toISOString(),
+      width,
+      height,
+      profile,
+      frames: [],
+    };
+  }
+
+  // results: what Face Mesh passed to onFaceResults; outcome: { tilt, rate } after the controller handled it
+  record(results, { tilt, rate }, now = Date.now()) {
+    if (!this.recording) return;
+
+    this.recording.frames.push({
+      t: now - this.startTime,
+      faces: (results.multiFaceLandmarks || []).map((landmarks) => SessionRecorder.encodeFace(landmarks)),
+      tilt: tilt === null ? null : Math.round(tilt * 100) / 100,
+      rate,
+    });
+  }
+
+  // Returns the finished recording
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording;
+  }
+
+  static encodeFace(landmarks) {
+    const round = (value) => Math.round(value * 100000) / 100000;
+    return landmarks.flatMap((point) => [round(point.x), round(point.y), round(point.z)]);
+  }
+
+  static decodeFace(flat) {
+    const landmarks = [];
+    for (let i = 0; i + 2 < flat.length; i += 3) {
+      landmarks.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
+    }
+    return landmarks;
+  }
+
+  // A recorded frame in the shape Face Mesh passes to onResults
+  static toResults(frame) {
+    return { multiFaceLandmarks: frame.faces.map((flat) => SessionRecorder.decodeFace(flat)) };
+  }
+
+  // Parses and checks a recording file
+  static parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Not a valid recording (invalid JSON)');
+    }
+
+    if (!data || data.format !== RECORDING_FILE_FORMAT || !Array.isArray(data.frames)) {
+      throw new Error('Not a valid recording');
+    }
+    if (data.version > RECORDING_VERSION) {
+      throw new Error(`Recording was made by a newer version (version ${data.version}); please update the app`);
+    }
+    return data;
+  }
+}
+
+// Feeds a recording's frames to onFrame(results, frame) at their recorded times
+class SessionReplay {
+  constructor({ onFrame, onEnd } = {}) {
+    this.onFrame = onFrame || (() => {});
+    this.onEnd = onEnd || (() => {});
+
+    this.recording = null;
+    this.index = 0;
+    this.startTime = 0;
+    this.timer = null;
+  }
+
+  get active() {
+    return this.recording !== null;
+  }
+
+  start(recording) {
+    this.stop();
+    this.recording = recording;
+    this.index = 0;
+    this.startTime = Date.now();
+    this.scheduleNext();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.recording = null;
+  }
+
+  scheduleNext() {
+    const frame = this.recording.frames[this.index];
+    if (!frame) {
+      this.stop();
+      this.onEnd();
+      return;
+    }
+
+    this.timer = setTimeout(
+      () => {
+        this.index++;
+        this.onFrame(SessionRecorder.toResults(frame), frame);
+        if (this.recording) this.scheduleNext();
+      },
+      Math.max(frame.t - (Date.now() - this.startTime), 0),
+    );
+  }
+
+  // All frames at once, without timers, for headless runs that drive their own clock (frame.t)
+  static runAll(recording, onFrame) {
+    for (const frame of recording.frames) {
+      onFrame(SessionRecorder.toResults(frame), frame);
+    }
+  }
+}
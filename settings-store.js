@@ -0,0 +1,279 @@
+// Settings Store
+// Named settings profiles persisted in localStorage, with versioned JSON import/export
+
+// Bump when the stored/exported shape changes and add a migration below
+const SETTINGS_SCHEMA_VERSION = 1;
+
+// Migrations from each older version to the next one
+const SETTINGS_MIGRATIONS = {
+  // Unversioned: a bare settings object, e.g. a hand-saved copy of `app.settings`
+  0: (data) => ({
+    schemaVersion: 1,
+    name: data.name,
+    profile: { settings: data.settings || data, speedLevels: data.speedLevels },
+  }),
+};
+
+const PROFILE_FILE_FORMAT = 'head-tilt-controller-profile';
+
+// What an imported setting may hold, as the settings controls allow (see index.html). Numbers are clamped
+// to min..max; options lists the allowed values; check(value) returns a usable copy or throws. Settings
+// not listed only need the type of their default.
+const SETTING_LIMITS = {
+  sensitivity: { min: 0.5, max: 3 },
+  deadZone: { min: 0, max: 15 },
+  maxTilt: { min: 5, max: 40 },
+  tiltOffset: { min: -45, max: 45 },
+  calibratedRange: { check: (range) => ({ left: finiteNumber(range.left), right: finiteNumber(range.right) }) },
+  speedMode: { options: ['discrete', 'continuous'] },
+  speedCurve: { options: ['linear', 'exponential', 'custom'] },
+  minRate: { min: 0.25, max: 1 },
+  maxRate: { min: 1, max: 4 },
+  customCurve: { check: (points) => parseSpeedCurve(formatSpeedCurve(points)) },
+  skipMode: { options: ['jump', 'scrub'] },
+  skipInterval: { min: 200, max: 2000 },
+  scrubSteps: { check: (steps) => (steps.length > 0 ? steps : [NaN]).map((step) => positiveNumber(step)) },
+  scrubStepTime: { min: 500, max: 5000 },
+  tiltFilter: { options: ['none', 'oneEuro', 'ema', 'kalman'] },
+  filterParams: { check: (params) => sanitizeFilterParams(params) },
+  pauseDelay: { min: 0.5, max: 5 },
+  pauseGrace: { min: 0, max: 5 },
+  pauseFade: { options: ['none', 'volume', 'rate'] },
+  resumeSpeed: { options: ['normal', 'previous'] },
+  resumeRewind: { min: 0, max: 30 },
+  eyesClosedDelay: { min: 2, max: 10 },
+  lookAwayDelay: { min: 0.5, max: 10 },
+  maxFaces: { min: 1, max: 4 },
+  otherFacePolicy: { options: ['pause', 'keepPlaying', 'handOver'] },
+  scanInterval: { min: 500, max: 5000 },
+  cameraPreset: { options: ['low', 'standard', 'hd'] },
+  processingFps: { options: [0, 15, 10, 5] },
+};
+
+function finiteNumber(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${value} is not a number`);
+  return value;
+}
+
+function positiveNumber(value) {
+  if (!(finiteNumber(value) > 0)) throw new Error(`${value} must be above 0`);
+  return value;
+}
+
+// Each filter's parameters, clamped to its sliders (see TILT_FILTERS); unknown ones are left out
+function sanitizeFilterParams(params) {
+  const sanitized = defaultFilterParams();
+  for (const [type, definition] of Object.entries(TILT_FILTERS)) {
+    for (const [name, param] of Object.entries(definition.params)) {
+      const value = params[type] && params[type][name];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        sanitized[type][name] = Math.min(param.max, Math.max(param.min, value));
+      }
+    }
+  }
+  return sanitized;
+}
+
+class SettingsStore {
+  // defaults = { settings, speedLevels, gestureProfile }; missing keys in stored profiles fall back to these
+  constructor(defaults, { storage = window.localStorage } = {}) {
+    this.defaults = defaults;
+    this.storage = storage;
+
+    this.profiles = {};
+    this.activeName = 'Default';
+
+    this.load();
+  }
+
+  listProfiles() {
+    return Object.keys(this.profiles);
+  }
+
+  // Copy of a profile with defaults filled in
+  getProfile(name = this.activeName) {
+    return this.withDefaults(this.profiles[name] || {});
+  }
+
+  saveProfile(name, profile) {
+    this.profiles[name] = this.withDefaults(profile);
+    this.save();
+  }
+
+  selectProfile(name) {
+    if (!this.profiles[name]) return null;
+
+    this.activeName = name;
+    this.save();
+    return this.getProfile(name);
+  }
+
+  deleteProfile(name) {
+    if (!this.profiles[name] || this.listProfiles().length === 1) return false;
+
+    delete this.profiles[name];
+    if (this.activeName === name) {
+      this.activeName = this.listProfiles()[0];
+    }
+    this.save();
+    return true;
+  }
+
+  // Name not used yet, based on `name`
+  uniqueName(name) {
+    let candidate = name;
+    for (let i = 2; this.profiles[candidate]; i++) {
+      candidate = `${name} (${i})`;
+    }
+    return candidate;
+  }
+
+  // Import/export
+
+  // extras: anything the profile depends on that lives elsewhere (e.g. its gesture mapping)
+  exportProfile(name, extras = {}) {
+    return JSON.stringify(
+      {
+        format: PROFILE_FILE_FORMAT,
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        name,
+        profile: this.getProfile(name),
+        ...extras,
+      },
+      null,
+      2,
+    );
+  }
+
+  // Parses and migrates an exported file; returns { name, profile, ...extras } without storing it
+  parseExport(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Not a valid profile file (invalid JSON)');
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Not a valid profile file');
+    }
+    if (data.format && data.format !== PROFILE_FILE_FORMAT) {
+      throw new Error(`Unknown profile file format "${data.format}"`);
+    }
+
+    const { format, schemaVersion, exportedAt, ...rest } = SettingsStore.migrate(data);
+    const name = typeof rest.name === 'string' && rest.name.trim() ? rest.name : 'Imported';
+    return { ...rest, name, profile: this.sanitize(this.withDefaults(rest.profile || {})) };
+  }
+
+  // A profile from a file that may have been edited by hand or saved by an older version: settings out of
+  // range are clamped, unusable ones fall back to their defaults and unknown ones are dropped. Throws if
+  // the speed levels can't be used, since there is nothing sensible to put in their place.
+  sanitize(profile) {
+    let speedLevels;
+    try {
+      if (!Array.isArray(profile.speedLevels)) throw new Error('not a list');
+      speedLevels = parseSpeedLadder(formatSpeedLadder(profile.speedLevels.map((level) => finiteNumber(level))));
+    } catch (error) {
+      throw new Error(`Invalid speed levels (${error.message})`);
+    }
+
+    const settings = {};
+    for (const [key, fallback] of Object.entries(this.defaults.settings)) {
+      settings[key] = SettingsStore.sanitizeSetting(key, profile.settings[key], fallback);
+    }
+    settings.normalSpeed = speedLevels[normalLevelIndex(speedLevels, settings.normalSpeed)];
+
+    const gestureProfile =
+      typeof profile.gestureProfile === 'string' ? profile.gestureProfile : this.defaults.gestureProfile;
+    return { ...profile, settings, speedLevels, gestureProfile };
+  }
+
+  static sanitizeSetting(key, value, fallback) {
+    const limits = SETTING_LIMITS[key] || {};
+    if (limits.options) return limits.options.includes(value) ? value : fallback;
+    if (limits.check) {
+      try {
+        return value === null || value === undefined ? fallback : limits.check(value);
+      } catch (error) {
+        return fallback;
+      }
+    }
+
+    if (typeof value !== typeof fallback || (typeof value === 'number' && !Number.isFinite(value))) return fallback;
+    return 'min' in limits ? Math.min(limits.max, Math.max(limits.min, value)) : value;
+  }
+
+  static migrate(data) {
+    let version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+
+    if (version > SETTINGS_SCHEMA_VERSION) {
+      throw new Error(`Profile was saved by a newer version (schema ${version}); please update the app`);
+    }
+
+    while (version < SETTINGS_SCHEMA_VERSION) {
+      data = SETTINGS_MIGRATIONS[version](data);
+      version = data.schemaVersion;
+    }
+    return data;
+  }
+
+  // Persistence
+
+  withDefaults(profile) {
+    const copy = JSON.parse(JSON.stringify(profile));
+    return {
+      ...JSON.parse(JSON.stringify(this.defaults)),
+      ...copy,
+      settings: { ...this.defaults.settings, ...copy.settings },
+    };
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(SettingsStore.STORAGE_KEY));
+      if (stored) {
+        const data = SettingsStore.migrateStored(stored);
+        this.profiles = data.profiles || {};
+        this.activeName = data.activeProfile;
+      }
+    } catch (error) {
+      console.error('Could not read settings:', error);
+    }
+
+    if (Object.keys(this.profiles).length === 0) {
+      this.profiles = { Default: this.withDefaults({}) };
+    }
+    if (!this.profiles[this.activeName]) {
+      this.activeName = Object.keys(this.profiles)[0];
+    }
+  }
+
+  // Stored data carries every profile; each goes through the same migrations as an exported file
+  static migrateStored(stored) {
+    const profiles = {};
+    for (const [name, profile] of Object.entries(stored.profiles || {})) {
+      const schemaVersion = stored.schemaVersion || SETTINGS_SCHEMA_VERSION;
+      profiles[name] = SettingsStore.migrate({ schemaVersion, name, profile }).profile;
+    }
+    return { activeProfile: stored.activeProfile, profiles };
+  }
+
+  save() {
+    try {
+      this.storage.setItem(
+        SettingsStore.STORAGE_KEY,
+        JSON.stringify({
+          schemaVersion: SETTINGS_SCHEMA_VERSION,
+          activeProfile: this.activeName,
+          profiles: this.profiles,
+        }),
+      );
+    } catch (error) {
+      console.error('Could not save settings:', error);
+    }
+  }
+}
+
+SettingsStore.STORAGE_KEY = 'headTiltController.settings';
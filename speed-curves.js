@@ -0,0 +1,73 @@
+// Speed Curves
+// Continuous tilt-to-rate mapping and rate limiting for the analog speed mode
+
+// Each curve maps normalized tilt x (-1 = full left, 0 = neutral, 1 = full right) to a playback rate.
+// All of them give 1.0x at neutral, minRate at full left and maxRate at full right.
+const SPEED_CURVES = {
+  linear: (x, { minRate, maxRate }) => (x >= 0 ? 1 + x * (maxRate - 1) : 1 + x * (1 - minRate)),
+
+  // Equal tilt steps multiply the rate by the same factor, which feels more even than linear
+  exponential: (x, { minRate, maxRate }) => (x >= 0 ? Math.pow(maxRate, x) : Math.pow(minRate, -x)),
+
+  // Piecewise linear through user points [[x, rate], ...] sorted by x
+  custom: (x, { customCurve }) => {
+    const points = customCurve;
+    if (x <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+      const [x1, rate1] = points[i];
+      if (x <= x1) {
+        const [x0, rate0] = points[i - 1];
+        return rate0 + ((x - x0) / (x1 - x0)) * (rate1 - rate0);
+      }
+    }
+    return points[points.length - 1][1];
+  },
+};
+
+// Parse "tilt%:rate" pairs, e.g. "-100:0.5, 0:1, 100:2", into sorted [[x, rate], ...] points
+function parseSpeedCurve(text) {
+  const points = text
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const match = pair.match(/^(-?\d+(?:\.\d+)?)\s*%?\s*:\s*(\d+(?:\.\d+)?)\s*x?$/i);
+      if (!match) throw new Error(`"${pair}" is not a tilt%:rate pair`);
+
+      const x = parseFloat(match[1]) / 100;
+      const rate = parseFloat(match[2]);
+      if (x < -1 || x > 1) throw new Error(`Tilt ${match[1]}% is outside -100..100`);
+      if (rate <= 0) throw new Error(`Rate ${match[2]} must be above 0`);
+      return [x, rate];
+    })
+    .sort((a, b) => a[0] - b[0]);
+
+  if (points.length < 2) throw new Error('A custom curve needs at least two points');
+  if (new Set(points.map(([x]) => x)).size !== points.length) throw new Error('Tilt values must be unique');
+  return points;
+}
+
+function formatSpeedCurve(points) {
+  return points.map(([x, rate]) => `${Math.round(x * 100)}:${rate}`).join(', ');
+}
+
+// Keeps the player from getting a setPlaybackRate call every frame: a new rate is applied only when it
+// differs enough from the current one and enough time has passed since the last change
+class RateLimiter {
+  constructor({ minInterval = 250, minStep = 0.05 } = {}) {
+    this.minInterval = minInterval; // ms between rate changes
+    this.minStep = minStep; // smallest rate change worth applying
+    this.lastApplied = 0;
+  }
+
+  shouldApply(targetRate, currentRate, now = Date.now()) {
+    if (targetRate === currentRate || now - this.lastApplied < this.minInterval) return false;
+
+    // Small changes are ignored, except settling exactly on 1.0x at neutral
+    if (Math.abs(targetRate - currentRate) < this.minStep && targetRate !== 1) return false;
+
+    this.lastApplied = now;
+    return true;
+  }
+}
@@ -0,0 +1,46 @@
+// Speed Ladder
+// The discrete speed levels of the Levels mode: editing them as text, finding the normal level and checking
+// them against the rates the playback backend supports
+
+// Any number of levels on either side of normal; tilting right climbs toward the fastest, left toward the slowest
+const DEFAULT_SPEED_LEVELS = [0.5, 0.75, 1.0, 1.5, 2.0, 3.0, 4.0];
+const MAX_LADDER_RATE = 16; // Browsers refuse faster playback
+
+// Parse "0.5, 0.75, 1, 1.5, 2" into sorted levels
+function parseSpeedLadder(text) {
+  const levels = text
+    .split(',')
+    .map((level) => level.trim())
+    .filter(Boolean)
+    .map((level) => {
+      const match = level.match(/^(\d+(?:\.\d+)?)\s*x?$/i);
+      if (!match) throw new Error(`"${level}" is not a speed`);
+
+      const rate = parseFloat(match[1]);
+      if (rate <= 0 || rate > MAX_LADDER_RATE) throw new Error(`Speed ${match[1]} must be above 0 and at most 16`);
+      return rate;
+    })
+    .sort((a, b) => a - b);
+
+  if (levels.length < 2) throw new Error('The ladder needs at least two speeds');
+  if (new Set(levels).size !== levels.length) throw new Error('Speeds must be unique');
+  return levels;
+}
+
+function formatSpeedLadder(levels) {
+  return levels.join(', ');
+}
+
+// Index of the normal level: the level equal to normalSpeed, or the closest one
+function normalLevelIndex(levels, normalSpeed) {
+  let best = 0;
+  levels.forEach((level, i) => {
+    if (Math.abs(level - normalSpeed) < Math.abs(levels[best] - normalSpeed)) best = i;
+  });
+  return best;
+}
+
+// Levels the backend can't play as they are: [{ level, rate }] with the rate constrain(level) gives instead
+function unsupportedLevels(levels, constrain) {
+  return levels.map((level) => ({ level, rate: constrain(level) })).filter(({ level, rate }) => rate !== level);
+}
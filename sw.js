@@ -1,45 +1,99 @@
 // Service Worker for PWA
-// Update version number whenever you make changes to invalidate old cache
-const CACHE_NAME = 'head-tilt-controller-v3';
-const urlsToCache = ['/', '/index.html', '/styles.css', '/app.js', '/manifest.json'];
+// The precache list and cache version come from asset-manifest.js, generated by
+// scripts/build-asset-manifest.js; the cache is replaced whenever any asset's content changes
+importScripts('asset-manifest.js');
 
-// Install event - cache files
+const CACHE_NAME = 'head-tilt-controller-' + self.ASSET_MANIFEST.version;
+const RUNTIME_CACHE = 'head-tilt-controller-runtime'; // Everything not in the manifest (kept across versions)
+const RUNTIME_CACHE_LIMIT = 50; // entries; the oldest are dropped first
+
+const urlsToCache = Object.keys(self.ASSET_MANIFEST.assets);
+const precachedUrls = new Set(urlsToCache.map((url) => new URL(url, self.registration.scope).href));
+
+// YouTube player, API and video traffic: never cached
+const NETWORK_ONLY_HOSTS = /(?:^|\.)(?:youtube\.com|youtube-nocookie\.com|ytimg\.com|googlevideo\.com|ggpht\.com)$/;
+
+// Install event - cache files. The new worker then waits until the page accepts the update.
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches
       .open(CACHE_NAME)
       .then((cache) => {
         console.log('Opened cache');
-        return cache.addAll(urlsToCache);
+        // Bypass the HTTP cache so a new version never precaches stale files
+        return cache.addAll(urlsToCache.map((url) => new Request(url, { cache: 'reload' })));
       })
       .catch((err) => {
         console.log('Cache install failed:', err);
+        throw err; // Don't activate a worker with an incomplete cache
       }),
   );
 });
 
-// Fetch event - network first, fall back to cache (better for development)
+// The page's "Reload" button on the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Fetch event - strategy per route:
+// - app shell and vendored model files (the manifest): cache-first, updated with each new worker
+// - YouTube: network-only
+// - anything else (e.g. hls.js from the CDN): stale-while-revalidate in the size-capped runtime cache
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    fetch(event.request)
-      .then((response) => {
-        // Clone the response before caching
-        const responseToCache = response.clone();
-        caches.open(CACHE_NAME).then((cache) => {
-          cache.put(event.request, responseToCache);
-        });
-        return response;
-      })
-      .catch(() => {
-        // Network failed, try cache
-        return caches.match(event.request);
-      }),
-  );
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Media streams (Range requests) and non-GET requests go straight to the network
+  if (request.method !== 'GET' || request.headers.has('range') || !url.protocol.startsWith('http')) return;
+  if (NETWORK_ONLY_HOSTS.test(url.hostname)) return;
+
+  // Any page URL (e.g. with a query string) gets the precached app shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(new URL('./', self.registration.scope).href).then((cached) => cached || fetch(request)),
+    );
+    return;
+  }
+
+  if (precachedUrls.has(url.href)) {
+    event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event));
 });
 
+// Serve the cached copy right away and refresh it in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(event.request);
+
+  const update = fetch(event.request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(event.request, response.clone());
+      await trimCache(cache, RUNTIME_CACHE_LIMIT);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+// Cache keys come back in insertion order, so the oldest entries are deleted first
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - limit, 0)).map((key) => cache.delete(key)));
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  const cacheWhitelist = [CACHE_NAME];
+  const cacheWhitelist = [CACHE_NAME, RUNTIME_CACHE];
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
@@ -0,0 +1,234 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController } = require('./helpers/environment');
+const { fakeFace, holdFaces } = require('./helpers/landmarks');
+
+// Pauses as soon as a delay is up, without the 'Pausing...' countdown
+function createInstantPause() {
+  const controller = createController();
+  controller.app.settings.pauseGrace = 0;
+  return controller;
+}
+
+describe('face lost', () => {
+  it('pauses once the face has been gone for the pause delay', () => {
+    const { app, player, frame } = createInstantPause();
+    holdFaces(frame, [fakeFace()], 500);
+
+    holdFaces(frame, [], 900);
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    holdFaces(frame, [], 300);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+    assert.equal(app.isPausing, true);
+  });
+
+  it('resumes at 1.0x when the face is back', () => {
+    const { app, player, frame } = createInstantPause();
+    app.setSpeedLadder([0.75, 1, 1.5, 2], 1); // Normal is not the third level here
+    holdFaces(frame, [fakeFace({ roll: 20 })], 500);
+    assert.equal(app.currentSpeed, 2);
+
+    holdFaces(frame, [], 1500);
+    player.calls.length = 0;
+    frame([fakeFace()]);
+
+    assert.equal(app.isPausing, false);
+    assert.deepEqual(player.callsTo('play'), [[]]);
+    assert.deepEqual(player.callsTo('setPlaybackRate'), [[1]]);
+    assert.equal(app.currentSpeed, 1);
+    assert.equal(app.speedLevels[app.currentLevelIndex], 1);
+  });
+
+  it('resumes at the normal level of a custom ladder', () => {
+    const { app, player, frame } = createInstantPause();
+    app.setSpeedLadder([0.5, 1, 1.25, 1.5, 2], 1.25);
+    holdFaces(frame, [fakeFace({ roll: 20 })], 500);
+    assert.equal(app.currentSpeed, 2);
+
+    holdFaces(frame, [], 1500);
+    player.calls.length = 0;
+    frame([fakeFace()]);
+
+    assert.deepEqual(player.callsTo('setPlaybackRate'), [[1.25]]);
+    assert.equal(app.currentLevelIndex, 2);
+  });
+
+  it('runs any other faceLost action once per absence', () => {
+    const { app, player, frame } = createController();
+    app.gestureMapper.setBinding('faceLost', 'toggleMute');
+    holdFaces(frame, [fakeFace()], 500);
+
+    holdFaces(frame, [], 3000);
+    assert.equal(player.callsTo('toggleMute').length, 1);
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    holdFaces(frame, [fakeFace()], 500);
+    holdFaces(frame, [], 3000);
+    assert.equal(player.callsTo('toggleMute').length, 2);
+  });
+});
+
+describe('attention', () => {
+  it('pauses when the eyes stay closed for the delay', () => {
+    const { player, frame } = createInstantPause();
+    holdFaces(frame, [fakeFace()], 1000);
+
+    holdFaces(frame, [fakeFace({ eyes: 'closed' })], 2800);
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    holdFaces(frame, [fakeFace({ eyes: 'closed' })], 400);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+  });
+
+  it('ignores a long blink', () => {
+    const { player, frame } = createInstantPause();
+    holdFaces(frame, [fakeFace()], 1000);
+
+    holdFaces(frame, [fakeFace({ eyes: 'closed' })], 1000);
+    holdFaces(frame, [fakeFace()], 3000);
+
+    assert.deepEqual(player.callsTo('pause'), []);
+  });
+
+  it('pauses when the eyes look away for the delay', () => {
+    const { app, player, frame } = createInstantPause();
+    holdFaces(frame, [fakeFace()], 1000);
+
+    holdFaces(frame, [fakeFace({ gaze: 1 })], 1800);
+    assert.equal(app.attention.state, 'lookingAway');
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    holdFaces(frame, [fakeFace({ gaze: 1 })], 400);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+  });
+
+  it('can be turned off', () => {
+    const { app, player, frame } = createInstantPause();
+    app.settings.pauseOnEyesClosed = false;
+    holdFaces(frame, [fakeFace()], 1000);
+
+    holdFaces(frame, [fakeFace({ eyes: 'closed' })], 5000);
+
+    assert.deepEqual(player.callsTo('pause'), []);
+  });
+});
+
+describe('several faces', () => {
+  const viewer = fakeFace({ x: 0.3 });
+  const other = fakeFace({ x: 0.75, scale: 0.7 });
+
+  it('keeps control with the locked face while another one is in view', () => {
+    const { app, frame } = createController();
+    holdFaces(frame, [viewer, other], 500);
+
+    holdFaces(frame, [fakeFace({ x: 0.3, roll: 15 }), fakeFace({ x: 0.75, scale: 0.7, roll: -15 })], 500);
+
+    assert.equal(app.currentSpeed, 2);
+  });
+
+  it('pauses when the viewer leaves and others stay, by default', () => {
+    const { player, frame } = createInstantPause();
+    holdFaces(frame, [viewer, other], 500);
+
+    holdFaces(frame, [other], 1500);
+
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+  });
+
+  it('keeps playing for the others if asked to', () => {
+    const { env, player, frame } = createInstantPause();
+    const policy = env.document.getElementById('otherFacePolicy');
+    policy.value = 'keepPlaying';
+    policy.dispatch('change');
+    holdFaces(frame, [viewer, other], 500);
+
+    holdFaces(frame, [other], 3000);
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    // Once everyone has left, the pause delay starts over
+    holdFaces(frame, [], 900);
+    assert.deepEqual(player.callsTo('pause'), []);
+    holdFaces(frame, [], 300);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+  });
+});
+
+describe('pausing countdown and resume policy', () => {
+  it('counts down before pausing, and keeps playing if the viewer is back in time', () => {
+    const { env, player, frame } = createController();
+    holdFaces(frame, [fakeFace()], 500);
+
+    holdFaces(frame, [], 1500); // Pause delay (1 s), then half of the countdown (1 s)
+    assert.match(env.document.getElementById('faceStatus').textContent, /^Pausing\.\.\. 0\.\ds$/);
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    holdFaces(frame, [fakeFace()], 100);
+    holdFaces(frame, [], 900);
+    assert.deepEqual(player.callsTo('pause'), []);
+    holdFaces(frame, [], 1200);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+  });
+
+  it('fades out the volume during the countdown and restores it', () => {
+    const { app, player, frame } = createController();
+    app.settings.pauseFade = 'volume';
+    player.volume = 0.8;
+    holdFaces(frame, [fakeFace()], 500);
+
+    holdFaces(frame, [], 1500);
+    assert.ok(player.volume > 0.2 && player.volume < 0.6, `volume ${player.volume}`);
+
+    holdFaces(frame, [], 600);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+    assert.equal(player.volume, 0.8);
+  });
+
+  it('slows down during the countdown, and speeds back up if the viewer returns', () => {
+    const { app, player, frame } = createController();
+    app.settings.pauseFade = 'rate';
+    holdFaces(frame, [fakeFace({ roll: 15 })], 500);
+    assert.equal(app.currentSpeed, 2);
+
+    holdFaces(frame, [], 1900);
+    const rates = player.callsTo('setPlaybackRate').map(([rate]) => rate);
+    assert.ok(rates.at(-1) < 1, `rates ${rates}`);
+    assert.deepEqual(
+      rates.slice(1),
+      [...rates.slice(1)].sort((a, b) => b - a),
+    );
+
+    frame([fakeFace({ roll: 15 })]);
+    assert.equal(player.rate, 2);
+    assert.deepEqual(player.callsTo('pause'), []);
+  });
+
+  it('can resume at the previous speed, until the head tilts', () => {
+    const { app, player, frame } = createController();
+    app.settings.resumeSpeed = 'previous';
+    holdFaces(frame, [fakeFace({ roll: 15 })], 500);
+
+    holdFaces(frame, [], 2500);
+    holdFaces(frame, [fakeFace()], 500);
+    assert.equal(player.rate, 2);
+    assert.equal(app.currentSpeed, 2);
+
+    holdFaces(frame, [fakeFace({ roll: -10 })], 300);
+    holdFaces(frame, [fakeFace()], 300);
+    assert.equal(app.currentSpeed, 1);
+  });
+
+  it('rewinds on resume', () => {
+    const { app, player, frame } = createController();
+    app.settings.resumeRewind = 5;
+    holdFaces(frame, [fakeFace()], 500);
+
+    holdFaces(frame, [], 2500);
+    player.time = 130;
+    frame([fakeFace()]);
+
+    assert.deepEqual(player.callsTo('seekTo'), [[125]]);
+    assert.deepEqual(player.callsTo('play'), [[]]);
+  });
+});
@@ -0,0 +1,246 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, flush } = require('./helpers/environment');
+const { fakeFace, holdFaces } = require('./helpers/landmarks');
+
+// A camera stream with one video track; track.end() is what the browser does when the camera goes away
+function fakeStream(label, settings) {
+  const track = {
+    label,
+    stopped: false,
+    listeners: {},
+    addEventListener(type, listener) {
+      (this.listeners[type] ||= []).push(listener);
+    },
+    getSettings: () => settings,
+    stop() {
+      this.stopped = true;
+    },
+    end() {
+      (this.listeners.ended || []).forEach((listener) => listener());
+    },
+  };
+  return { track, getVideoTracks: () => [track], getTracks: () => [track] };
+}
+
+// navigator.mediaDevices with these cameras; requests lists each getUserMedia video constraint
+function installCameras(env, cameras) {
+  const mediaDevices = {
+    cameras,
+    requests: [],
+    streams: [],
+    enumerateDevices: async () => mediaDevices.cameras.map((camera) => ({ kind: 'videoinput', ...camera })),
+    getUserMedia: async ({ video }) => {
+      mediaDevices.requests.push(video);
+      if (mediaDevices.cameras.length === 0) {
+        throw Object.assign(new Error('Requested device not found'), { name: 'NotFoundError' });
+      }
+
+      const wanted = video.deviceId && video.deviceId.exact;
+      const camera = wanted ? mediaDevices.cameras.find((c) => c.deviceId === wanted) : mediaDevices.cameras[0];
+      if (!camera) throw Object.assign(new Error('No such camera'), { name: 'OverconstrainedError' });
+
+      const stream = fakeStream(camera.label, { width: video.width.ideal, height: video.height.ideal, frameRate: 30 });
+      mediaDevices.streams.push(stream);
+      return stream;
+    },
+  };
+  env.context.navigator.mediaDevices = mediaDevices;
+  return mediaDevices;
+}
+
+function createCameraController() {
+  const controller = createController();
+  Object.assign(controller.app.videoElement, { readyState: 1, videoWidth: 640, videoHeight: 480 });
+  return controller;
+}
+
+const CAMERAS = [
+  { deviceId: 'front', label: 'Front Camera' },
+  { deviceId: 'usb', label: 'USB Camera' },
+];
+
+describe('camera selection', () => {
+  it('lists the cameras and opens the chosen one at the chosen preset', async () => {
+    const { env, app } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    await app.renderCameraList();
+
+    const picker = env.document.getElementById('cameraDevice');
+    assert.deepEqual(
+      picker.children.map((option) => option.textContent),
+      ['Default (front camera)', 'Front Camera', 'USB Camera'],
+    );
+
+    picker.value = 'usb';
+    picker.dispatch('change');
+    const preset = env.document.getElementById('cameraPreset');
+    preset.value = 'hd';
+    preset.dispatch('change');
+    await app.startCamera();
+
+    const plain = JSON.parse(JSON.stringify(mediaDevices.requests));
+    assert.deepEqual(plain, [
+      { deviceId: { exact: 'usb' }, width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 30 } },
+    ]);
+    assert.equal(env.document.getElementById('status').textContent, 'Camera active: USB Camera, 1280×720 @ 30 fps');
+  });
+
+  it('falls back to the default camera when the chosen one is missing', async () => {
+    const { env, app } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    app.settings.cameraId = 'from-another-device';
+
+    await app.startCamera();
+
+    assert.equal(app.cameraActive, true);
+    assert.equal(mediaDevices.requests.length, 2);
+    assert.equal(mediaDevices.requests[1].facingMode, 'user');
+
+    await app.renderCameraList();
+    assert.equal(env.document.getElementById('cameraDevice').children.at(-1).value, 'from-another-device');
+  });
+
+  it('reopens the camera when the device or preset changes', async () => {
+    const { env, app } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    await app.startCamera();
+
+    const preset = env.document.getElementById('cameraPreset');
+    preset.value = 'low';
+    preset.dispatch('change');
+    await flush();
+
+    assert.equal(mediaDevices.streams[0].track.stopped, true);
+    assert.equal(mediaDevices.requests[1].width.ideal, 320);
+    assert.equal(app.cameraActive, true);
+  });
+
+  it('applies the face tracking rate to the running camera', async () => {
+    const { env, app } = createCameraController();
+    installCameras(env, CAMERAS);
+    await app.startCamera();
+
+    const rate = env.document.getElementById('processingFps');
+    rate.value = '5';
+    rate.dispatch('change');
+
+    assert.equal(app.camera.maxFps, 5);
+  });
+});
+
+describe('camera reconnection', () => {
+  it('reopens the camera shortly after its stream ends', async () => {
+    const { env, app, clock } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    await app.startCamera();
+
+    mediaDevices.streams[0].track.end();
+    assert.equal(app.cameraActive, false);
+    assert.equal(env.document.getElementById('status').textContent, 'Camera disconnected - reconnecting...');
+
+    clock.advance(env.CAMERA_RECONNECT_DELAY);
+    await flush();
+
+    assert.equal(app.cameraActive, true);
+    assert.equal(mediaDevices.requests.length, 2);
+  });
+
+  it('pauses at once when the stream ends during the countdown, and keeps playing otherwise', async () => {
+    const { env, app, player, frame } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    await app.startCamera();
+
+    // Still watching: nothing would finish a countdown, so none starts
+    frame([fakeFace()]);
+    mediaDevices.streams[0].track.end();
+    assert.equal(app.pauseGrace, null);
+    assert.deepEqual(player.callsTo('pause'), []);
+
+    // Gone, and the countdown running
+    await app.startCamera();
+    frame([fakeFace()]);
+    holdFaces(frame, [], 1500);
+    assert.ok(app.pauseGrace);
+    mediaDevices.streams[1].track.end();
+    assert.equal(app.isPausing, true);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+  });
+
+  it('waits for the camera to come back without alerting', async () => {
+    const { env, app, clock } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    let alerts = 0;
+    env.context.alert = () => alerts++;
+    await app.startCamera();
+
+    // Unplugged: the reconnect attempt finds no camera
+    mediaDevices.cameras = [];
+    mediaDevices.streams[0].track.end();
+    clock.advance(env.CAMERA_RECONNECT_DELAY);
+    await flush();
+    assert.equal(app.cameraActive, false);
+    assert.match(env.document.getElementById('status').textContent, /waiting for it to come back/);
+    assert.equal(alerts, 0);
+
+    // Plugged back in
+    mediaDevices.cameras = CAMERAS;
+    await app.onCameraDevicesChanged();
+    await flush();
+    assert.equal(app.cameraActive, true);
+  });
+
+  it('does not reconnect a camera that was stopped', async () => {
+    const { env, app, clock } = createCameraController();
+    const mediaDevices = installCameras(env, CAMERAS);
+    await app.startCamera();
+
+    app.stopCamera();
+    mediaDevices.streams[0].track.end();
+    clock.advance(env.CAMERA_RECONNECT_DELAY);
+    await app.onCameraDevicesChanged();
+
+    assert.equal(app.cameraActive, false);
+    assert.equal(mediaDevices.requests.length, 1);
+  });
+});
+
+describe('frame loop', () => {
+  // 1 s of 30 fps video; returns how many frames were processed
+  async function run(env, maxFps) {
+    const video = {
+      requestVideoFrameCallback(callback) {
+        this.pending = callback;
+        return 1;
+      },
+      cancelVideoFrameCallback() {
+        this.pending = null;
+      },
+    };
+    let processed = 0;
+    const loop = new env.CameraFrameLoop(video, { onFrame: async () => processed++, maxFps });
+    await loop.start();
+
+    for (let i = 0; i < 30; i++) {
+      env.clock.advance(33);
+      const callback = video.pending;
+      video.pending = null;
+      callback();
+      await flush();
+    }
+    loop.stop();
+    return processed;
+  }
+
+  it('processes every frame by default', async () => {
+    const { env } = createController();
+    assert.equal(await run(env, 0), 30);
+  });
+
+  it('skips frames to stay under the tracking rate', async () => {
+    const { env } = createController();
+    assert.equal(await run(env, 10), 10);
+    assert.equal(await run(env, 15), 15);
+  });
+});
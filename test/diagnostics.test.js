@@ -0,0 +1,194 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, loadScripts, flush, plain } = require('./helpers/environment');
+const { fakeFace, holdTilt } = require('./helpers/landmarks');
+
+describe('diagnostics monitor', () => {
+  it('measures inference time, dropped frames and frame rates', () => {
+    const env = loadScripts();
+    const monitor = new env.DiagnosticsMonitor();
+
+    monitor.sample(0, 0);
+    for (let i = 0; i < 30; i++) {
+      const t = i * 33;
+      monitor.frameSent(t);
+      if (i % 3 !== 0) monitor.frameTracked(t + 20); // Every third frame never comes back
+    }
+    monitor.sample(1000, 60);
+
+    const summary = monitor.summary();
+    assert.equal(summary.inferenceMs, 20);
+    assert.equal(summary.cameraFps, 60);
+    assert.equal(summary.trackedFps, 20);
+    assert.equal(summary.droppedPerSecond, 10);
+    assert.equal(summary.skippedPerSecond, 0);
+    assert.equal(summary.limitedPerSecond, 30);
+  });
+
+  it('counts frames the tracker skipped apart from dropped frames', () => {
+    const env = loadScripts();
+    const monitor = new env.DiagnosticsMonitor();
+
+    monitor.sample(0, 0);
+    monitor.frameSent(0);
+    monitor.frameSent(33);
+    monitor.frameSkipped(); // Still busy with the first frame
+    monitor.frameTracked(50);
+    monitor.sample(1000, 30);
+
+    assert.equal(monitor.frames[0].inference, 50);
+    const summary = monitor.summary();
+    assert.equal(summary.droppedPerSecond, 0);
+    assert.equal(summary.skippedPerSecond, 1);
+    assert.equal(summary.limitedPerSecond, 28);
+  });
+
+  it('measures the latency from a frame to the rate change it caused', () => {
+    const env = loadScripts();
+    const monitor = new env.DiagnosticsMonitor();
+
+    monitor.frameSent(100);
+    monitor.frameTracked(130);
+    monitor.rateChanged(135);
+
+    assert.equal(monitor.summary().frameToRateMs, 35);
+  });
+
+  it('counts a level change undone within a second as a flip', () => {
+    const env = loadScripts();
+    const monitor = new env.DiagnosticsMonitor();
+
+    monitor.levelChanged(0, 2, 3);
+    monitor.levelChanged(400, 3, 2); // Flip
+    monitor.levelChanged(3000, 2, 3);
+    monitor.levelChanged(5000, 3, 2); // Too late to be a flip
+
+    assert.deepEqual(plain(monitor.levelChanges.map((c) => c.flip)), [false, true, false, false]);
+    assert.equal(monitor.summary().levelFlipsPerMinute, 6); // One flip in the 10 s window
+  });
+
+  it('forgets measurements older than its window', () => {
+    const env = loadScripts();
+    const monitor = new env.DiagnosticsMonitor({ window: 1000 });
+
+    monitor.frameTracked(0);
+    monitor.frameTracked(500);
+    monitor.frameTracked(1600);
+
+    assert.deepEqual(plain(monitor.frames.map((f) => f.t)), [1600]);
+  });
+});
+
+describe('diagnostics in the controller', () => {
+  it('records raw and filtered tilt, level changes and rate changes', () => {
+    const { app, frame } = createController();
+
+    holdTilt(frame, 0);
+    holdTilt(frame, 15, 300);
+
+    const frames = app.diagnostics.frames;
+    assert.ok(Math.abs(frames.at(-1).rawTilt - 15) < 0.01);
+    assert.ok(frames.at(-1).tilt > 0);
+    assert.equal(frames.at(-1).level, app.currentLevelIndex);
+    assert.equal(app.diagnostics.levelChanges[0].from, app.normalIndex);
+    assert.ok(app.diagnostics.rateChanges.length > 0);
+  });
+
+  it('measures inference in the tracking worker from the frame it works on, not the ones it skips', async () => {
+    const { env, app, clock } = createController();
+    const posted = [];
+    const worker = { addEventListener() {}, postMessage: (message) => posted.push(message) };
+    app.faceMesh = new env.WorkerFaceTracker(
+      {},
+      { createWorker: () => worker, createBitmap: async (image) => ({ bitmapOf: image }) },
+    );
+    app.faceMesh.onResults((results) => app.onFaceResults(results));
+    clock.advance(1000); // The first per-second sample
+
+    for (let i = 0; i < 3; i++) {
+      await app.sendCameraFrame();
+      clock.advance(33);
+    }
+    app.faceMesh.handleMessage({
+      type: 'results',
+      landmarks: env.packFaces([fakeFace()]),
+      faceCount: 1,
+      poses: [{ yaw: 0, pitch: 0, roll: 0 }],
+      inferenceTime: 95,
+    });
+    clock.advance(1000);
+
+    const seconds = app.diagnostics.seconds;
+    assert.equal(posted.filter((message) => message.type === 'frame').length, 1);
+    assert.equal(app.diagnostics.frames.at(-1).inference, 99);
+    assert.equal(
+      seconds.reduce((sum, second) => sum + second.skipped, 0),
+      2,
+    );
+    assert.equal(
+      seconds.reduce((sum, second) => sum + second.dropped, 0),
+      0,
+    );
+  });
+
+  it('shows and hides the HUD from the settings', () => {
+    const { env, app } = createController();
+    const checkbox = env.document.getElementById('showDiagnostics');
+    const hud = env.document.getElementById('diagnosticsHud');
+
+    checkbox.checked = true;
+    checkbox.dispatch('change');
+    assert.equal(hud.classList.contains('hidden'), false);
+    assert.equal(app.settings.showDiagnostics, true);
+
+    app.sampleDiagnostics();
+    assert.match(env.document.getElementById('diagnosticsStats').textContent, /Tracking: main thread/);
+
+    checkbox.checked = false;
+    checkbox.dispatch('change');
+    assert.equal(hud.classList.contains('hidden'), true);
+  });
+
+  it('reports the settings, device and recent measurements as JSON', () => {
+    const { env, app, frame } = createController();
+    env.context.navigator.userAgent = 'Test Browser';
+    app.settings.cameraId = 'usb';
+    holdTilt(frame, 8);
+
+    const report = plain(app.diagnosticsReport());
+
+    assert.equal(report.format, 'head-tilt-diagnostics');
+    assert.equal(report.device.userAgent, 'Test Browser');
+    assert.equal(report.settings.deadZone, app.settings.deadZone);
+    assert.equal(report.settings.customCamera, true);
+    assert.equal('cameraId' in report.settings, false);
+    assert.deepEqual(report.speedLevels, plain(app.speedLevels));
+    assert.equal(report.recent.frames.length, app.diagnostics.frames.length);
+    assert.ok('frameToRateMs' in report.summary);
+  });
+
+  it('copies the report to the clipboard, or downloads it when that fails', async () => {
+    const { env, app } = createController();
+    const copied = [];
+    const downloads = [];
+    app.downloadFile = (name, content) => downloads.push({ name, content });
+
+    env.context.navigator.clipboard = { writeText: async (text) => copied.push(text) };
+    env.document.getElementById('copyDiagnostics').click();
+    await flush();
+    assert.equal(JSON.parse(copied[0]).format, 'head-tilt-diagnostics');
+    assert.equal(env.document.getElementById('status').textContent, 'Diagnostics report copied');
+
+    env.context.navigator.clipboard = {
+      writeText: async () => {
+        throw new Error('Document is not focused');
+      },
+    };
+    env.document.getElementById('copyDiagnostics').click();
+    await flush();
+    assert.equal(downloads.length, 1);
+    assert.match(downloads[0].name, /^diagnostics-.*\.json$/);
+    assert.equal(env.document.getElementById('status').textContent, 'Diagnostics report downloaded');
+  });
+});
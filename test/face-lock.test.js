@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, loadScripts } = require('./helpers/environment');
+const { fakeFace, holdFaces } = require('./helpers/landmarks');
+
+describe('face lock', () => {
+  it('follows the locked face as Face Mesh reorders the faces', () => {
+    const env = loadScripts();
+    const lock = new env.FaceLock();
+    const viewer = fakeFace({ x: 0.3 });
+    const other = fakeFace({ x: 0.75, scale: 0.7 });
+
+    assert.equal(lock.update([viewer, other], 4 / 3, 0).index, 0);
+    assert.equal(lock.update([other, fakeFace({ x: 0.32 })], 4 / 3, 33).index, 1);
+    assert.deepEqual({ ...lock.update([other], 4 / 3, 66) }, { index: -1, state: 'other' });
+  });
+
+  it('keeps the lock past forgetTime while someone else is in view', () => {
+    const env = loadScripts();
+    const other = fakeFace({ x: 0.75, scale: 0.7 });
+    for (const policy of ['pause', 'keepPlaying']) {
+      const lock = new env.FaceLock({ policy, forgetTime: 5000 });
+      lock.update([fakeFace({ x: 0.3 }), other], 4 / 3, 0);
+
+      assert.equal(lock.update([other], 4 / 3, 4000).state, 'other');
+      assert.equal(lock.update([other], 4 / 3, 5100).state, 'other');
+      assert.equal(lock.update([other], 4 / 3, 60000).state, 'other');
+    }
+  });
+
+  it('releases the lock after forgetTime with nobody in view', () => {
+    const env = loadScripts();
+    const lock = new env.FaceLock({ forgetTime: 5000 });
+    lock.update([fakeFace({ x: 0.3 }), fakeFace({ x: 0.75, scale: 0.7 })], 4 / 3, 0);
+
+    assert.equal(lock.update([], 4 / 3, 5100).state, 'none');
+    assert.equal(lock.update([fakeFace({ x: 0.75, scale: 0.7 })], 4 / 3, 5133).state, 'locked');
+  });
+
+  it('locks onto the viewer again when they come back somewhere else', () => {
+    const { app, player, frame } = createController();
+    app.settings.pauseGrace = 0;
+    holdFaces(frame, [fakeFace({ x: 0.3 })], 500);
+
+    holdFaces(frame, [], 1500);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+
+    player.calls.length = 0;
+    holdFaces(frame, [fakeFace({ x: 0.7 })], 500);
+    assert.equal(app.isPausing, false);
+    assert.equal(app.faceDetected, true);
+    assert.deepEqual(player.callsTo('play'), [[]]);
+  });
+});
@@ -0,0 +1,227 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { describe, it } = require('node:test');
+
+const { createController, loadScripts, flush, plain } = require('./helpers/environment');
+const { fakeFace } = require('./helpers/landmarks');
+
+const ROOT = path.join(__dirname, '..');
+
+// Worker stand-in: records what the page posts, and lets the test reply as the worker
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.listeners = {};
+    this.terminated = false;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  postMessage(message, transfer = []) {
+    this.posted.push({ message, transfer });
+  }
+
+  reply(message) {
+    (this.listeners.message || []).forEach((listener) => listener({ data: message }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  frames() {
+    return this.posted.filter(({ message }) => message.type === 'frame');
+  }
+}
+
+class FakeFaceMesh {
+  constructor(options) {
+    this.options = options;
+    this.settings = null;
+    this.sent = [];
+  }
+
+  setOptions(settings) {
+    this.settings = settings;
+  }
+
+  onResults(callback) {
+    this.results = callback;
+  }
+
+  async send(input) {
+    this.sent.push(input);
+  }
+}
+
+function createTracker(env) {
+  const worker = new FakeWorker();
+  const fallbacks = [];
+  const tracker = new env.WorkerFaceTracker(
+    { locateFile: (file) => file },
+    {
+      createWorker: () => worker,
+      createBitmap: async (image) => ({ bitmapOf: image }),
+      createFallback: (options) => {
+        fallbacks.push(new FakeFaceMesh(options));
+        return fallbacks.at(-1);
+      },
+    },
+  );
+  return { tracker, worker, fallbacks };
+}
+
+describe('landmark packing', () => {
+  it('round-trips faces through one Float32Array', () => {
+    const env = loadScripts();
+    const faces = [fakeFace({ roll: 10 }), fakeFace({ roll: -5, x: 0.3 })];
+
+    const data = env.packFaces(faces);
+    assert.equal(data.length, faces.length * faces[0].length * 3);
+
+    const unpacked = env.unpackFaces(data, faces.length);
+    assert.equal(unpacked.length, 2);
+    unpacked.forEach((landmarks, face) => {
+      landmarks.forEach((point, i) => {
+        assert.ok(Math.abs(point.x - faces[face][i].x) < 1e-6);
+        assert.ok(Math.abs(point.z - faces[face][i].z) < 1e-6);
+      });
+    });
+    assert.deepEqual(plain(env.unpackFaces(env.packFaces([]), 0)), []);
+  });
+});
+
+describe('worker face tracker', () => {
+  it('sends one frame at a time and skips frames while the worker is busy', async () => {
+    const env = loadScripts();
+    const { tracker, worker } = createTracker(env);
+    const results = [];
+    tracker.onResults((r) => results.push(r));
+    tracker.setOptions({ maxNumFaces: 2 });
+
+    assert.equal(await tracker.send({ image: 'frame 1' }), true);
+    assert.equal(await tracker.send({ image: 'frame 2' }), false);
+    assert.equal(worker.frames().length, 1);
+    const [{ message, transfer }] = worker.frames();
+    assert.equal(transfer[0], message.image);
+    assert.equal(message.image.bitmapOf, 'frame 1');
+    assert.equal(tracker.skippedFrames, 1);
+
+    const face = fakeFace({ roll: 8 });
+    worker.reply({
+      type: 'results',
+      landmarks: env.packFaces([face]),
+      faceCount: 1,
+      poses: [{ yaw: 1, pitch: 2, roll: 8 }],
+      inferenceTime: 40,
+    });
+    assert.equal(results.length, 1);
+    assert.equal(results[0].multiFaceLandmarks[0].length, face.length);
+    assert.deepEqual(plain(results[0].multiFacePoses), [{ yaw: 1, pitch: 2, roll: 8 }]);
+    assert.equal(tracker.inferenceTime, 40);
+
+    await tracker.send({ image: 'frame 3' });
+    assert.equal(worker.frames().length, 2);
+    assert.deepEqual(
+      worker.posted.slice(0, 2).map(({ message }) => message.type),
+      ['init', 'options'],
+    );
+  });
+
+  it('falls back to Face Mesh on the main thread when the worker cannot run it', async () => {
+    const env = loadScripts();
+    const { tracker, worker, fallbacks } = createTracker(env);
+    const callback = () => {};
+    tracker.onResults(callback);
+    tracker.setOptions({ maxNumFaces: 1 });
+    await tracker.send({ image: 'frame 1' });
+
+    worker.reply({ type: 'error', message: 'WebGL unavailable', fatal: true });
+    assert.equal(worker.terminated, true);
+    assert.equal(fallbacks.length, 1);
+    assert.deepEqual(plain(fallbacks[0].settings), { maxNumFaces: 1 });
+    assert.equal(fallbacks[0].results, callback);
+
+    await tracker.send({ image: 'frame 2' });
+    assert.deepEqual(plain(fallbacks[0].sent), [{ image: 'frame 2' }]);
+    assert.equal(worker.frames().length, 1);
+  });
+
+  it('keeps tracking after an error in one frame', async () => {
+    const env = loadScripts();
+    const { tracker, worker, fallbacks } = createTracker(env);
+
+    await tracker.send({ image: 'frame 1' });
+    worker.reply({ type: 'error', message: 'bad frame', fatal: false });
+    await tracker.send({ image: 'frame 2' });
+
+    assert.equal(fallbacks.length, 0);
+    assert.equal(worker.frames().length, 2);
+  });
+});
+
+describe('tracking worker', () => {
+  // tracking-worker.js in its own context, with FaceMesh replaced by one that finds the given faces
+  function startWorker(faces) {
+    const posted = [];
+    const listeners = [];
+    const context = vm.createContext({
+      console,
+      performance: { now: () => 0 },
+      postMessage: (message, transfer) => posted.push({ message, transfer }),
+      addEventListener: (type, listener) => listeners.push(listener),
+      FaceMesh: class extends FakeFaceMesh {
+        async initialize() {}
+        async send(input) {
+          super.send(input);
+          this.results({ multiFaceLandmarks: faces });
+        }
+      },
+    });
+    context.self = context;
+    context.importScripts = (...files) => {
+      files
+        .filter((file) => !file.startsWith('vendor/'))
+        .forEach((file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context));
+    };
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'tracking-worker.js'), 'utf8'), context);
+
+    const receive = (message) => Promise.all(listeners.map((listener) => listener({ data: message })));
+    return { posted, receive };
+  }
+
+  it('posts the packed landmarks and head pose of each face', async () => {
+    const faces = [fakeFace({ roll: 12 })];
+    const { posted, receive } = startWorker(faces);
+    let closed = false;
+
+    await receive({ type: 'init' });
+    await receive({ type: 'frame', image: { width: 640, height: 480, close: () => (closed = true) } });
+    await flush();
+
+    const [{ message, transfer }] = posted;
+    assert.equal(message.type, 'results');
+    assert.equal(message.faceCount, 1);
+    assert.equal(transfer.length, 1);
+    assert.equal(transfer[0], message.landmarks.buffer);
+    assert.ok(Math.abs(message.poses[0].roll - 12) < 0.5, `roll ${message.poses[0].roll}`);
+    assert.ok(closed, 'the frame bitmap is released');
+  });
+});
+
+describe('controller with worker poses', () => {
+  it('uses the head pose computed in the worker', () => {
+    const { app } = createController();
+
+    app.onFaceResults({
+      multiFaceLandmarks: [fakeFace({ roll: 0 })],
+      multiFacePoses: [{ yaw: 0, pitch: 0, roll: 12 }],
+    });
+
+    assert.equal(app.currentPose.roll, 12);
+  });
+});
@@ -0,0 +1,318 @@
+// Test environment
+// Loads the app's classic scripts into a VM context the way index.html does, with a fake DOM, storage,
+// clock and MediaPipe in place of the browser's
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { webcrypto } = require('node:crypto');
+
+const { FakePlayer } = require('./fake-player');
+
+const ROOT = path.join(__dirname, '..', '..');
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Local scripts in index.html order, without vendored MediaPipe and the startup script
+const APP_SCRIPTS = [...INDEX_HTML.matchAll(/<script src="([^"]+)"/g)]
+  .map((match) => match[1])
+  .filter((src) => !/^(?:https?:)?\/\//.test(src) && !src.startsWith('vendor/') && src !== 'main.js');
+
+// Element IDs in index.html; getElementById returns null for anything else, like the browser would
+const ELEMENT_IDS = new Set([...INDEX_HTML.matchAll(/\bid="([^"]+)"/g)].map((match) => match[1]));
+
+class FakeClassList {
+  constructor() {
+    this.names = new Set();
+  }
+
+  add(...names) {
+    names.forEach((name) => this.names.add(name));
+  }
+
+  remove(...names) {
+    names.forEach((name) => this.names.delete(name));
+  }
+
+  toggle(name, force = !this.names.has(name)) {
+    if (force) this.names.add(name);
+    else this.names.delete(name);
+    return force;
+  }
+
+  contains(name) {
+    return this.names.has(name);
+  }
+}
+
+class FakeElement {
+  constructor(tagName, id = '') {
+    this.tagName = tagName.toUpperCase();
+    this.id = id;
+    this.style = {};
+    this.dataset = {};
+    this.classList = new FakeClassList();
+    this.children = [];
+    this.listeners = {};
+    this.textContent = '';
+    this.value = '';
+    this.checked = false;
+    this.disabled = false;
+    this.files = [];
+    this.width = 300;
+    this.height = 150;
+  }
+
+  get selectedOptions() {
+    return this.children.filter((child) => child.value === this.value);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  // Fire an event at the element's listeners; props are merged into the event (e.g. { key: 'k' })
+  dispatch(type, props = {}) {
+    const event = { type, target: this, currentTarget: this, preventDefault() {}, stopPropagation() {}, ...props };
+    (this.listeners[type] || []).forEach((listener) => listener(event));
+    return event;
+  }
+
+  append(...children) {
+    this.children.push(...children);
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  replaceChildren(...children) {
+    this.children = children;
+  }
+
+  // <select>.add(option)
+  add(option) {
+    this.children.push(option);
+  }
+
+  remove() {}
+  click() {
+    this.dispatch('click');
+  }
+  focus() {}
+  setAttribute(name, value) {
+    this[name] = value;
+  }
+  setCustomValidity(message) {
+    this.validationMessage = message;
+  }
+  reportValidity() {
+    return !this.validationMessage;
+  }
+
+  // 2D context that accepts every call
+  getContext() {
+    return new Proxy(
+      {},
+      {
+        get: (target, key) => (key in target ? target[key] : key === 'measureText' ? () => ({ width: 0 }) : () => {}),
+        set: (target, key, value) => {
+          target[key] = value;
+          return true;
+        },
+      },
+    );
+  }
+}
+
+class FakeDocument {
+  constructor() {
+    this.elements = new Map();
+    this.listeners = {};
+    this.visibilityState = 'visible';
+    this.body = new FakeElement('body');
+  }
+
+  getElementById(id) {
+    if (!ELEMENT_IDS.has(id)) return null;
+    if (!this.elements.has(id)) {
+      this.elements.set(id, new FakeElement(id === 'overlay' ? 'canvas' : 'div', id));
+    }
+    return this.elements.get(id);
+  }
+
+  createElement(tagName) {
+    return new FakeElement(tagName);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+}
+
+class FakeStorage {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.entries.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Time only moves when a test advances it; timers run in order as it passes them
+class FakeClock {
+  constructor(now = 1700000000000) {
+    this.now = now;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, at: this.now + Math.max(delay, 0), interval: null });
+    return id;
+  }
+
+  setInterval(callback, interval) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, at: this.now + interval, interval });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  advance(ms) {
+    const end = this.now + ms;
+    for (;;) {
+      const due = [...this.timers.entries()].filter(([, timer]) => timer.at <= end).sort((a, b) => a[1].at - b[1].at);
+      if (due.length === 0) break;
+
+      const [id, timer] = due[0];
+      this.now = timer.at;
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.timers.delete(id);
+      }
+      timer.callback();
+    }
+    this.now = end;
+  }
+}
+
+// FaceMesh stand-in; tests deliver frames to onFaceResults themselves
+class FakeFaceMesh {
+  constructor(options) {
+    this.options = options;
+    this.settings = null;
+  }
+
+  setOptions(settings) {
+    this.settings = settings;
+  }
+
+  onResults(callback) {
+    this.results = callback;
+  }
+}
+
+// Load the app's scripts into a fresh context. Returns the context's globals (classes and constants
+// of every script, e.g. env.VideoQueue), plus document, storage and clock.
+function loadScripts({
+  storage = new FakeStorage(),
+  scripts = APP_SCRIPTS,
+  location = { href: 'https://localhost/', search: '' },
+} = {}) {
+  const clock = new FakeClock();
+  const document = new FakeDocument();
+
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    crypto: webcrypto,
+    document,
+    localStorage: storage,
+    indexedDB: undefined,
+    navigator: {},
+    location,
+    performance: { now: () => clock.now },
+    setTimeout: (callback, delay) => clock.setTimeout(callback, delay),
+    clearTimeout: (id) => clock.clearTimeout(id),
+    setInterval: (callback, interval) => clock.setInterval(callback, interval),
+    clearInterval: (id) => clock.clearTimeout(id),
+    alert() {},
+    confirm: () => true,
+    prompt: () => null,
+    addEventListener() {},
+    Option: function Option(text, value, defaultSelected, selected) {
+      return Object.assign(new FakeElement('option'), { textContent: text, value, selected });
+    },
+  });
+  context.window = context;
+  vm.runInContext('Date', context).now = () => clock.now;
+
+  for (const script of scripts) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+  }
+
+  // Top-level classes and consts aren't properties of the global object; look them up by name
+  return new Proxy(
+    { document, storage, clock, context },
+    {
+      get: (target, name) => {
+        if (name in target || typeof name !== 'string') return target[name];
+        return vm.runInContext(name, context);
+      },
+    },
+  );
+}
+
+// A controller with a ready FakePlayer and FakeFaceMesh, as after "Load Video"
+function createController(options = {}) {
+  const env = loadScripts(options);
+  const app = new env.HeadTiltController({
+    createFaceMesh: (faceMeshOptions) => new FakeFaceMesh(faceMeshOptions),
+    createCamera: () => ({ start: async () => {}, stop() {} }),
+    storage: env.storage,
+    indexedDB: undefined,
+  });
+  app.canvasElement.width = 640;
+  app.canvasElement.height = 480;
+
+  const player = app.usePlayer(FakePlayer);
+  player.markReady();
+  player.calls.length = 0;
+
+  // One camera frame with these faces (landmark arrays), at the current fake time plus ms
+  const frame = (faces, ms = 33) => {
+    env.clock.advance(ms);
+    app.onFaceResults({ multiFaceLandmarks: faces });
+  };
+
+  return { env, app, player, clock: env.clock, frame };
+}
+
+// Let pending promises and immediates settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Objects made inside the VM context have its prototypes; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadScripts, createController, flush, plain, FakeStorage, FakeClock, FakeFaceMesh, APP_SCRIPTS };
@@ -0,0 +1,112 @@
+// Fake Player
+// Playback backend with the PlayerAdapter interface (players.js) that records every call
+
+class FakePlayer {
+  constructor(host, { onReady, onStateChange } = {}) {
+    this.host = host;
+    this.onReady = onReady || (() => {});
+    this.onStateChange = onStateChange || (() => {});
+    this.continuousRates = false;
+
+    this.calls = []; // [method, ...args]
+    this.playing = true;
+    this.rate = 1;
+    this.rates = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+    this.time = 100;
+    this.duration = 600;
+    this.muted = false;
+    this.volume = 1;
+  }
+
+  markReady() {
+    this.onReady(this);
+  }
+
+  // Calls of one method, e.g. callsTo('setPlaybackRate') -> [[1.5], [2]]
+  callsTo(method) {
+    return this.calls.filter((call) => call[0] === method).map((call) => call.slice(1));
+  }
+
+  load(source) {
+    this.calls.push(['load', source]);
+  }
+
+  play() {
+    this.calls.push(['play']);
+    this.playing = true;
+  }
+
+  pause() {
+    this.calls.push(['pause']);
+    this.playing = false;
+  }
+
+  isPlaying() {
+    return this.playing;
+  }
+
+  setPlaybackRate(rate) {
+    this.calls.push(['setPlaybackRate', rate]);
+    this.rate = rate;
+  }
+
+  getPlaybackRate() {
+    return this.rate;
+  }
+
+  getAvailablePlaybackRates() {
+    return this.rates;
+  }
+
+  getVolume() {
+    return this.volume;
+  }
+
+  setVolume(volume) {
+    this.calls.push(['setVolume', volume]);
+    this.volume = volume;
+  }
+
+  getCurrentTime() {
+    return this.time;
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  seekTo(seconds) {
+    this.calls.push(['seekTo', seconds]);
+    this.time = seconds;
+  }
+
+  getTitle() {
+    return '';
+  }
+
+  getVideoId() {
+    return null;
+  }
+
+  getPlaylistPosition() {
+    return null;
+  }
+
+  playlistStep() {
+    return false;
+  }
+
+  toggleMute() {
+    this.calls.push(['toggleMute']);
+    this.muted = !this.muted;
+    return this.muted;
+  }
+
+  toggleCaptions() {
+    return null;
+  }
+
+  destroy() {}
+}
+
+module.exports = { FakePlayer };
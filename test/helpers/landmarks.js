@@ -0,0 +1,60 @@
+// Fake Landmarks
+// A frontal Face Mesh face (478 landmarks with irises) that can tilt, close its eyes, look aside and move,
+// and runs of camera frames showing it
+
+// roll: head tilt in degrees (positive = tilting right); eyes: 'open', 'closed', 'leftClosed' or 'rightClosed'
+// (camera image sides, see EYE_LANDMARKS); gaze: iris offset from -1 to 1 in image x; x/scale: position and
+// size in the image (for several faces)
+function fakeFace({ roll = 0, eyes = 'open', gaze = 0, mouth = 0, x = 0.5, scale = 1 } = {}) {
+  const landmarks = Array.from({ length: 478 }, () => ({ x, y: 0.5, z: 0 }));
+  const angle = (-roll * Math.PI) / 180;
+  const put = (index, dx, dy) => {
+    landmarks[index] = {
+      x: x + (dx * Math.cos(angle) - dy * Math.sin(angle)) * scale,
+      y: 0.5 + (dx * Math.sin(angle) + dy * Math.cos(angle)) * scale,
+      z: 0,
+    };
+  };
+
+  const lid = (closed) => (closed ? 0.001 : 0.01);
+  const leftLid = lid(eyes === 'closed' || eyes === 'leftClosed');
+  const rightLid = lid(eyes === 'closed' || eyes === 'rightClosed');
+
+  // Eyes (corners, lids, irises), forehead, chin, nose tip and mouth
+  put(33, -0.1, 0);
+  put(133, -0.04, 0);
+  [160, 158].forEach((index) => put(index, -0.07, -leftLid));
+  [144, 153].forEach((index) => put(index, -0.07, leftLid));
+  put(468, -0.07 + gaze * 0.03, 0);
+  put(263, 0.1, 0);
+  put(362, 0.04, 0);
+  [387, 385].forEach((index) => put(index, 0.07, -rightLid));
+  [373, 380].forEach((index) => put(index, 0.07, rightLid));
+  put(473, 0.07 + gaze * 0.03, 0);
+  put(10, 0, -0.15);
+  put(152, 0, 0.15);
+  put(1, 0, 0);
+  put(78, -0.05, 0.08);
+  put(308, 0.05, 0.08);
+  put(13, 0, 0.08 - mouth / 2);
+  put(14, 0, 0.08 + mouth / 2);
+
+  // Face outline, so the face has a size
+  put(234, -0.15, 0);
+  put(454, 0.15, 0);
+  return landmarks;
+}
+
+// Repeat camera frames of the same faces (landmark arrays) for ms (~30 fps); frame from createController()
+function holdFaces(frame, faces, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 33) {
+    frame(faces);
+  }
+}
+
+// Hold a head tilt for ms of camera frames
+function holdTilt(frame, roll, ms = 100) {
+  holdFaces(frame, [fakeFace({ roll })], ms);
+}
+
+module.exports = { fakeFace, holdFaces, holdTilt };
@@ -0,0 +1,188 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController } = require('./helpers/environment');
+const { holdTilt } = require('./helpers/landmarks');
+
+// Press a key on the page (target: the focused element)
+function press(env, key, target = env.document.body) {
+  const event = {
+    key,
+    target,
+    prevented: false,
+    preventDefault() {
+      this.prevented = true;
+    },
+  };
+  (env.document.listeners.keydown || []).forEach((listener) => listener(event));
+  return event;
+}
+
+// A standard-mapping gamepad with these buttons held and the left stick at x
+function gamepad({ buttons = [], x = 0 } = {}) {
+  return {
+    index: 0,
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: buttons.includes(i) })),
+    axes: [x, 0, 0, 0],
+  };
+}
+
+describe('keyboard', () => {
+  it('steps through the speed ladder and back to normal', () => {
+    const { env, app, player } = createController();
+
+    press(env, 'ArrowRight');
+    press(env, 'ArrowRight');
+    assert.equal(app.currentSpeed, 2);
+    press(env, 'ArrowLeft');
+    assert.equal(app.currentSpeed, 1.5);
+    press(env, 'ArrowDown');
+    assert.equal(app.currentSpeed, 1);
+
+    for (let i = 0; i < 10; i++) press(env, 'ArrowLeft');
+    assert.equal(app.currentSpeed, 0.5);
+    assert.deepEqual(player.callsTo('setPlaybackRate').slice(0, 4), [[1.5], [2], [1.5], [1]]);
+  });
+
+  it('seeks and plays/pauses', () => {
+    const { env, player } = createController();
+
+    press(env, 'l');
+    press(env, 'J');
+    press(env, 'J');
+    assert.deepEqual(player.callsTo('seekTo'), [[110], [100], [90]]);
+
+    const event = press(env, ' ');
+    assert.ok(event.prevented);
+    assert.deepEqual(player.callsTo('pause'), [[]]);
+    press(env, 'k');
+    assert.deepEqual(player.callsTo('play'), [[]]);
+  });
+
+  it('leaves keys to text fields, sliders and buttons', () => {
+    const { env, player } = createController();
+    const field = { tagName: 'INPUT', type: 'text' };
+    const slider = { tagName: 'INPUT', type: 'range' };
+    const button = { tagName: 'BUTTON' };
+
+    assert.equal(press(env, 'l', field).prevented, false);
+    assert.equal(press(env, 'ArrowRight', slider).prevented, false);
+    assert.equal(press(env, ' ', button).prevented, false);
+    assert.equal(press(env, 'ArrowRight', button).prevented, true);
+    assert.deepEqual(player.callsTo('seekTo'), []);
+  });
+
+  it('can be turned off', () => {
+    const { env, player } = createController();
+    const checkbox = env.document.getElementById('keyboardInput');
+    checkbox.checked = false;
+    checkbox.dispatch('change');
+
+    press(env, 'ArrowRight');
+
+    assert.deepEqual(player.callsTo('setPlaybackRate'), []);
+  });
+
+  it('keeps its speed until the head tilts', () => {
+    const { env, app, frame } = createController();
+    holdTilt(frame, 0, 300);
+
+    press(env, 'ArrowRight');
+    holdTilt(frame, 0, 300);
+    assert.equal(app.currentSpeed, 1.5);
+
+    holdTilt(frame, -10, 300);
+    assert.equal(app.currentSpeed, 0.75);
+  });
+});
+
+describe('gamepad', () => {
+  it('runs a command once per button press', () => {
+    const { app, player } = createController();
+
+    app.gamepadInput.poll([gamepad({ buttons: [15] })]);
+    app.gamepadInput.poll([gamepad({ buttons: [15] })]);
+    app.gamepadInput.poll([gamepad()]);
+    app.gamepadInput.poll([gamepad({ buttons: [15, 5] })]);
+
+    assert.equal(app.currentSpeed, 2);
+    assert.deepEqual(player.callsTo('seekTo'), [[110]]);
+  });
+
+  it('tilts with the stick, over the head, until it is released', () => {
+    const { app, player, frame } = createController();
+
+    app.gamepadInput.poll([gamepad({ x: 0.5 })]);
+    holdTilt(frame, -15, 300);
+    assert.equal(app.currentSpeed, 2);
+
+    // Full deflection reaches the skip zone
+    app.gamepadInput.poll([gamepad({ x: -1 })]);
+    assert.deepEqual(player.callsTo('seekTo'), [[90]]);
+
+    app.gamepadInput.poll([gamepad({ x: 0.1 })]);
+    assert.equal(app.axisTilt, null);
+    assert.equal(app.currentSpeed, 1);
+    holdTilt(frame, -15, 300);
+    assert.equal(app.currentSpeed, 0.75);
+  });
+
+  it('gives control back to the head when turned off with the stick pushed', () => {
+    const { env, app, frame } = createController();
+    app.gamepadInput.poll([gamepad({ x: 0.5 })]);
+    assert.equal(app.currentSpeed, 2);
+
+    const checkbox = env.document.getElementById('gamepadInput');
+    checkbox.checked = false;
+    checkbox.dispatch('change');
+
+    assert.equal(app.axisTilt, null);
+    holdTilt(frame, -15, 300);
+    assert.equal(app.currentSpeed, 0.75);
+  });
+});
+
+describe('switch scanning', () => {
+  it('steps the highlight through the on-screen controls and runs the one selected', () => {
+    const { env, app, clock } = createController();
+    const checkbox = env.document.getElementById('switchScanning');
+    checkbox.checked = true;
+    checkbox.dispatch('change');
+
+    const panel = env.document.getElementById('inputPanel');
+    const highlighted = () => panel.children.find((button) => button.classList.contains('scan-highlight'));
+    assert.equal(panel.classList.contains('hidden'), false);
+    assert.equal(highlighted().dataset.command, 'slower');
+
+    clock.advance(3000);
+    assert.equal(highlighted().dataset.command, 'faster');
+
+    // Select twice: the highlight waits a full interval after each selection
+    clock.advance(1000);
+    press(env, 'Enter');
+    clock.advance(1000);
+    press(env, 'Enter');
+    assert.equal(app.currentSpeed, 2);
+
+    checkbox.checked = false;
+    checkbox.dispatch('change');
+    assert.equal(highlighted(), undefined);
+    assert.equal(panel.classList.contains('hidden'), true);
+  });
+
+  it('shows the on-screen controls when the camera is unavailable', async () => {
+    const { env, app } = createController();
+    env.context.navigator.mediaDevices = {
+      getUserMedia: async () => {
+        throw new Error('Permission denied');
+      },
+    };
+
+    await app.startCamera();
+
+    const panel = env.document.getElementById('inputPanel');
+    assert.equal(panel.classList.contains('hidden'), false);
+    panel.children.find((button) => button.dataset.command === 'faster').click();
+    assert.equal(app.currentSpeed, 1.5);
+  });
+});
@@ -0,0 +1,159 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, loadScripts, FakeStorage, plain } = require('./helpers/environment');
+
+const env = loadScripts();
+const { VideoQueue } = env;
+
+const parseLink = (text) => plain(VideoQueue.parseLink(text));
+
+describe('VideoQueue.parseLink', () => {
+  const video = { type: 'youtube', videoId: 'dQw4w9WgXcQ' };
+
+  for (const link of [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+    'youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ?si=abc',
+    'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://www.youtube.com/embed/dQw4w9WgXcQ',
+    'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+    'https://www.youtube.com/live/dQw4w9WgXcQ',
+    'dQw4w9WgXcQ',
+  ]) {
+    it(`reads a video from ${link}`, () => {
+      assert.deepEqual(parseLink(link), video);
+    });
+  }
+
+  it('reads playlists, with the 1-based index= as a 0-based position', () => {
+    const playlistId = 'PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG';
+
+    assert.deepEqual(parseLink(`https://www.youtube.com/playlist?list=${playlistId}`), {
+      type: 'playlist',
+      playlistId,
+      index: 0,
+    });
+    assert.deepEqual(parseLink(`https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=${playlistId}&index=5`), {
+      type: 'playlist',
+      playlistId,
+      index: 4,
+      videoId: 'dQw4w9WgXcQ',
+    });
+    assert.deepEqual(parseLink(playlistId), { type: 'playlist', playlistId, index: 0 });
+  });
+
+  it('starts a shared playlist link at the video it names', () => {
+    const playlistId = 'PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG';
+    assert.deepEqual(parseLink(`https://youtu.be/9bZkp7q19f0?list=${playlistId}`), {
+      type: 'playlist',
+      playlistId,
+      index: 0,
+      videoId: '9bZkp7q19f0',
+    });
+
+    // Once YouTube has loaded the list, the player jumps to that video
+    const played = [];
+    const player = new env.YouTubePlayerAdapter(env.document.createElement('div'));
+    player.player = {
+      loadPlaylist: (playlist) => played.push(['loadPlaylist', plain(playlist)]),
+      getPlaylist: () => ['dQw4w9WgXcQ', 'kJQP7kiw5Fk', '9bZkp7q19f0'],
+      getPlaylistIndex: () => 0,
+      playVideoAt: (index) => played.push(['playVideoAt', index]),
+    };
+    player.load({ playlistId, index: 0, videoId: '9bZkp7q19f0' });
+
+    assert.equal(player.playPendingVideo(), true);
+    assert.equal(player.playPendingVideo(), false); // Only once
+    assert.deepEqual(played, [
+      ['loadPlaylist', { list: playlistId, index: 0 }],
+      ['playVideoAt', 2],
+    ]);
+  });
+
+  it('reads direct media links', () => {
+    assert.deepEqual(parseLink('https://example.com/talk.mp4'), { type: 'media', url: 'https://example.com/talk.mp4' });
+    assert.deepEqual(parseLink('https://example.com/live/stream.m3u8'), {
+      type: 'media',
+      url: 'https://example.com/live/stream.m3u8',
+    });
+  });
+
+  for (const text of [
+    'https://vimeo.com/123456',
+    'https://www.youtube.com/watch?v=tooShort',
+    'https://www.youtube.com/channel/UC123',
+    'not a link',
+    'http://',
+  ]) {
+    it(`rejects ${text}`, () => {
+      assert.equal(VideoQueue.parseLink(text), null);
+    });
+  }
+});
+
+describe('VideoQueue.parse', () => {
+  it('splits on spaces, commas and newlines and keeps what it could not read', () => {
+    const { items, invalid } = VideoQueue.parse('dQw4w9WgXcQ, https://youtu.be/9bZkp7q19f0\nnope');
+
+    assert.deepEqual(plain(items), [
+      { type: 'youtube', videoId: 'dQw4w9WgXcQ' },
+      { type: 'youtube', videoId: '9bZkp7q19f0' },
+    ]);
+    assert.deepEqual(plain(invalid), ['nope']);
+  });
+});
+
+describe('VideoQueue', () => {
+  it('survives a reload without the local files', () => {
+    const storage = new FakeStorage();
+    const queue = new VideoQueue({ storage });
+    queue.replace([
+      { type: 'file', file: { name: 'local.mp4' } },
+      { type: 'youtube', videoId: 'dQw4w9WgXcQ' },
+      { type: 'youtube', videoId: '9bZkp7q19f0' },
+    ]);
+    queue.jumpTo(2);
+
+    const reloaded = new VideoQueue({ storage });
+
+    assert.deepEqual(plain(reloaded.items), [
+      { type: 'youtube', videoId: 'dQw4w9WgXcQ' },
+      { type: 'youtube', videoId: '9bZkp7q19f0' },
+    ]);
+    assert.equal(reloaded.current.videoId, '9bZkp7q19f0');
+  });
+
+  it('moves on to the next item when the current one is removed', () => {
+    const queue = new VideoQueue({ storage: new FakeStorage() });
+    queue.replace(['a', 'b', 'c', 'd'].map((videoId) => ({ type: 'youtube', videoId })));
+    queue.jumpTo(1);
+
+    assert.equal(queue.remove(0), null); // Before the current item: the same item stays current
+    assert.equal(queue.current.videoId, 'b');
+    assert.equal(queue.remove(0).videoId, 'c');
+    assert.equal(queue.position, 0);
+    assert.equal(queue.remove(1), null);
+    assert.equal(queue.remove(0), null); // The last one: nothing left to play
+    assert.equal(queue.position, -1);
+  });
+
+  it('plays the next item when the playing one is removed from the list', () => {
+    const { env, app } = createController();
+    const played = [];
+    app.playQueueItem = (item) => played.push(item.videoId);
+    app.queue.replace(['a', 'b', 'c'].map((videoId) => ({ type: 'youtube', videoId })));
+    app.queue.jumpTo(1);
+
+    const removeButton = (index) => env.document.getElementById('queueList').children[index].children[1];
+    removeButton(0).click();
+    assert.deepEqual(played, []);
+    removeButton(0).click();
+    assert.deepEqual(played, ['c']);
+    assert.equal(app.queue.current.videoId, 'c');
+  });
+});
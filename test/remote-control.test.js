@@ -0,0 +1,316 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, loadScripts, FakeFaceMesh, flush } = require('./helpers/environment');
+const { fakeFace, holdFaces } = require('./helpers/landmarks');
+
+// The relay in server.py, in memory: installs a WebSocket class in each environment, connects sockets
+// to rooms named after the last part of their URL and passes text between the members of a room
+class FakeRelay {
+  constructor() {
+    this.rooms = new Map();
+    this.urls = [];
+  }
+
+  install(env) {
+    const relay = this;
+    env.context.WebSocket = class {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.listeners = {};
+        relay.urls.push(url);
+        Promise.resolve().then(() => relay.join(this)); // Opens after the caller added its listeners
+      }
+
+      addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+      }
+
+      emit(type, event = {}) {
+        (this.listeners[type] || []).forEach((listener) => listener(event));
+      }
+
+      send(text) {
+        relay.forward(this, text);
+      }
+
+      close() {
+        relay.leave(this, 1000);
+      }
+    };
+  }
+
+  join(socket) {
+    const code = socket.url.split('/').pop();
+    const room = this.rooms.get(code) || [];
+    this.rooms.set(code, room);
+    if (room.length >= 2) {
+      socket.readyState = 3;
+      socket.emit('close', { code: 4001 });
+      return;
+    }
+
+    room.push(socket);
+    socket.readyState = 1;
+    socket.emit('open');
+    this.announce(room);
+  }
+
+  forward(from, text) {
+    const room = [...this.rooms.values()].find((members) => members.includes(from));
+    room.filter((socket) => socket !== from).forEach((socket) => socket.emit('message', { data: text }));
+  }
+
+  leave(socket, code) {
+    const room = [...this.rooms.values()].find((members) => members.includes(socket));
+    if (!room) return;
+    room.splice(room.indexOf(socket), 1);
+    socket.readyState = 3;
+    socket.emit('close', { code });
+    this.announce(room);
+  }
+
+  // The relay going away: every connection drops
+  drop() {
+    this.rooms.forEach((room) => [...room].forEach((socket) => this.leave(socket, 1006)));
+  }
+
+  announce(room) {
+    const peers = JSON.stringify({ type: 'peers', count: room.length - 1 });
+    room.forEach((socket) => socket.emit('message', { data: peers }));
+  }
+}
+
+// A screen showing code ABC234 and a phone controlling it, both connected
+async function pair() {
+  const relay = new FakeRelay();
+  const screen = createController();
+  const sensor = createController();
+  relay.install(screen.env);
+  relay.install(sensor.env);
+
+  screen.app.startRemoteScreen('ABC234');
+  await flush();
+  sensor.app.joinRemoteScreen('ABC234');
+  await flush();
+  screen.player.calls.length = 0;
+  return { relay, screen, sensor };
+}
+
+describe('pairing codes', () => {
+  it('creates codes without look-alike characters and reads them back leniently', () => {
+    const env = loadScripts();
+
+    const code = env.createPairingCode();
+    assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+    assert.equal(
+      env.createPairingCode((count) => Array.from({ length: count }, (_, i) => i)),
+      'ABCDEF',
+    );
+
+    assert.equal(env.normalizePairingCode(' abc-234 '), 'ABC234');
+    assert.equal(env.normalizePairingCode('ABC23'), null);
+    assert.equal(env.normalizePairingCode('ABC10O'), null);
+  });
+
+  it('finds the relay on the page server unless another one is set', () => {
+    const env = loadScripts();
+    const location = { href: 'https://192.168.1.20:8000/index.html?pair=XYZ234#top' };
+
+    assert.equal(env.relayUrl('ABC234', '', location), 'wss://192.168.1.20:8000/relay/ABC234');
+    assert.equal(env.relayUrl('ABC234', '', { href: 'http://localhost:8000/' }), 'ws://localhost:8000/relay/ABC234');
+    assert.equal(env.relayUrl('ABC234', 'wss://relay.example/relay/', location), 'wss://relay.example/relay/ABC234');
+    assert.equal(env.pairingLink('ABC234', location), 'https://192.168.1.20:8000/index.html?pair=ABC234');
+  });
+});
+
+describe('QR code', () => {
+  it('grows the version with the text and draws the finder patterns', () => {
+    const env = loadScripts();
+
+    const small = env.encodeQrCode('ABC234');
+    assert.equal(small.size, 21);
+    const link = env.encodeQrCode('https://192.168.1.20:8000/?pair=ABC234');
+    assert.equal(link.size, 29);
+
+    // Finder pattern: dark ring, light ring, dark 3x3 center (checked along the middle row)
+    for (const [x, y] of [
+      [0, 0],
+      [link.size - 7, 0],
+      [0, link.size - 7],
+    ]) {
+      const row = link.modules[y + 3].slice(x, x + 7);
+      assert.deepEqual([...row], [true, false, true, true, true, false, true]);
+    }
+    assert.equal(link.modules[link.size - 8][8], true); // The always-dark module
+
+    assert.throws(() => env.encodeQrCode('x'.repeat(300)), /Too long/);
+  });
+});
+
+describe('remote link', () => {
+  it('reconnects when the relay drops, and keeps trying a full room for a while', async () => {
+    const relay = new FakeRelay();
+    const env = loadScripts();
+    relay.install(env);
+    const statuses = [];
+    const peers = [];
+    const link = new env.RemoteLink('wss://host/relay/ABC234', {
+      onStatus: (status) => statuses.push(status),
+      onPeers: (count) => peers.push(count),
+    });
+
+    link.connect();
+    await flush();
+    assert.equal(link.send({ type: 'call' }), false); // Nobody to send to
+
+    relay.drop();
+    env.clock.advance(env.REMOTE_RECONNECT_DELAY);
+    await flush();
+    assert.deepEqual(statuses, ['connected', 'reconnecting', 'connected']);
+    assert.equal(relay.urls.length, 2);
+
+    // Two others took the room meanwhile; one of them goes away a little later
+    relay.drop();
+    const stale = { url: '/ABC234', emit() {} };
+    relay.join(stale);
+    relay.join({ url: '/ABC234', emit() {} });
+    env.clock.advance(env.REMOTE_RECONNECT_DELAY);
+    await flush();
+    assert.equal(statuses.at(-1), 'full');
+    env.clock.advance(env.REMOTE_FULL_RETRY_DELAY);
+    await flush();
+    assert.deepEqual(statuses.slice(-2), ['full', 'full']);
+    assert.deepEqual(peers, []);
+
+    relay.leave(stale, 1006);
+    env.clock.advance(env.REMOTE_FULL_RETRY_DELAY);
+    await flush();
+    assert.equal(statuses.at(-1), 'connected');
+    assert.deepEqual(peers, [1]);
+  });
+
+  it('gives up on a room that stays full', async () => {
+    const relay = new FakeRelay();
+    const env = loadScripts();
+    relay.install(env);
+    relay.join({ url: '/ABC234', emit() {} });
+    relay.join({ url: '/ABC234', emit() {} });
+    const link = new env.RemoteLink('wss://host/relay/ABC234');
+
+    link.connect();
+    await flush();
+    for (let retry = 0; retry < env.REMOTE_FULL_RETRIES + 3; retry++) {
+      env.clock.advance(env.REMOTE_FULL_RETRY_DELAY);
+      await flush();
+    }
+    assert.equal(link.closed, true);
+    assert.equal(relay.urls.length, env.REMOTE_FULL_RETRIES + 1);
+  });
+});
+
+describe('remote screen', () => {
+  it('shows the pairing code and a QR code, and stops tracking faces', () => {
+    const relay = new FakeRelay();
+    const { env, app } = createController();
+    relay.install(env);
+
+    app.startRemoteScreen('ABC234');
+
+    assert.equal(env.document.getElementById('remotePairingCode').textContent, 'ABC 234');
+    assert.equal(env.document.getElementById('remotePairing').classList.contains('hidden'), false);
+    assert.equal(env.document.body.classList.contains('remote-screen'), true);
+    assert.equal(relay.urls[0], 'wss://localhost/relay/ABC234');
+  });
+
+  it('plays what the phone decides: speed, seeks and auto-pause', async () => {
+    const { screen, sensor } = await pair();
+
+    assert.equal(sensor.app.player.constructor.name, 'RemotePlayer');
+    assert.equal(sensor.app.playerReady, true);
+    assert.deepEqual([...sensor.app.player.getAvailablePlaybackRates()], screen.player.rates);
+
+    sensor.app.settings.pauseGrace = 0;
+    holdFaces(sensor.frame, [fakeFace({ roll: 8 })], 300);
+    assert.deepEqual(screen.player.callsTo('setPlaybackRate'), [[1.5]]);
+
+    const time = sensor.app.player.getCurrentTime(); // Moved on from the screen's 100s while the head tilted
+    sensor.app.seekBy(10);
+    assert.deepEqual(screen.player.callsTo('seekTo'), [[time + 10]]);
+
+    holdFaces(sensor.frame, [], 1300);
+    assert.deepEqual(screen.player.callsTo('pause'), [[]]);
+    assert.equal(sensor.app.player.isPlaying(), false);
+  });
+
+  it('reports the screen player state to the phone', async () => {
+    const { screen, sensor } = await pair();
+    const changes = [];
+    sensor.app.onPlayerStateChange = (state) => changes.push(state);
+
+    screen.player.time = 300;
+    screen.player.playing = false;
+    screen.app.onPlayerStateChange(screen.env.PlayerState.PAUSED);
+
+    assert.equal(sensor.app.player.getCurrentTime(), 300);
+    assert.deepEqual(changes, ['paused']);
+    assert.equal(screen.app.watchSession, null); // The phone keeps the history
+  });
+
+  it('loads queued videos on the screen', async () => {
+    const { screen, sensor } = await pair();
+    const loaded = [];
+    screen.app.playQueueItem = (item) => loaded.push(JSON.parse(JSON.stringify(item)));
+
+    sensor.app.playQueueItem({ type: 'youtube', videoId: 'dQw4w9WgXcQ' });
+    sensor.app.playQueueItem({ type: 'file', file: { name: 'local.mp4', size: 1 } });
+
+    assert.deepEqual(loaded, [{ type: 'youtube', videoId: 'dQw4w9WgXcQ' }]);
+    assert.equal(sensor.env.document.getElementById('status').textContent, 'Open local files on the screen itself');
+  });
+
+  it('lets only one phone control a screen', async () => {
+    const { relay } = await pair();
+    const other = createController();
+    relay.install(other.env);
+
+    other.app.joinRemoteScreen('ABC234');
+    await flush();
+
+    const status = other.env.document.getElementById('status');
+    assert.equal(status.textContent, 'Screen ABC234 already has a phone connected - retrying');
+
+    for (let retry = 0; retry < other.env.REMOTE_FULL_RETRIES; retry++) {
+      other.clock.advance(other.env.REMOTE_FULL_RETRY_DELAY);
+      await flush();
+    }
+    assert.equal(status.textContent, 'Screen ABC234 already has a phone connected');
+  });
+
+  it('goes back to the local player when the phone disconnects', async () => {
+    const { screen, sensor } = await pair();
+
+    sensor.app.stopRemote();
+
+    assert.equal(sensor.app.player, null);
+    assert.equal(sensor.app.playerReady, false);
+    assert.equal(screen.env.document.getElementById('status').textContent, 'Phone disconnected');
+  });
+
+  it('joins the screen from the QR code link', async () => {
+    const relay = new FakeRelay();
+    const env = loadScripts({ location: { href: 'https://localhost/?pair=abc234', search: '?pair=abc234' } });
+    relay.install(env);
+
+    const app = new env.HeadTiltController({
+      createFaceMesh: (options) => new FakeFaceMesh(options),
+      createCamera: () => ({ start: async () => {}, stop() {} }),
+      storage: env.storage,
+    });
+    await flush();
+
+    assert.equal(app.remote.role, 'sensor');
+    assert.equal(relay.urls[0], 'wss://localhost/relay/ABC234');
+  });
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController } = require('./helpers/environment');
+const { fakeFace } = require('./helpers/landmarks');
+
+describe('session recording', () => {
+  it('replays to the same tilts and rates it recorded', () => {
+    const recorded = createController();
+    recorded.app.recorder.start({ width: 640, height: 480, profile: 'Default' });
+    for (const roll of [0, 4, 8, 12, 16, 12, 8, 0, -6, -12, -18, -12, 0]) {
+      recorded.frame([fakeFace({ roll })], 100);
+    }
+    recorded.frame([], 100);
+    const recording = recorded.env.SessionRecorder.parse(JSON.stringify(recorded.app.recorder.stop()));
+
+    const replayed = createController();
+    const start = replayed.clock.now;
+    const outcomes = [];
+    replayed.env.SessionReplay.runAll(recording, (results, frame) => {
+      replayed.clock.advance(start + frame.t - replayed.clock.now);
+      replayed.app.onFaceResults(results);
+      outcomes.push({
+        tilt: replayed.app.faceDetected ? replayed.app.currentTilt : null,
+        rate: replayed.app.currentSpeed,
+      });
+    });
+
+    assert.equal(outcomes.length, recording.frames.length);
+    outcomes.forEach((outcome, i) => {
+      const frame = recording.frames[i];
+      assert.equal(outcome.rate, frame.rate, `rate at ${frame.t} ms`);
+      if (frame.tilt === null) {
+        assert.equal(outcome.tilt, null);
+      } else {
+        assert.ok(Math.abs(outcome.tilt - frame.tilt) < 0.05, `tilt at ${frame.t} ms`);
+      }
+    });
+    assert.ok(
+      recording.frames.some((frame) => frame.rate !== 1),
+      'the recording changes speed',
+    );
+  });
+
+  it('rejects files that are not recordings', () => {
+    const { env } = createController();
+
+    assert.throws(() => env.SessionRecorder.parse('{'), /invalid JSON/);
+    assert.throws(() => env.SessionRecorder.parse('{"format":"other"}'), /Not a valid recording/);
+    assert.throws(
+      () => env.SessionRecorder.parse(JSON.stringify({ format: env.RECORDING_FILE_FORMAT, version: 99, frames: [] })),
+      /newer version/,
+    );
+  });
+});
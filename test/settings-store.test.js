@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, plain } = require('./helpers/environment');
+
+// An exported profile file with these settings and speed levels
+function profileFile(settings, speedLevels = [0.5, 1, 2]) {
+  return JSON.stringify({
+    format: 'head-tilt-controller-profile',
+    schemaVersion: 1,
+    name: 'Edited',
+    profile: { settings, speedLevels, gestureProfile: 'Default' },
+  });
+}
+
+describe('settings profile import', () => {
+  it('round-trips an exported profile', () => {
+    const { app } = createController();
+    app.settings.deadZone = 5;
+    app.saveSettings();
+
+    const { profile } = app.settingsStore.parseExport(app.settingsStore.exportProfile('Default'));
+
+    assert.deepEqual(plain(profile), plain(app.settingsStore.getProfile()));
+  });
+
+  it('clamps numbers to what the controls allow and drops values they do not offer', () => {
+    const { app } = createController();
+    const { profile } = app.settingsStore.parseExport(
+      profileFile({
+        deadZone: 99,
+        sensitivity: -1,
+        pauseDelay: 'soon',
+        processingFps: 1000,
+        otherFacePolicy: 'ignore',
+        tiltFilter: 'median',
+        showCamera: 'yes',
+        scrubSteps: [10, -30],
+        customCurve: [[0, 'fast']],
+        calibratedRange: { left: -12 },
+        filterParams: { ema: { alpha: 7 } },
+        normalSpeed: 1.1,
+        unknownSetting: true,
+      }),
+    );
+
+    const defaults = app.settingsStore.defaults.settings;
+    assert.equal(profile.settings.deadZone, 15);
+    assert.equal(profile.settings.sensitivity, 0.5);
+    assert.equal(profile.settings.pauseDelay, defaults.pauseDelay);
+    assert.equal(profile.settings.processingFps, 0);
+    assert.equal(profile.settings.otherFacePolicy, 'pause');
+    assert.equal(profile.settings.tiltFilter, 'none');
+    assert.equal(profile.settings.showCamera, true);
+    assert.deepEqual(plain(profile.settings.scrubSteps), plain(defaults.scrubSteps));
+    assert.deepEqual(plain(profile.settings.customCurve), plain(defaults.customCurve));
+    assert.equal(profile.settings.calibratedRange, null);
+    assert.equal(profile.settings.filterParams.ema.alpha, 1);
+    assert.equal(profile.settings.normalSpeed, 1); // The closest level
+    assert.equal('unknownSetting' in profile.settings, false);
+  });
+
+  it('sorts the speed levels and rejects levels it cannot use', () => {
+    const store = createController().app.settingsStore;
+
+    assert.deepEqual(plain(store.parseExport(profileFile({}, [2, 0.5, 1])).profile.speedLevels), [0.5, 1, 2]);
+    assert.throws(() => store.parseExport(profileFile({}, [])), /Invalid speed levels/);
+    assert.throws(() => store.parseExport(profileFile({}, ['fast', 1])), /Invalid speed levels/);
+    assert.throws(() => store.parseExport(profileFile({}, [1, 1])), /Invalid speed levels/);
+    assert.throws(() => store.parseExport(profileFile({}, 'fast')), /Invalid speed levels/);
+  });
+
+  it('does not apply a corrupted profile', async () => {
+    const { env, app } = createController();
+    const alerts = [];
+    env.context.alert = (message) => alerts.push(message);
+    const levels = plain(app.speedLevels);
+
+    await app.importSettingsProfile({ text: async () => profileFile({ deadZone: 5 }, [0, 1]) });
+
+    assert.match(alerts[0], /Invalid speed levels/);
+    assert.deepEqual(plain(app.speedLevels), levels);
+    assert.deepEqual(plain(app.settingsStore.listProfiles()), ['Default']);
+  });
+
+  it('rejects the whole file when its gesture mapping is not usable', async () => {
+    const { env, app } = createController();
+    const alerts = [];
+    env.context.alert = (message) => alerts.push(message);
+    const mappings = plain(app.gestureMapper.listProfiles());
+    const withMapping = (definition) => {
+      const file = JSON.parse(profileFile({ deadZone: 5 }));
+      file.gestureMapping = { name: 'Hand edited', definition };
+      return JSON.stringify(file);
+    };
+
+    for (const definition of [
+      { holdTime: 1500, bindings: { nod: { action: 'explode' } } },
+      { holdTime: 1500, bindings: { sneeze: { action: 'pause' } } },
+      { holdTime: 1500, bindings: { nod: { action: 'speedLadder' } } },
+      { holdTime: 1500, bindings: { nod: { action: 'seek', param: 6000 } } },
+      { holdTime: 1500, bindings: { tiltLeft: { action: 'setRate', param: 'fast' } } },
+      { holdTime: 'long', bindings: {} },
+      { holdTime: 1500 },
+    ]) {
+      await app.importSettingsProfile({ text: async () => withMapping(definition) });
+    }
+
+    assert.equal(alerts.length, 7);
+    assert.deepEqual(plain(app.gestureMapper.listProfiles()), mappings);
+    assert.deepEqual(plain(app.settingsStore.listProfiles()), ['Default']);
+    assert.notEqual(app.settings.deadZone, 5);
+  });
+});
+
+describe('settings store', () => {
+  it('migrates an unversioned settings object', () => {
+    const store = createController().app.settingsStore;
+
+    const { name, profile } = store.parseExport(JSON.stringify({ deadZone: 6 }));
+
+    assert.equal(name, 'Imported');
+    assert.equal(profile.settings.deadZone, 6);
+    assert.deepEqual(plain(profile.speedLevels), plain(store.defaults.speedLevels));
+  });
+});
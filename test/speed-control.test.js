@@ -0,0 +1,247 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController } = require('./helpers/environment');
+const { fakeFace, holdTilt } = require('./helpers/landmarks');
+
+describe('tilt to speed (levels)', () => {
+  it('stays at 1.0x inside the idle zone', () => {
+    const { app, player, frame } = createController();
+
+    holdTilt(frame, 2.5);
+    holdTilt(frame, -2.5);
+
+    assert.equal(app.currentSpeed, 1);
+    assert.deepEqual(player.callsTo('setPlaybackRate'), []);
+  });
+
+  it('steps up to the right and down to the left', () => {
+    const { app, frame } = createController();
+
+    holdTilt(frame, 8); // 5° past the idle zone: one level up
+    assert.equal(app.currentSpeed, 1.5);
+    holdTilt(frame, 15);
+    assert.equal(app.currentSpeed, 2);
+
+    holdTilt(frame, 0);
+    assert.equal(app.currentSpeed, 1);
+
+    holdTilt(frame, -10);
+    assert.equal(app.currentSpeed, 0.75);
+    holdTilt(frame, -20);
+    assert.equal(app.currentSpeed, 0.5);
+  });
+
+  it('applies a level change to the player once', () => {
+    const { player, frame } = createController();
+
+    holdTilt(frame, 8, 500);
+
+    assert.deepEqual(player.callsTo('setPlaybackRate'), [[1.5]]);
+  });
+
+  it('needs a bigger change to step back toward normal (hysteresis)', () => {
+    const { app, frame } = createController();
+
+    // From the center, 9° is one level up
+    holdTilt(frame, 9);
+    assert.equal(app.currentLevelIndex, 3);
+
+    // Coming back from two levels up, 9° keeps the higher level; 8° drops it
+    holdTilt(frame, 15);
+    assert.equal(app.currentLevelIndex, 4);
+    holdTilt(frame, 9);
+    assert.equal(app.currentLevelIndex, 4);
+    holdTilt(frame, 8);
+    assert.equal(app.currentLevelIndex, 3);
+  });
+
+  it('snaps levels to the rates the player supports', () => {
+    const { app, player, frame } = createController();
+    player.rates = [0.5, 1, 1.25, 2];
+
+    holdTilt(frame, 8); // 1.5x level
+
+    assert.equal(app.currentSpeed, 1.25);
+  });
+
+  it('follows the calibrated neutral tilt', () => {
+    const { app, frame } = createController();
+    app.settings.tiltOffset = 10;
+
+    holdTilt(frame, 10);
+    assert.equal(app.currentSpeed, 1);
+    holdTilt(frame, 18);
+    assert.equal(app.currentSpeed, 1.5);
+  });
+});
+
+describe('speed ladder', () => {
+  // Edit the ladder the way the settings panel does
+  function editLadder(env, levels, normal) {
+    const input = env.document.getElementById('speedLevels');
+    input.value = levels;
+    input.dispatch('change');
+    if (normal !== undefined) {
+      const select = env.document.getElementById('normalSpeed');
+      select.value = normal;
+      select.dispatch('change');
+    }
+  }
+
+  it('spreads any number of slower and faster levels over the tilt range', () => {
+    const { env, app, frame } = createController();
+    editLadder(env, '0.75, 1, 1.25, 1.5, 1.75, 2', '1');
+    assert.equal(app.normalIndex, 1);
+
+    holdTilt(frame, 0);
+    assert.equal(app.currentSpeed, 1);
+    holdTilt(frame, 8); // 5° of 25°: first of five faster levels
+    assert.equal(app.currentSpeed, 1.25);
+    holdTilt(frame, 26);
+    assert.equal(app.currentSpeed, 2);
+
+    holdTilt(frame, 0);
+    holdTilt(frame, -8); // A single slower level: any tilt past the idle zone
+    assert.equal(app.currentSpeed, 0.75);
+  });
+
+  it('plays the normal level at neutral tilt', () => {
+    const { env, app, player, frame } = createController();
+    editLadder(env, '1, 1.25, 1.5, 2', '1.25');
+
+    holdTilt(frame, 0);
+    assert.equal(app.currentSpeed, 1.25);
+    assert.deepEqual(player.callsTo('setPlaybackRate'), [[1.25]]);
+    holdTilt(frame, -10);
+    assert.equal(app.currentSpeed, 1);
+  });
+
+  it('keeps the ladder in the settings profile', () => {
+    const { env, app } = createController();
+    editLadder(env, '2, 1, 0.5', '2');
+
+    const reloaded = createController({ storage: env.storage });
+    assert.deepEqual([...reloaded.app.speedLevels], [0.5, 1, 2]);
+    assert.equal(reloaded.app.settings.normalSpeed, 2);
+    assert.equal(app.currentLevelIndex, 2);
+  });
+
+  it('rejects ladders it cannot use', () => {
+    const { env, app } = createController();
+    const input = env.document.getElementById('speedLevels');
+
+    for (const text of ['1', '1, fast', '1, 1, 2', '0, 1', '1, 20']) {
+      input.value = text;
+      input.dispatch('change');
+      assert.ok(input.validationMessage, text);
+    }
+    assert.deepEqual([...app.speedLevels], [0.5, 0.75, 1, 1.5, 2, 3, 4]);
+  });
+
+  it('names the levels the player cannot play as they are', () => {
+    const { env } = createController();
+
+    assert.equal(
+      env.document.getElementById('speedLadderHint').textContent,
+      '2 slower, 4 faster · this player plays 3x as 2x, 4x as 2x',
+    );
+  });
+});
+
+describe('tilt to speed (continuous)', () => {
+  it('follows the curve, rounded to the supported rates', () => {
+    const { app, player, frame } = createController();
+    app.settings.speedMode = 'continuous';
+    app.settings.speedCurve = 'linear';
+    player.rates = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+    holdTilt(frame, 28, 500); // Just short of the skip zone: close to the fastest rate
+    assert.equal(app.currentSpeed, 2);
+
+    holdTilt(frame, 0, 500);
+    assert.equal(app.currentSpeed, 1);
+  });
+
+  it('limits how often the rate changes', () => {
+    const { app, player, frame } = createController();
+    app.settings.speedMode = 'continuous';
+    player.continuousRates = true;
+
+    // A slow sweep changes the target on every frame: ~40 frames over 1.3 s
+    for (let roll = 5; roll < 25; roll += 0.5) {
+      frame([fakeFace({ roll })]);
+    }
+
+    // At most one change per 250 ms
+    const changes = player.callsTo('setPlaybackRate').length;
+    assert.ok(changes > 1 && changes <= 6, `${changes} rate changes`);
+  });
+});
+
+describe('skip zone', () => {
+  it('seeks by the bound amount, at most once per skip interval', () => {
+    const { player, frame } = createController();
+
+    holdTilt(frame, 30, 495);
+    assert.deepEqual(player.callsTo('seekTo'), [[110]]);
+
+    holdTilt(frame, 30, 66);
+    assert.deepEqual(player.callsTo('seekTo'), [[110], [120]]);
+  });
+
+  it('seeks back to the left', () => {
+    const { player, frame } = createController();
+
+    holdTilt(frame, -30, 33);
+
+    assert.deepEqual(player.callsTo('seekTo'), [[90]]);
+  });
+
+  it('fires a hold gesture once per visit to the zone', () => {
+    const { app, frame } = createController();
+    app.gestureMapper.selectProfile('Playlist'); // holdRight: next video after 1 s
+    let nextVideos = 0;
+    app.playNext = () => nextVideos++;
+
+    holdTilt(frame, 30, 3000);
+    assert.equal(nextVideos, 1);
+
+    holdTilt(frame, 0);
+    holdTilt(frame, 30, 1100);
+    assert.equal(nextVideos, 2);
+  });
+
+  it('scrubs in growing steps while the zone is held', () => {
+    const { app, player, frame } = createController();
+    app.settings.skipMode = 'scrub';
+    app.settings.scrubSteps = [10, 30, 60];
+    app.settings.scrubStepTime = 1500;
+    player.duration = 10000;
+
+    holdTilt(frame, 30, 4000);
+
+    const jumps = player.callsTo('seekTo').map(([target], i, calls) => target - (i ? calls[i - 1][0] : 100));
+    assert.deepEqual(jumps.slice(0, 3), [10, 10, 10]);
+    assert.ok(jumps.includes(30));
+    assert.equal(jumps[jumps.length - 1], 60);
+  });
+});
+
+describe('tilt filter', () => {
+  it('keeps every parameter when several sliders are moved', () => {
+    const { app, env } = createController();
+    const select = env.document.getElementById('tiltFilter');
+    select.value = 'kalman';
+    select.dispatch('change', { target: { value: 'kalman' } });
+
+    const sliders = env.document.getElementById('filterParams').children.map((row) => row.children[1]);
+    const slider = (id) => sliders.find((s) => s.id === id);
+    slider('filter-processNoise').value = '120';
+    slider('filter-processNoise').dispatch('input');
+    slider('filter-measurementNoise').value = '3.5';
+    slider('filter-measurementNoise').dispatch('input');
+
+    assert.deepEqual({ ...app.settings.filterParams.kalman }, { processNoise: 120, measurementNoise: 3.5 });
+  });
+});
@@ -0,0 +1,235 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createController, loadScripts, flush, plain } = require('./helpers/environment');
+const { holdTilt } = require('./helpers/landmarks');
+
+const NOON = new Date(2026, 9, 19, 12).getTime(); // Local time, so the day doesn't depend on the time zone
+
+// UsageStats in memory, in place of IndexedDB
+function memoryStats(env) {
+  const records = new Map();
+  return {
+    records,
+    add: async (tallies) => tallies.forEach((t) => records.set(t.key, env.UsageStats.merge(records.get(t.key), t))),
+    list: async () => [...records.values()],
+    clear: async () => records.clear(),
+  };
+}
+
+describe('usage recorder', () => {
+  it('counts sessions, skips, pauses and time at each speed per day and video', () => {
+    const env = loadScripts();
+    const recorder = new env.UsageRecorder();
+
+    recorder.skipped(10, NOON); // No video yet: not counted
+    recorder.startVideo('youtube:abc', 'Cooking', NOON);
+    recorder.startVideo('youtube:abc', 'Cooking', NOON + 1000); // Same video again: same session
+    for (let t = NOON; t <= NOON + 10000; t += 1000) recorder.tick(1, t);
+    for (let t = NOON + 11000; t <= NOON + 15000; t += 1000) recorder.tick(1.5, t);
+    recorder.skipped(10, NOON + 16000);
+    recorder.skipped(-10, NOON + 17000);
+    recorder.skipped(-5, NOON + 18000);
+    recorder.paused(NOON + 19000);
+    recorder.speedChanged(NOON + 20000);
+
+    const [tally] = plain(recorder.take());
+    assert.equal(tally.day, '2026-10-19');
+    assert.equal(tally.video, 'youtube:abc');
+    assert.equal(tally.title, 'Cooking');
+    assert.deepEqual(tally.speedTime, { 1: 10, 1.5: 5 }); // A tick counts the time since the last one at its rate
+    assert.equal(tally.sessions, 1);
+    assert.equal(tally.sessionTime, 15);
+    assert.equal(tally.longestSession, 15);
+    assert.equal(tally.skipsForward, 1);
+    assert.equal(tally.skipsBack, 2);
+    assert.equal(tally.pauses, 1);
+    assert.equal(tally.speedChanges, 1);
+    assert.deepEqual(plain(recorder.take()), []);
+  });
+
+  it('does not count time across a pause', () => {
+    const env = loadScripts();
+    const recorder = new env.UsageRecorder();
+    recorder.startVideo('media:a', 'A', NOON);
+
+    recorder.tick(1, NOON);
+    recorder.tick(1, NOON + 1000);
+    recorder.pause();
+    recorder.tick(1, NOON + 60000);
+    recorder.tick(1, NOON + 61000);
+
+    assert.equal(recorder.take()[0].sessionTime, 2);
+  });
+
+  it('starts a new record at midnight and a new session with another video', () => {
+    const env = loadScripts();
+    const recorder = new env.UsageRecorder();
+    const midnight = new Date(2026, 9, 20).getTime();
+
+    recorder.startVideo('media:a', 'A', midnight - 2000);
+    recorder.tick(1, midnight - 2000);
+    recorder.tick(1, midnight - 1000);
+    recorder.tick(1, midnight + 1000);
+    recorder.startVideo('media:b', 'B', midnight + 2000);
+
+    const tallies = plain(recorder.take());
+    assert.deepEqual(
+      tallies.map((t) => [t.day, t.video, t.sessions, t.sessionTime, t.longestSession]),
+      [
+        ['2026-10-19', 'media:a', 1, 1, 1],
+        ['2026-10-20', 'media:a', 0, 2, 3],
+        ['2026-10-20', 'media:b', 1, 0, 0],
+      ],
+    );
+  });
+});
+
+describe('usage summaries', () => {
+  function records(env) {
+    const record = (day, video, title, fields) => ({ ...env.UsageStats.createRecord(day, video, title), ...fields });
+    return [
+      record('2026-10-18', 'media:a', 'A', { sessions: 1, sessionTime: 60, longestSession: 60, speedTime: { 1: 60 } }),
+      record('2026-10-19', 'media:a', 'A', { sessions: 2, sessionTime: 30, longestSession: 20, speedTime: { 2: 30 } }),
+      record('2026-10-19', 'media:b', 'B, part "2"', { sessions: 1, sessionTime: 100, skipsForward: 3, pauses: 1 }),
+    ];
+  }
+
+  it('adds up records per day, newest first', () => {
+    const env = loadScripts();
+    const rows = plain(env.UsageStats.summarize(records(env), 'day'));
+
+    assert.deepEqual(
+      rows.map((r) => [r.label, r.sessions, r.sessionTime, r.longestSession, r.skipsForward]),
+      [
+        ['2026-10-19', 3, 130, 20, 3],
+        ['2026-10-18', 1, 60, 60, 0],
+      ],
+    );
+    assert.equal(rows[0].key, undefined);
+  });
+
+  it('adds up records per video, most watched first', () => {
+    const env = loadScripts();
+    const rows = plain(env.UsageStats.summarize(records(env), 'video'));
+
+    assert.deepEqual(
+      rows.map((r) => [r.label, r.sessions, r.sessionTime]),
+      [
+        ['B, part "2"', 1, 100],
+        ['A', 3, 90],
+      ],
+    );
+    assert.deepEqual(rows[1].speedTime, { 1: 60, 2: 30 });
+  });
+
+  it('exports one CSV line per day and video, with a column per speed', () => {
+    const env = loadScripts();
+    const lines = env.UsageStats.toCSV(records(env)).trim().split('\r\n');
+
+    assert.equal(lines.length, 4);
+    assert.equal(
+      lines[0],
+      'day,video,title,sessions,watched (s),longest session (s),speed changes,skips forward,skips back,auto-pauses,at 1x (s),at 2x (s)',
+    );
+    assert.equal(lines[1], '2026-10-18,media:a,A,1,60,60,0,0,0,0,60,0');
+    assert.equal(lines[3], '2026-10-19,media:b,"B, part ""2""",1,100,0,0,3,0,1,0,0');
+  });
+
+  it('keeps titles from being read as spreadsheet formulas', () => {
+    const env = loadScripts();
+    const record = env.UsageStats.createRecord('2026-10-19', 'media:x', '=HYPERLINK("x")');
+
+    assert.match(env.UsageStats.toCSV([record]), /,"'=HYPERLINK\(""x""\)",/);
+  });
+});
+
+describe('usage stats in the controller', () => {
+  function startVideo(env, app) {
+    app.queue.add([{ type: 'media', url: 'https://example.com/talk.mp4' }]);
+    app.queue.jumpTo(0);
+    app.onPlayerStateChange(env.PlayerState.PLAYING);
+  }
+
+  it('records speed changes, skips, auto-pauses and time at each speed', async () => {
+    const { env, app, clock, frame } = createController();
+    app.usageStats = memoryStats(env);
+    app.settings.pauseGrace = 0;
+    startVideo(env, app);
+
+    holdTilt(frame, 15, 300); // Up two levels
+    clock.advance(5000); // Ticks at 2x (one save)
+    app.seekBy(10);
+    app.seekBy(-10);
+    holdTilt(frame, 0, 200);
+    app.startPause();
+    app.saveUsage();
+    await flush();
+
+    const [record] = plain([...app.usageStats.records.values()]);
+    assert.equal(record.video, 'media:https://example.com/talk.mp4');
+    assert.equal(record.sessions, 1);
+    assert.ok(record.speedTime['2'] >= 4, JSON.stringify(record.speedTime));
+    assert.ok(record.speedChanges >= 2);
+    assert.equal(record.skipsForward, 1);
+    assert.equal(record.skipsBack, 1);
+    assert.equal(record.pauses, 1);
+  });
+
+  it('shows the stats table while the panel is open', async () => {
+    const { env, app, clock } = createController();
+    app.usageStats = memoryStats(env);
+    startVideo(env, app);
+    clock.advance(5000);
+    await flush();
+
+    const panel = env.document.getElementById('statsPanel');
+    panel.open = true;
+    panel.dispatch('toggle');
+    await flush();
+
+    const table = env.document.getElementById('statsTable');
+    assert.deepEqual(
+      table.children[0].children.map((cell) => cell.textContent),
+      ['Day', 'Watched', 'Sessions', 'Time at each speed', 'Skips', 'Auto-pauses'],
+    );
+    assert.equal(table.children[1].children[1].textContent, '4s');
+
+    const group = env.document.getElementById('statsGroup');
+    group.value = 'video';
+    group.dispatch('change');
+    await flush();
+    assert.equal(table.children[1].children[0].textContent, 'talk.mp4');
+  });
+
+  it('exports the stats as CSV', async () => {
+    const { env, app, clock } = createController();
+    app.usageStats = memoryStats(env);
+    const downloads = [];
+    app.downloadFile = (name, content, type) => downloads.push({ name, content, type });
+    startVideo(env, app);
+    clock.advance(3000);
+
+    env.document.getElementById('exportStats').click();
+    await flush();
+
+    assert.equal(downloads.length, 1);
+    assert.match(downloads[0].name, /^usage-stats-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.equal(downloads[0].type, 'text/csv');
+    assert.match(downloads[0].content, /media:https:\/\/example\.com\/talk\.mp4/);
+  });
+
+  it('exports the tallies since the last save, even when storing them takes a while', async () => {
+    const { env, app, clock } = createController();
+    const stats = memoryStats(env);
+    app.usageStats = { ...stats, add: (tallies) => flush().then(() => stats.add(tallies)) };
+    const downloads = [];
+    app.downloadFile = (name, content) => downloads.push(content);
+    startVideo(env, app);
+    clock.advance(3000); // Not saved yet
+
+    await app.exportUsageStats();
+
+    assert.match(downloads[0], /media:https:\/\/example\.com\/talk\.mp4/);
+  });
+});
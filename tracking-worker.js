@@ -0,0 +1,64 @@
+// Tracking Worker
+// Face Mesh and head pose estimation off the main thread (see face-tracker.js). Receives ImageBitmap frames
+// and posts back each frame's packed landmarks and head poses.
+//
+// Messages in:  { type: 'init' }, { type: 'options', options }, { type: 'frame', image }
+// Messages out: { type: 'results', landmarks, faceCount, poses, inferenceTime },
+//               { type: 'error', message, fatal } (fatal: Face Mesh can't run here)
+importScripts('vendor/mediapipe/face_mesh/face_mesh.js', 'head-pose.js', 'face-tracker.js');
+
+const headPose = new HeadPoseEstimator();
+let faceMesh = null;
+let ready = null; // Resolves once Face Mesh is initialized (or failed to)
+let frame = null; // { aspectRatio, startedAt } of the frame being processed
+
+function postResults(results) {
+  const faces = results.multiFaceLandmarks || [];
+  const landmarks = packFaces(faces);
+  self.postMessage(
+    {
+      type: 'results',
+      landmarks,
+      faceCount: faces.length,
+      poses: faces.map((face) => headPose.estimate(face, frame.aspectRatio)),
+      inferenceTime: performance.now() - frame.startedAt,
+    },
+    [landmarks.buffer],
+  );
+}
+
+async function initialize() {
+  try {
+    faceMesh = new FaceMesh({ locateFile: (file) => `vendor/mediapipe/face_mesh/${file}` });
+    faceMesh.onResults(postResults);
+    await faceMesh.initialize();
+  } catch (error) {
+    faceMesh = null;
+    self.postMessage({ type: 'error', message: error.message, fatal: true });
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case 'init':
+      ready = initialize();
+      break;
+    case 'options':
+      await ready;
+      if (faceMesh) faceMesh.setOptions(message.options);
+      break;
+    case 'frame':
+      await ready;
+      frame = { aspectRatio: message.image.width / message.image.height, startedAt: performance.now() };
+      try {
+        if (!faceMesh) throw new Error('Face Mesh is not running');
+        await faceMesh.send({ image: message.image });
+      } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, fatal: false });
+      } finally {
+        message.image.close();
+      }
+      break;
+  }
+});
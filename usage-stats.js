@@ -0,0 +1,247 @@
+// Usage Stats
+// How the controls get used, per day and video: time at each speed, skips forward and back, auto-pauses,
+// speed changes and watch sessions. Kept in IndexedDB on this device only; exported as CSV on request.
+
+// Records, one per day and video:
+//   { key, day, video, title, speedTime: { [rate]: seconds }, speedChanges, skipsForward, skipsBack,
+//     pauses, sessions, sessionTime, longestSession }
+// day is the local date ('2026-10-19'), video the watch history key (see history.js). A session is one
+// stretch of watching a video, from when it starts playing until another video does or the page closes.
+class UsageStats {
+  constructor({ indexedDB = window.indexedDB, dbName = 'headTiltUsage' } = {}) {
+    this.indexedDB = indexedDB;
+    this.dbName = dbName;
+    this.db = null; // Promise of the open database
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = this.indexedDB.open(this.dbName, UsageStats.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(UsageStats.STORE, { keyPath: 'key' });
+          store.createIndex('day', 'day');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  // Add tallies (see UsageRecorder.take) to the stored records, in one transaction
+  async add(tallies) {
+    if (tallies.length === 0) return;
+
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(UsageStats.STORE, 'readwrite');
+      const store = transaction.objectStore(UsageStats.STORE);
+      tallies.forEach((tally) => {
+        const request = store.get(tally.key);
+        request.onsuccess = () => store.put(UsageStats.merge(request.result, tally));
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Oldest day first
+  async list() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(UsageStats.STORE, 'readonly').objectStore(UsageStats.STORE).index('day').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clear() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(UsageStats.STORE, 'readwrite');
+      transaction.objectStore(UsageStats.STORE).clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  static createRecord(day, video, title) {
+    return {
+      key: `${day}|${video}`,
+      day,
+      video,
+      title,
+      speedTime: {},
+      speedChanges: 0,
+      skipsForward: 0,
+      skipsBack: 0,
+      pauses: 0,
+      sessions: 0,
+      sessionTime: 0,
+      longestSession: 0,
+    };
+  }
+
+  // A record with the tally added; record may be undefined
+  static merge(record, tally) {
+    const merged = record ? { ...record, speedTime: { ...record.speedTime } } : { ...tally, speedTime: {} };
+    merged.title = tally.title || merged.title;
+    for (const [rate, seconds] of Object.entries(tally.speedTime)) {
+      merged.speedTime[rate] = (merged.speedTime[rate] || 0) + seconds;
+    }
+    if (record) {
+      UsageStats.COUNTS.forEach((name) => (merged[name] += tally[name]));
+      merged.longestSession = Math.max(record.longestSession, tally.longestSession);
+    }
+    return merged;
+  }
+
+  // Records added up per day (newest first) or per video (most watched first). Rows have the record
+  // fields, with label (the day or the title) in place of key, day, video and title.
+  static summarize(records, by = 'day') {
+    const rows = new Map();
+    for (const record of records) {
+      const group = by === 'video' ? record.video : record.day;
+      const label = by === 'video' ? record.title : record.day;
+      const row = rows.get(group);
+      rows.set(group, row ? UsageStats.merge(row, record) : UsageStats.merge(undefined, record));
+      rows.get(group).label = label;
+    }
+
+    const list = [...rows.values()].map(({ key, day, video, title, ...row }) => row);
+    return by === 'video'
+      ? list.sort((a, b) => b.sessionTime - a.sessionTime)
+      : list.sort((a, b) => (a.label < b.label ? 1 : -1));
+  }
+
+  // One line per record, with a seconds column for every rate that appears in any of them
+  static toCSV(records) {
+    const rates = [...new Set(records.flatMap((record) => Object.keys(record.speedTime)))].sort((a, b) => a - b);
+    const header = [
+      'day',
+      'video',
+      'title',
+      'sessions',
+      'watched (s)',
+      'longest session (s)',
+      'speed changes',
+      'skips forward',
+      'skips back',
+      'auto-pauses',
+      ...rates.map((rate) => `at ${rate}x (s)`),
+    ];
+    const round = (seconds) => Math.round(seconds * 10) / 10;
+    const lines = records.map((record) => [
+      record.day,
+      record.video,
+      record.title,
+      record.sessions,
+      round(record.sessionTime),
+      round(record.longestSession),
+      record.speedChanges,
+      record.skipsForward,
+      record.skipsBack,
+      record.pauses,
+      ...rates.map((rate) => round(record.speedTime[rate] || 0)),
+    ]);
+
+    // Quote fields with separators, quotes or line breaks (titles); a leading =+-@ would be a formula
+    const field = (value) => {
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = "'" + text;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...lines].map((line) => line.map(field).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Local date as YYYY-MM-DD
+  static dayOf(time) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+UsageStats.DB_VERSION = 1;
+UsageStats.STORE = 'usage';
+UsageStats.COUNTS = ['speedChanges', 'skipsForward', 'skipsBack', 'pauses', 'sessions', 'sessionTime'];
+
+// Tallies in memory until the controller saves them (UsageStats.add). Time is counted from periodic ticks
+// while a video plays, like WatchSession; events without a video are not counted.
+class UsageRecorder {
+  constructor() {
+    this.tallies = new Map(); // key -> tally since the last take()
+    this.video = null; // { key, title } of the video being watched
+    this.sessionTime = 0; // Seconds watched in the current session
+    this.lastTick = null;
+  }
+
+  // A video started playing; the same one again (after a pause) continues its session
+  startVideo(key, title, now = Date.now()) {
+    if (this.video && this.video.key === key) {
+      this.video.title = title;
+      return;
+    }
+
+    this.video = { key, title };
+    this.sessionTime = 0;
+    this.lastTick = null;
+    this.tally(now).sessions++;
+  }
+
+  speedChanged(now = Date.now()) {
+    if (this.video) this.tally(now).speedChanges++;
+  }
+
+  skipped(seconds, now = Date.now()) {
+    if (this.video) this.tally(now)[seconds > 0 ? 'skipsForward' : 'skipsBack']++;
+  }
+
+  paused(now = Date.now()) {
+    if (this.video) this.tally(now).pauses++;
+  }
+
+  // Call regularly while playing; gaps longer than maxGap (tab asleep, paused) are not counted
+  tick(rate, now = Date.now(), maxGap = 5000) {
+    if (!this.video) return;
+
+    if (this.lastTick !== null && now - this.lastTick <= maxGap) {
+      const seconds = (now - this.lastTick) / 1000;
+      const tally = this.tally(now);
+      const rateKey = String(rate);
+      tally.speedTime[rateKey] = (tally.speedTime[rateKey] || 0) + seconds;
+      tally.sessionTime += seconds;
+      this.sessionTime += seconds;
+      tally.longestSession = Math.max(tally.longestSession, this.sessionTime);
+    }
+    this.lastTick = now;
+  }
+
+  // Stop counting time until the next tick (paused, buffering, ended)
+  pause() {
+    this.lastTick = null;
+  }
+
+  // The tallies since the last call
+  take() {
+    const tallies = [...this.tallies.values()];
+    this.tallies.clear();
+    return tallies;
+  }
+
+  tally(now) {
+    const day = UsageStats.dayOf(now);
+    const key = `${day}|${this.video.key}`;
+    if (!this.tallies.has(key)) this.tallies.set(key, UsageStats.createRecord(day, this.video.key, this.video.title));
+
+    const tally = this.tallies.get(key);
+    tally.title = this.video.title;
+    return tally;
+  }
+}